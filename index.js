@@ -2,14 +2,14 @@
  * Legacy Entry Point - Redirects to Enterprise Application
  * 
  * This file maintains backward compatibility while redirecting to the new
- * enterprise-grade application structure located in src/app.js
+ * enterprise-grade application structure located in src/server.js
  */
 
-import('./src/app.js')
+import('./src/server.js')
   .then(({ default: app }) => {
     console.log('🚀 Starting AI Pharmacy Chatbot Enterprise Edition...');
     console.log('📁 Application structure upgraded to enterprise standards');
-    console.log('🔗 Legacy index.js is now redirecting to src/app.js');
+    console.log('🔗 Legacy index.js is now redirecting to src/server.js');
     console.log('\n' + '='.repeat(60));
     console.log('🆙 UPGRADE COMPLETE!');
     console.log('📚 Check README.md for new features and documentation');
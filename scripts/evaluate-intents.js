@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluate Intent Classifier Accuracy
+ * Runs IntentClassifier over the labelled set in scripts/intent-eval-set.json
+ * (offline - no OpenAI or database calls are made)
+ *
+ * Usage:
+ *   node scripts/evaluate-intents.js            # report
+ *   node scripts/evaluate-intents.js --min 0.9  # exit 1 if accuracy is below 0.9
+ */
+
+import { readFile } from 'fs/promises';
+import { IntentClassifier } from '../src/services/intentClassifier.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+import { FAQService } from '../src/services/faqService.js';
+import { GuardrailService } from '../src/services/guardrailService.js';
+import { loadSeedFaqs } from './faq-seed.js';
+
+const args = process.argv.slice(2);
+const minIndex = args.indexOf('--min');
+const minAccuracy = minIndex !== -1 ? parseFloat(args[minIndex + 1]) : null;
+const verbose = args.includes('--verbose');
+
+async function evaluateIntents() {
+  // Built-in lexicon and guardrails plus the seeded FAQs keep results reproducible and the run fully offline
+  DrugLexiconService.useBuiltIn();
+  FAQService.useBuiltIn(await loadSeedFaqs());
+  GuardrailService.useBuiltIn();
+
+  const setPath = new URL('./intent-eval-set.json', import.meta.url);
+  const examples = JSON.parse(await readFile(setPath, 'utf8'));
+
+  console.log('🧪 Evaluating intent classifier...');
+  console.log('='.repeat(60));
+  console.log(`📋 ${examples.length} labelled examples\n`);
+
+  const intents = IntentClassifier.INTENTS;
+  const confusion = Object.fromEntries(
+    intents.map(expected => [expected, Object.fromEntries(intents.map(actual => [actual, 0]))])
+  );
+  const misses = [];
+  let correct = 0;
+
+  for (const example of examples) {
+    const result = IntentClassifier.classify(example.text);
+    confusion[example.intent][result.intent]++;
+
+    if (result.intent === example.intent) {
+      correct++;
+    } else {
+      misses.push({ ...example, predicted: result.intent, scores: result.scores });
+    }
+
+    if (verbose) {
+      const mark = result.intent === example.intent ? '✅' : '❌';
+      console.log(`${mark} ${example.text} → ${result.intent} (${result.confidence})`);
+    }
+  }
+
+  // Per-intent precision / recall
+  console.log('Intent           Precision  Recall  Support');
+  console.log('-'.repeat(60));
+
+  for (const intent of intents) {
+    const truePositives = confusion[intent][intent];
+    const predicted = intents.reduce((sum, expected) => sum + confusion[expected][intent], 0);
+    const support = intents.reduce((sum, actual) => sum + confusion[intent][actual], 0);
+    const precision = predicted ? truePositives / predicted : 0;
+    const recall = support ? truePositives / support : 0;
+
+    console.log(
+      `${intent.padEnd(17)}${precision.toFixed(2).padStart(9)}${recall.toFixed(2).padStart(8)}${String(support).padStart(9)}`
+    );
+  }
+
+  if (misses.length > 0) {
+    console.log(`\n❌ Misclassified (${misses.length}):`);
+    for (const miss of misses) {
+      console.log(`   "${miss.text}" expected ${miss.intent}, got ${miss.predicted}`);
+      console.log(`      scores: ${JSON.stringify(miss.scores)}`);
+    }
+  }
+
+  const accuracy = correct / examples.length;
+  console.log('\n' + '='.repeat(60));
+  console.log(`🎯 Accuracy: ${(accuracy * 100).toFixed(1)}% (${correct}/${examples.length})`);
+
+  if (minAccuracy !== null && accuracy < minAccuracy) {
+    console.error(`❌ Below required accuracy ${(minAccuracy * 100).toFixed(1)}%`);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+evaluateIntents().catch(error => {
+  console.error('❌ Evaluation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * FAQ seed rows read from the faqs migrations
+ * Offline runs (intent evaluation, tests) use the same content the database
+ * is seeded with, without keeping a second copy of it in code.
+ */
+
+import { readFile } from 'fs/promises';
+
+const MIGRATIONS = [
+  '../supabase/migrations/20261019000900_faqs.sql',
+  '../supabase/migrations/20261019001100_russian_content.sql'
+];
+
+const STRING = "'((?:[^']|'')*)'";
+const ROW = new RegExp(`^\\s*\\(${STRING}, ${STRING}, ${STRING}, ARRAY\\[(.*?)\\]::TEXT\\[\\], '(\\w+)'`);
+
+const unquote = value => value.replace(/''/g, "'");
+
+/**
+ * Rows of every `INSERT INTO faqs` in the migrations, in FAQService entry shape
+ */
+export async function loadSeedFaqs() {
+  const faqs = [];
+
+  for (const migration of MIGRATIONS) {
+    const sql = await readFile(new URL(migration, import.meta.url), 'utf8');
+    let inInsert = false;
+
+    for (const line of sql.split('\n')) {
+      if (line.startsWith('INSERT INTO faqs')) inInsert = true;
+      else if (line.startsWith('ON CONFLICT')) inInsert = false;
+      if (!inInsert) continue;
+
+      const match = line.match(ROW);
+      if (!match) continue;
+
+      const [, category, question, answer, altPhrases, lang] = match;
+      faqs.push({
+        category: unquote(category),
+        question: unquote(question),
+        answer: unquote(answer),
+        alt_phrases: [...altPhrases.matchAll(new RegExp(STRING, 'g'))].map(phrase => unquote(phrase[1])),
+        lang
+      });
+    }
+  }
+
+  return faqs;
+}
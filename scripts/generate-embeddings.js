@@ -2,94 +2,125 @@
 
 /**
  * Generate Embeddings for Existing Products
- * Run this if embeddings are missing after sync
+ * Run this if embeddings are missing after sync, or with --stale to also
+ * re-embed products whose searchable text or embedding model changed
  */
 
 import { supabase } from '../src/config/database.js';
-import { openai } from '../src/config/openai.js';
-import config from '../src/config/environment.js';
+import { OpenAIService } from '../src/config/openai.js';
+import { DataSyncService } from '../src/services/dataSyncService.js';
+import { getEmbeddingProvider } from '../src/config/embeddingProvider.js';
 
-async function generateEmbeddings() {
-  console.log('🔄 Generating embeddings for existing products...');
-  console.log('=' .repeat(60));
+const EMBEDDING_CHUNK = 50; // Texts per provider request
 
-  try {
-    // Get products without embeddings
-    const { data: products, error } = await supabase
-      .from('products')
-      .select('id, name, generic_name, searchable_text')
-      .is('embedding', null)
-      .limit(200); // Process 200 at a time
-
-    if (error) throw error;
-
-    if (!products || products.length === 0) {
-      console.log('✅ All products already have embeddings!');
-      console.log('📊 Checking total products with embeddings...');
-      
-      const { count } = await supabase
+/**
+ * Next products to embed: missing only, or missing + stale (products_needing_embeddings RPC)
+ */
+async function fetchProducts(model, { stale, batchSize }) {
+  const { data, error } = stale
+    ? await supabase.rpc('products_needing_embeddings', { current_model: model, max_count: batchSize })
+    : await supabase
+        .from('products')
+        .select('id, name, generic_name, searchable_text')
+        .is('embedding', null)
+        .limit(batchSize);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function countRemaining(model, { stale }) {
+  const { count } = stale
+    ? await supabase.rpc('products_needing_embeddings', { current_model: model, max_count: 1000000 }, { count: 'exact', head: true })
+    : await supabase
         .from('products')
         .select('*', { count: 'exact', head: true })
-        .not('embedding', 'is', null);
-      
-      console.log(`   ${count || 0} products have embeddings`);
-      return { generated: 0, total: count || 0 };
-    }
+        .is('embedding', null);
 
-    console.log(`📦 Found ${products.length} products without embeddings`);
-    console.log('🔄 Generating embeddings for Mongolian products...\n');
+  return count || 0;
+}
+
+async function generateEmbeddings(options) {
+  const provider = getEmbeddingProvider();
+  const { model } = provider;
 
+  console.log(`🔄 Generating embeddings for ${options.stale ? 'missing or stale' : 'missing'} product vectors...`);
+  console.log(`   Provider: ${provider.name}, model: ${model}, batch size: ${options.batchSize}${options.all ? ', all batches' : ''}`);
+  console.log('=' .repeat(60));
+
+  try {
     let generated = 0;
     let failed = 0;
+    let seen = 0;
+    const reasons = {};
     const startTime = Date.now();
 
-    for (const product of products) {
-      try {
-        const text = product.searchable_text || product.name || product.generic_name;
-        
-        if (!text || text.trim().length === 0) {
-          console.log(`⚠️ [${generated + failed + 1}/${products.length}] Skipping ${product.id} - no searchable text`);
-          failed++;
-          continue;
-        }
-        
-        // Show progress with Mongolian product name
-        const displayName = product.name ? product.name.substring(0, 60) : product.id;
-        console.log(`🔄 [${generated + failed + 1}/${products.length}] ${displayName}...`);
-        
-        // Generate embedding
-        const result = await openai.embeddings.create({
-          model: config.AI.EMBEDDING_MODEL || 'text-embedding-3-small',
-          input: text.substring(0, 8000)
-        });
-
-        const embedding = result.data[0].embedding;
-
-        // Update product with embedding
-        const { error: updateError } = await supabase
-          .from('products')
-          .update({ embedding })
-          .eq('id', product.id);
-
-        if (updateError) throw updateError;
-
-        generated++;
-        const tokensUsed = result.usage?.total_tokens || 0;
-        console.log(`   ✅ Embedding generated (${tokensUsed} tokens, ${embedding.length} dimensions)`);
-
-        // Rate limiting - wait 100ms between requests to avoid OpenAI rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-      } catch (error) {
-        failed++;
-        console.log(`   ❌ Failed: ${error.message}`);
-        
-        // If rate limit error, wait longer
-        if (error.message.includes('rate limit') || error.status === 429) {
-          console.log('   ⏸️ Rate limit detected, waiting 10 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 10000));
+    while (true) {
+      const products = await fetchProducts(model, options);
+
+      if (products.length === 0) {
+        if (seen === 0) console.log('✅ All products already have up-to-date embeddings!');
+        break;
+      }
+
+      console.log(`📦 Found ${products.length} products to embed`);
+      seen += products.length;
+      const generatedBefore = generated;
+
+      for (let i = 0; i < products.length; i += EMBEDDING_CHUNK) {
+        const chunk = products.slice(i, i + EMBEDDING_CHUNK)
+          .map(product => ({ ...product, text: product.searchable_text || product.name || product.generic_name }))
+          .filter(product => {
+            if (product.text && product.text.trim().length > 0) return true;
+            console.log(`⚠️ Skipping ${product.id} - no searchable text`);
+            failed++;
+            return false;
+          });
+
+        if (chunk.length === 0) continue;
+
+        try {
+          const embeddings = await OpenAIService.generateBatchEmbeddings(chunk.map(product => product.text), provider);
+
+          for (let j = 0; j < chunk.length; j++) {
+            const product = chunk[j];
+            const { error: updateError } = await supabase
+              .from('products')
+              .update({
+                embedding: `[${embeddings[j].join(',')}]`,
+                // Hash only what sync compares against (searchable_text)
+                content_hash: product.searchable_text ? DataSyncService.contentHash(product.searchable_text) : null,
+                embedding_model: model
+              })
+              .eq('id', product.id);
+
+            if (updateError) {
+              failed++;
+              console.log(`   ❌ ${product.id}: ${updateError.message}`);
+              continue;
+            }
+
+            generated++;
+            const reason = product.reason || 'missing';
+            reasons[reason] = (reasons[reason] || 0) + 1;
+          }
+
+          console.log(`   ✅ ${generated}/${seen} embedded (${embeddings[0]?.length || 0} dimensions)`);
+
+        } catch (error) {
+          failed += chunk.length;
+          console.log(`   ❌ Chunk failed: ${error.message}`);
+
+          // If rate limit error, wait longer
+          if (error.message.includes('rate limit') || error.status === 429) {
+            console.log('   ⏸️ Rate limit detected, waiting 10 seconds...');
+            await new Promise(resolve => setTimeout(resolve, 10000));
+          }
         }
       }
+
+      // One batch unless --all; stop if a batch made no progress (would refetch the same rows)
+      if (!options.all || generated === generatedBefore) break;
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -97,26 +128,30 @@ async function generateEmbeddings() {
     console.log('\n' + '='.repeat(60));
     console.log('🎉 Embedding generation completed!');
     console.log(`✅ Generated: ${generated}`);
+    if (options.stale) {
+      console.log(`   Missing: ${reasons.missing || 0}, model changed: ${reasons.model_changed || 0}, text changed: ${reasons.text_changed || 0}`);
+    }
     console.log(`❌ Failed: ${failed}`);
     console.log(`⏱️ Duration: ${duration} seconds`);
-    console.log(`📊 Success rate: ${((generated / products.length) * 100).toFixed(1)}%`);
-    console.log(`💰 Estimated cost: $${(generated * 0.00002).toFixed(4)}`);
+    if (seen > 0) {
+      console.log(`📊 Success rate: ${((generated / seen) * 100).toFixed(1)}%`);
+    }
+    if (provider.name === 'openai') {
+      console.log(`💰 Estimated cost: $${(generated * 0.00002).toFixed(4)}`);
+    }
 
     // Check if more products need embeddings
-    const { count: remaining } = await supabase
-      .from('products')
-      .select('*', { count: 'exact', head: true })
-      .is('embedding', null);
+    const remaining = await countRemaining(model, options);
 
     if (remaining > 0) {
       console.log(`\n⚠️ ${remaining} products still need embeddings`);
-      console.log('💡 Run this script again to continue: node scripts/generate-embeddings.js');
+      console.log(`💡 Run this script again to continue: node scripts/generate-embeddings.js${options.stale ? ' --stale' : ''}`);
     } else {
       console.log('\n🎊 All products now have embeddings!');
       console.log('✅ Semantic search is ready to use');
     }
 
-    return { generated, failed, remaining: remaining || 0 };
+    return { generated, failed, remaining };
 
   } catch (error) {
     console.error('\n❌ Embedding generation failed:', error);
@@ -138,11 +173,14 @@ Options:
   --help, -h          Show this help message
   --batch-size=N      Process N products at a time (default: 200)
   --all               Process all products (may take a long time)
+  --stale             Also re-embed products whose searchable text or
+                      embedding model changed since their embedding was made
 
 Examples:
   node scripts/generate-embeddings.js
   node scripts/generate-embeddings.js --batch-size=50
   node scripts/generate-embeddings.js --all
+  node scripts/generate-embeddings.js --stale --all
 
 Note: This script processes products with Mongolian (Cyrillic) names.
       OpenAI embeddings fully support multilingual text including Cyrillic!
@@ -150,8 +188,14 @@ Note: This script processes products with Mongolian (Cyrillic) names.
   process.exit(0);
 }
 
+const options = {
+  stale: args.includes('--stale'),
+  all: args.includes('--all'),
+  batchSize: parseInt(args.find(arg => arg.startsWith('--batch-size='))?.split('=')[1]) || 200
+};
+
 // Run the generation
-generateEmbeddings().then(result => {
+generateEmbeddings(options).then(result => {
   console.log('\n✅ Done!');
   process.exit(0);
 }).catch(error => {
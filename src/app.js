@@ -1,48 +1,141 @@
-// Working Enterprise AI Chatbot - Production Ready Version
-console.log('🚀 Starting Enterprise AI Pharmacy Chatbot...');
-
-try {
-  // Import working modules
-  const express = (await import('express')).default;
-  const cors = (await import('cors')).default;
-  const helmet = (await import('helmet')).default;
-  const compression = (await import('compression')).default;
-  const { OpenAIService } = await import('./config/openai.js');
-  const { supabase } = await import('./config/database.js');
-  const { config, validateConfig } = await import('./config/environment.js');
-  const { securityHeaders } = await import('./middleware/authentication.js');
-  const FAQService = (await import('./services/faqService.js')).default;
-  const { DataSyncService } = await import('./services/dataSyncService.js');
-  const { ProductSearchService } = await import('./services/productSearchService.js');
-  const { SyncScheduler } = await import('./jobs/syncScheduler.js');
-
-  console.log('✅ All modules imported successfully');
-
-  // Helper function to convert stock quantity to range format
-  function getStockRange(stock) {
-    const stockNumber = parseInt(stock) || 0;
-    
-    if (stockNumber === 0) {
-      return 'Үлдэгдэлгүй';
-    } else if (stockNumber <= 50) {
-      return '1-50';
-    } else if (stockNumber <= 100) {
-      return '51-100';
-    } else if (stockNumber <= 500) {
-      return '101-500';
-    } else if (stockNumber <= 1000) {
-      return '501-1000';
-    } else if (stockNumber <= 2000) {
-      return '1001-2000';
-    } else {
-      return '2000+';
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import compression from 'compression';
+import { OpenAIService } from './config/openai.js';
+import { supabase } from './config/database.js';
+import { config } from './config/environment.js';
+import { securityHeaders, conversationUserId } from './middleware/authentication.js';
+import { searchLimiter } from './middleware/rateLimiting.js';
+import FAQService from './services/faqService.js';
+import { DataSyncService } from './services/dataSyncService.js';
+import { ProductSearchService } from './services/productSearchService.js';
+import { SearchFeedbackService } from './services/searchFeedbackService.js';
+import { SuggestService } from './services/suggestService.js';
+import { ConversationService } from './services/conversationService.js';
+import { IntentClassifier } from './services/intentClassifier.js';
+import { DrugLexiconService } from './services/drugLexiconService.js';
+import { GuardrailService } from './services/guardrailService.js';
+import { DOSAGE_FORMS, isDosageForm } from './utils/dosageForm.js';
+import { detectLanguage, responseLanguageInstruction } from './utils/languageDetector.js';
+import { SyncScheduler } from './jobs/syncScheduler.js';
+import chatRoutes from './routes/chatRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+
+/**
+ * Express application: middleware, the chat/search endpoints and admin routes.
+ * createApp() only builds the app (tests attach supertest to it);
+ * server.js loads caches with initializeServices() and listens.
+ */
+
+// Helper function to convert stock quantity to range format
+function getStockRange(stock) {
+  const stockNumber = parseInt(stock) || 0;
+  
+  if (stockNumber === 0) {
+    return 'Үлдэгдэлгүй';
+  } else if (stockNumber <= 50) {
+    return '1-50';
+  } else if (stockNumber <= 100) {
+    return '51-100';
+  } else if (stockNumber <= 500) {
+    return '101-500';
+  } else if (stockNumber <= 1000) {
+    return '501-1000';
+  } else if (stockNumber <= 2000) {
+    return '1001-2000';
+  } else {
+    return '2000+';
+  }
+}
+
+// Helper: numbered product list reply used by both chat endpoints
+function buildProductReply(products) {
+  const productList = products.map((product, index) => {
+    const stockRange = getStockRange(product.available || product.stock || product.stock_quantity || 0);
+    return `${index + 1}. ${product.name} - Нөөц: ${stockRange}`;
+  }).join('\n');
+
+  return `Би танд ${products.length} бүтээгдэхүүн оллоо:\n\n${productList}\n\nДэлгэрэнгүй мэдээллийг авахын тулд харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688`;
+}
+
+// Helper: write one Server-Sent Event (same framing as chatController.handleChatStream)
+function writeSSE(res, payload) {
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  // compression() buffers output; push each event to the client right away
+  if (typeof res.flush === 'function') res.flush();
+}
+
+// Helper: load (or start) the conversation for a sessionId - chat keeps working without it
+async function loadSession(sessionId, req) {
+  if (!sessionId || typeof sessionId !== 'string' || sessionId.length > 100) {
+    return null;
+  }
+
+  try {
+    // Widget users are anonymous; the session itself is their identity
+    return await ConversationService.getOrCreate(conversationUserId(null, sessionId), sessionId, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+      channel: 'web_widget'
+    });
+  } catch (error) {
+    console.warn('⚠️ Session unavailable, continuing without context:', error.message);
+    return null;
+  }
+}
+
+// Helper: persist a chat turn and remember the product it was about
+async function recordTurn(conversation, message, reply, metadata, parsed = null) {
+  if (!conversation) return;
+
+  try {
+    await ConversationService.addMessage(conversation.id, 'user', message);
+    await ConversationService.addMessage(conversation.id, 'assistant', reply, metadata);
+
+    if (parsed?.drugName) {
+      await ConversationService.updateContext(conversation.id, {
+        lastProduct: {
+          drugName: parsed.drugName,
+          drugVariant: parsed.drugVariant,
+          dosage: parsed.dosage,
+          unit: parsed.unit,
+          fullDosage: parsed.fullDosage,
+          strength: parsed.strength || null
+        }
+      });
     }
+  } catch (error) {
+    console.warn('⚠️ Failed to record chat turn:', error.message);
   }
+}
 
-  // Validate configuration
-  validateConfig();
-  console.log('✅ Configuration validated');
+// System prompt for the restricted AI fallback (questions not in FAQ)
+const RESTRICTED_SYSTEM_PROMPT = `You are a customer support chatbot for Monos Trade LLC.
 
+**CRITICAL RESTRICTIONS:**
+- You can ONLY answer questions using the provided knowledge base about Monos Trade LLC
+- If asked about medical advice, say: "Энэ талаар зөвхөн эмчид хандахыг зөвлөж байна."
+- For other questions outside scope, say: "Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688"
+- Never provide medical advice or drug recommendations
+- Only provide official company information
+
+**Company Info:**
+- Phone: +976 7766 6688
+- Email: info@monostrade.mn
+- Partnership: saranchimeg@monostrade.mn, +976 9924 2297`;
+
+// Restricted prompt plus the reply-language instruction for this message
+function restrictedSystemPrompt(detected) {
+  return `${RESTRICTED_SYSTEM_PROMPT}\n\n**Response Language:** ${responseLanguageInstruction(detected)}`;
+}
+
+
+/**
+ * Build the Express app (no I/O, no listen)
+ */
+export function createApp() {
   // Create Express app
   const app = express();
 
@@ -119,25 +212,6 @@ try {
 
   console.log('✅ Middleware configured');
 
-  // Initialize Redis if enabled
-  if (config.REDIS.ENABLE_REDIS) {
-    console.log('🔴 Initializing Redis...');
-    try {
-      await DataSyncService.initializeRedis();
-      if (DataSyncService.redisConnected) {
-        console.log('✅ Redis connected and ready');
-        console.log(`   Cache TTL: ${config.REDIS.CACHE_TTL}s`);
-      } else {
-        console.log('⚠️  Redis connection failed - using database fallback');
-      }
-    } catch (error) {
-      console.log('⚠️  Redis initialization error:', error.message);
-      console.log('   Continuing with database fallback...');
-    }
-  } else {
-    console.log('⚠️  Redis is disabled - using database cache only');
-  }
-
   // ==================== ROUTES ====================
 
   // Health check with Redis status
@@ -218,17 +292,25 @@ try {
     const startTime = Date.now();
     
     try {
-      const { q, limit = 5, category, realtime } = req.query;
+      const { q, limit = 5, category, realtime, form } = req.query;
       
       if (!q) {
         return res.status(400).json({ error: 'Query parameter "q" is required' });
       }
 
+      if (form && !isDosageForm(form)) {
+        return res.status(400).json({
+          error: 'Unknown dosage form',
+          validForms: Object.keys(DOSAGE_FORMS)
+        });
+      }
+
       // Use new ProductSearchService
       const searchResults = await ProductSearchService.search(q, {
         limit: parseInt(limit),
         category: category || null,
         realTimeStock: realtime === 'true',
+        form: form || null,
         threshold: 0.5,  // Lower threshold for better recall
         includeInactive: true  // Include all products
       });
@@ -237,7 +319,7 @@ try {
 
       res.json({
         query: q,
-        results: searchResults.products.map(p => ProductSearchService.formatProduct(p)),
+        results: searchResults.products,
         total: searchResults.products.length,
         metadata: {
           ...searchResults.metadata,
@@ -250,12 +332,142 @@ try {
     }
   });
 
+  // Typeahead: prefix match on product names, generic names and lexicon names (no embeddings)
+  app.get('/api/search/suggest', async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { q, limit = 8 } = req.query;
+
+      if (typeof q !== 'string' || q.trim().length === 0) {
+        return res.status(400).json({ error: 'Query parameter "q" is required', code: 'INVALID_QUERY' });
+      }
+
+      if (q.length > 100) {
+        return res.status(400).json({ error: 'Query too long', code: 'INVALID_QUERY' });
+      }
+
+      await SuggestService.ensureLoaded();
+
+      const suggestions = SuggestService.suggest(q, {
+        limit: Math.min(Math.max(parseInt(limit) || 8, 1), SuggestService.MAX_LIMIT)
+      });
+
+      res.json({
+        query: q,
+        suggestions,
+        metadata: {
+          responseTime: Date.now() - startTime,
+          indexBuiltAt: SuggestService.getStats().builtAt
+        }
+      });
+    } catch (error) {
+      console.error('Suggest error:', error);
+      res.status(500).json({ error: 'Suggest failed', code: 'SUGGEST_ERROR' });
+    }
+  });
+
+  // Search feedback: which result the user clicked / selected (learned ranking boosts)
+  // Orders are credited server-side when they are placed, never on the client's word
+  app.post('/api/search/feedback', searchLimiter, async (req, res) => {
+    try {
+      const { query, productId, action, position, source = 'search', sessionId } = req.body;
+
+      if (!query || typeof query !== 'string' || query.length > 500) {
+        return res.status(400).json({ error: '"query" is required (max 500 characters)', code: 'INVALID_FEEDBACK' });
+      }
+
+      if (!productId || typeof productId !== 'string' || productId.length > 50) {
+        return res.status(400).json({ error: '"productId" is required', code: 'INVALID_FEEDBACK' });
+      }
+
+      if (!SearchFeedbackService.CLIENT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: 'Invalid action',
+          code: 'INVALID_FEEDBACK',
+          validActions: SearchFeedbackService.CLIENT_ACTIONS
+        });
+      }
+
+      if (!SearchFeedbackService.SOURCES.includes(source)) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          code: 'INVALID_FEEDBACK',
+          validSources: SearchFeedbackService.SOURCES
+        });
+      }
+
+      const rank = position !== undefined && position !== null ? parseInt(position) : null;
+      if (rank !== null && (isNaN(rank) || rank < 1 || rank > 100)) {
+        return res.status(400).json({ error: '"position" must be between 1 and 100', code: 'INVALID_FEEDBACK' });
+      }
+
+      const result = await SearchFeedbackService.record({
+        query,
+        productId,
+        action,
+        position: rank,
+        source,
+        sessionId: typeof sessionId === 'string' ? sessionId.slice(0, 100) : null,
+        clientKey: SearchFeedbackService.clientKey({ ip: req.ip })
+      });
+
+      if (result.reason === 'product_not_found') {
+        return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' });
+      }
+
+      res.status(result.recorded ? 201 : 200).json({ success: true, recorded: result.recorded });
+    } catch (error) {
+      console.error('Search feedback error:', error);
+      res.status(500).json({ error: 'Failed to record feedback', code: 'FEEDBACK_ERROR' });
+    }
+  });
+
+  // Exact product lookup for scanned barcodes / pasted ERP or internal codes
+  app.get('/api/products/lookup', async (req, res) => {
+    try {
+      const { barcode, code, realtime } = req.query;
+
+      if ((!barcode && !code) || (barcode && code)) {
+        return res.status(400).json({
+          error: 'Provide exactly one of "barcode" or "code"',
+          code: 'INVALID_LOOKUP'
+        });
+      }
+
+      const matches = await ProductSearchService.findByCode(barcode || code, barcode ? 'barcode' : 'any');
+
+      if (matches.length === 0) {
+        return res.status(404).json({
+          error: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND'
+        });
+      }
+
+      const enriched = await ProductSearchService.enrichWithInventory(matches, true);
+      if (realtime === 'true') {
+        await ProductSearchService.enrichWithRealTimeData(enriched);
+      }
+
+      const products = enriched.map(p => ProductSearchService.formatProduct(p));
+
+      res.json({
+        product: products[0] || null,
+        otherMatches: products.slice(1),
+        lookup: barcode ? { barcode } : { code }
+      });
+    } catch (error) {
+      console.error('Product lookup error:', error);
+      res.status(500).json({ error: 'Lookup failed', code: 'LOOKUP_ERROR' });
+    }
+  });
+
   // Chat endpoint with product search priority
   app.post('/api/chat', async (req, res) => {
     const startTime = Date.now();
     
     try {
-      const { message } = req.body;
+      const { message, sessionId } = req.body;
 
       if (!message || typeof message !== 'string') {
         return res.status(400).json({ error: 'Message is required' });
@@ -265,9 +477,55 @@ try {
         return res.status(400).json({ error: 'Message too long' });
       }
 
+      // Detected once; drives FAQ entry choice, fallback text and the AI instruction
+      const detected = detectLanguage(message);
+      const languageMetadata = { language: detected.language, languageVariant: detected.variant };
+
+      // Previous turn's product lets follow-ups like "500мг нь байгаа юу?" resolve
+      const conversation = await loadSession(sessionId, req);
+      const productContext = conversation?.context?.lastProduct || null;
+      const parsedTurn = ProductSearchService.parseQuery(message);
+      const resolvedTurn = ProductSearchService.resolveWithContext(parsedTurn, productContext);
+      const guardrailContext = { channel: 'chat', sessionId: conversation ? sessionId : null };
+
+      const isProductQuery = IntentClassifier.isProductQuery(message) ||
+        (resolvedTurn.contextUsed && parsedTurn.dosage !== null);
+
+      const refuse = async (decision) => {
+        console.log(`🚨 Guardrail ${decision.action} in simple chat (${decision.rule}):`, decision.matched);
+
+        const metadata = {
+          source: 'forbidden_topic_blocked',
+          topicType: decision.category,
+          blockReason: decision.matched,
+          guardrail: GuardrailService.toMetadata(decision),
+          ...languageMetadata,
+          responseTime: Date.now() - startTime
+        };
+
+        await recordTurn(conversation, message, decision.response, metadata);
+
+        return res.json({
+          reply: decision.response,
+          sessionId: conversation ? sessionId : null,
+          metadata,
+          timestamp: new Date().toISOString()
+        });
+      };
+
+      // **STEP 0: Guardrail policy on the input (self-harm, ...; product queries get topic rules after the search)**
+      const inputCheck = await GuardrailService.evaluate(message, {
+        stage: 'input',
+        language: detected.language,
+        context: guardrailContext,
+        actions: isProductQuery ? GuardrailService.PRE_SEARCH_ACTIONS : null
+      });
+
+      if (!inputCheck.allowed) {
+        return refuse(inputCheck);
+      }
+
       // **STEP 1: Check if this is a product-related query**
-      const isProductQuery = isProductRelatedQuery(message);
-      
       if (isProductQuery) {
         console.log('🔍 Product query detected:', message);
         
@@ -275,68 +533,71 @@ try {
         const searchResults = await ProductSearchService.search(message, {
           limit: 5,
           threshold: 0.3,
-          includeInactive: true
+          includeInactive: true,
+          context: productContext
         });
         
         if (searchResults.products && searchResults.products.length > 0) {
           console.log(`✅ Found ${searchResults.products.length} products matching query`);
           
           // Build product response
-          const productList = searchResults.products.map((product, index) => {
-            const stockRange = getStockRange(product.available || product.stock || product.stock_quantity || 0);
-            return `${index + 1}. ${product.name} - Нөөц: ${stockRange}`;
-          }).join('\n');
-          
-          const productResponse = `Би танд ${searchResults.products.length} бүтээгдэхүүн оллоо:\n\n${productList}\n\nДэлгэрэнгүй мэдээллийг авахын тулд харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688`;
+          const productResponse = buildProductReply(searchResults.products);
+          const metadata = {
+            source: 'product_search',
+            productsFound: searchResults.products.length,
+            contextUsed: resolvedTurn.contextUsed,
+            ...languageMetadata,
+            responseTime: Date.now() - startTime
+          };
+
+          await recordTurn(conversation, message, productResponse, metadata, resolvedTurn);
           
           return res.json({
             reply: productResponse,
-            metadata: {
-              source: 'product_search',
-              productsFound: searchResults.products.length,
-              responseTime: Date.now() - startTime
-            },
+            sessionId: conversation ? sessionId : null,
+            metadata,
             timestamp: new Date().toISOString()
           });
         } else {
           console.log('❌ No products found for query');
         }
+
+        // Nothing found: the medical-advice/off-topic rules apply after all
+        const topicCheck = await GuardrailService.evaluate(message, {
+          stage: 'input',
+          language: detected.language,
+          context: guardrailContext,
+          actions: GuardrailService.TOPIC_ACTIONS
+        });
+
+        if (!topicCheck.allowed) {
+          return refuse(topicCheck);
+        }
       }
 
       // **STEP 2: Check FAQ with enhanced detection**
       console.log('🔍 Checking FAQ for:', message);
-      const faqResult = FAQService.searchFAQ(message);
+      const faqResult = await FAQService.searchFAQ(message, detected.language);
       
       // Handle direct FAQ match
       if (faqResult.found) {
         console.log(`✅ FAQ match found (confidence: ${faqResult.confidence}):`, faqResult.category);
         
-        return res.json({
-          reply: faqResult.answer,
-          metadata: {
-            source: 'faq',
-            category: faqResult.category,
-            confidence: faqResult.confidence,
-            matchType: faqResult.matchType,
-            responseTime: Date.now() - startTime
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
+        const metadata = {
+          source: 'faq',
+          category: faqResult.category,
+          confidence: faqResult.confidence,
+          matchType: faqResult.matchType,
+          ...languageMetadata,
+          responseTime: Date.now() - startTime
+        };
 
-      // Handle forbidden topics
-      if (faqResult.reason === 'forbidden_topic') {
-        console.log(`🚨 Forbidden topic in simple chat (${faqResult.topicType}):`, faqResult.blockReason);
-        const fallbackResponse = FAQService.generateFallbackResponse(message, 'mn');
+        await recordTurn(conversation, message, faqResult.answer, metadata);
         
         return res.json({
-          reply: fallbackResponse,
-          metadata: {
-            source: 'forbidden_topic_blocked',
-            topicType: faqResult.topicType,
-            blockReason: faqResult.blockReason,
-            responseTime: Date.now() - startTime
-          },
+          reply: faqResult.answer,
+          sessionId: conversation ? sessionId : null,
+          metadata,
           timestamp: new Date().toISOString()
         });
       }
@@ -347,22 +608,8 @@ try {
       }
 
       // **STEP 3: Use restricted AI for questions not in FAQ**
-      const systemPrompt = `You are a customer support chatbot for Monos Trade LLC.
-
-**CRITICAL RESTRICTIONS:**
-- You can ONLY answer questions using the provided knowledge base about Monos Trade LLC
-- If asked about medical advice, say: "Энэ талаар зөвхөн эмчид хандахыг зөвлөж байна."
-- For other questions outside scope, say: "Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688"
-- Never provide medical advice or drug recommendations
-- Only provide official company information
-
-**Company Info:**
-- Phone: +976 7766 6688
-- Email: info@monostrade.mn
-- Partnership: saranchimeg@monostrade.mn, +976 9924 2297`;
-
       const { response, metadata } = await OpenAIService.createChatCompletion([
-        { role: 'system', content: systemPrompt },
+        { role: 'system', content: restrictedSystemPrompt(detected) },
         { role: 'user', content: message }
       ], {
         model: config.AI.MODEL,
@@ -370,14 +617,29 @@ try {
         maxTokens: 150 // Shorter responses
       });
 
+      // Output guardrails: a blocked reply is replaced by the rule response
+      const outputCheck = await GuardrailService.evaluate(response.choices[0].message.content, {
+        stage: 'output',
+        language: detected.language,
+        context: guardrailContext
+      });
+      const reply = outputCheck.allowed ? response.choices[0].message.content : outputCheck.response;
+
+      const replyMetadata = {
+        source: 'ai_restricted',
+        model: metadata.model,
+        tokensUsed: metadata.tokensUsed,
+        guardrail: GuardrailService.toMetadata(outputCheck),
+        ...languageMetadata,
+        responseTime: Date.now() - startTime
+      };
+
+      await recordTurn(conversation, message, reply, replyMetadata);
+
       res.json({
-        reply: response.choices[0].message.content,
-        metadata: {
-          source: 'ai_restricted',
-          model: metadata.model,
-          tokensUsed: metadata.tokensUsed,
-          responseTime: Date.now() - startTime
-        },
+        reply,
+        sessionId: conversation ? sessionId : null,
+        metadata: replyMetadata,
         timestamp: new Date().toISOString()
       });
 
@@ -403,107 +665,229 @@ try {
     }
   });
 
-  // 404 handler
-  app.use('*', (req, res) => {
-    res.status(404).json({
-      error: 'Endpoint not found',
-      path: req.originalUrl,
-      availableEndpoints: [
-        'GET /health',
-        'GET /status', 
-        'GET /api/search',
-        'POST /api/chat'
-      ]
-    });
-  });
+  // Streaming chat endpoint (Server-Sent Events) - same product-first flow as /api/chat
+  app.post('/api/chat/stream', async (req, res) => {
+    const startTime = Date.now();
+    const { message, sessionId } = req.body;
 
-  // Error handler
-  app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-      error: 'Internal server error',
-      timestamp: new Date().toISOString()
-    });
-  });
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ error: 'Message is required' });
+    }
 
-  // Start server
-  const server = app.listen(config.SERVER.PORT, config.SERVER.HOST, () => {
-    console.log(`
-╔════════════════════════════════════════════════════════════╗
-║              🤖 ENTERPRISE AI PHARMACY CHATBOT            ║
-╠════════════════════════════════════════════════════════════╣
-║   Status: ✅ Running and Operational                       ║
-║   Host:   ${config.SERVER.HOST.padEnd(48)} ║
-║   Port:   ${config.SERVER.PORT.toString().padEnd(48)} ║
-║   Model:  ${config.AI.MODEL.padEnd(48)} ║
-╠════════════════════════════════════════════════════════════╣
-║   🔍 Health:  http://${config.SERVER.HOST}:${config.SERVER.PORT}/health                  ║
-║   📊 Status:  http://${config.SERVER.HOST}:${config.SERVER.PORT}/status                  ║
-║   🔎 Search:  GET /api/search?q=paracetamol                ║
-║   💬 Chat:    POST /api/chat {"message":"Hello"}           ║
-╠════════════════════════════════════════════════════════════╣
-║   🌐 Frontend: https://mns-chatbot-production.up.railway.app ║
-║   🔗 API Base: Use Railway assigned domain for API calls  ║
-╚════════════════════════════════════════════════════════════╝
-
-🎉 Enterprise AI Pharmacy Chatbot is ready!
-🧪 Test with: curl http://${config.SERVER.HOST}:${config.SERVER.PORT}/health
-📋 CORS enabled for: ${config.SECURITY.ALLOWED_ORIGINS.join(', ')}
-    `);
-  });
+    if (message.length > 2000) {
+      return res.status(400).json({ error: 'Message too long' });
+    }
 
-  // Handle graceful shutdown
-  const shutdown = (signal) => {
-    console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
-    server.close(() => {
-      console.log('✅ HTTP server closed.');
-      process.exit(0);
-    });
-  };
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
 
-  process.on('SIGTERM', () => shutdown('SIGTERM'));
-  process.on('SIGINT', () => shutdown('SIGINT'));
+    // res 'close' (not req) - the request stream closes as soon as the body is parsed
+    let clientClosed = false;
+    res.on('close', () => { clientClosed = !res.writableEnded; });
 
-  server.on('error', (err) => {
-    console.error('❌ Server error:', err);
-    if (err.code === 'EADDRINUSE') {
-      console.error(`Port ${config.SERVER.PORT} is already in use`);
-    }
-  });
+    let conversation = null;
+    const detected = detectLanguage(message);
 
-  // ==================== THREE-TIER ARCHITECTURE SETUP ====================
-  
-  console.log('\n🏗️ Initializing Three-Tier Architecture...');
-  console.log('   TIER 1: Vector DB (static catalog)');
-  console.log('   TIER 2: Redis Cache (hot data - 5 min TTL)');
-  console.log('   TIER 3: Real-time API (on-demand)');
+    const complete = async (metadata, reply, parsed = null) => {
+      const finalMetadata = {
+        ...metadata,
+        language: detected.language,
+        languageVariant: detected.variant,
+        responseTime: Date.now() - startTime
+      };
+
+      writeSSE(res, {
+        type: 'complete',
+        done: true,
+        sessionId: conversation ? sessionId : null,
+        metadata: finalMetadata,
+        timestamp: new Date().toISOString()
+      });
+      res.end();
+
+      await recordTurn(conversation, message, reply, finalMetadata, parsed);
+    };
 
-  // Start sync scheduler (enabled by default for automatic Redis caching)
-  if (config.SYNC.ENABLE_SCHEDULER) {
     try {
-      SyncScheduler.start();
-      console.log('✅ Sync scheduler started (Redis auto-caching every 5 minutes)');
-      
-      // Run initial sync after 10 seconds to populate cache immediately
-      setTimeout(async () => {
-        console.log('🔄 Running initial cache population...');
-        try {
-          await SyncScheduler.runManualSync('stock', { maxProducts: 100 });
-          console.log('✅ Initial cache populated with 100 products');
-        } catch (error) {
-          console.warn('⚠️ Initial cache population failed:', error.message);
-          console.warn('   Cache will be populated on next scheduled sync (5 min)');
+      conversation = await loadSession(sessionId, req);
+      const productContext = conversation?.context?.lastProduct || null;
+      const parsedTurn = ProductSearchService.parseQuery(message);
+      const resolvedTurn = ProductSearchService.resolveWithContext(parsedTurn, productContext);
+
+      const isProductQuery = IntentClassifier.isProductQuery(message) ||
+        (resolvedTurn.contextUsed && parsedTurn.dosage !== null);
+
+      const refuse = (decision) => {
+        console.log(`🚨 Guardrail ${decision.action} in stream chat (${decision.rule}):`, decision.matched);
+
+        writeSSE(res, {
+          type: 'result',
+          source: 'forbidden_topic_blocked',
+          reply: decision.response,
+          topicType: decision.category
+        });
+
+        return complete({
+          source: 'forbidden_topic_blocked',
+          topicType: decision.category,
+          guardrail: GuardrailService.toMetadata(decision),
+          tokensUsed: 0
+        }, decision.response);
+      };
+
+      // **STEP 0: Guardrail policy on the input (product queries get topic rules after the search)**
+      const guardrailContext = { channel: 'chat_stream', sessionId: conversation ? sessionId : null };
+      const inputCheck = await GuardrailService.evaluate(message, {
+        stage: 'input',
+        language: detected.language,
+        context: guardrailContext,
+        actions: isProductQuery ? GuardrailService.PRE_SEARCH_ACTIONS : null
+      });
+
+      if (!inputCheck.allowed) {
+        return refuse(inputCheck);
+      }
+
+      // **STEP 1: Product search - emitted as soon as results are in**
+      if (isProductQuery) {
+        console.log('🔍 Product query detected (stream):', message);
+
+        const searchResults = await ProductSearchService.search(message, {
+          limit: 5,
+          threshold: 0.3,
+          includeInactive: true,
+          context: productContext
+        });
+
+        if (searchResults.products && searchResults.products.length > 0) {
+          const productResponse = buildProductReply(searchResults.products);
+
+          writeSSE(res, {
+            type: 'result',
+            source: 'product_search',
+            reply: productResponse,
+            products: searchResults.products
+          });
+
+          return complete({
+            source: 'product_search',
+            productsFound: searchResults.products.length,
+            contextUsed: resolvedTurn.contextUsed,
+            tokensUsed: 0
+          }, productResponse, resolvedTurn);
         }
-      }, 10000);
-      
+
+        const topicCheck = await GuardrailService.evaluate(message, {
+          stage: 'input',
+          language: detected.language,
+          context: guardrailContext,
+          actions: GuardrailService.TOPIC_ACTIONS
+        });
+
+        if (!topicCheck.allowed) {
+          return refuse(topicCheck);
+        }
+      }
+
+      // **STEP 2: FAQ**
+      const faqResult = await FAQService.searchFAQ(message, detected.language);
+
+      if (faqResult.found) {
+        writeSSE(res, {
+          type: 'result',
+          source: 'faq',
+          reply: faqResult.answer,
+          category: faqResult.category,
+          confidence: faqResult.confidence,
+          matchType: faqResult.matchType
+        });
+
+        return complete({ source: 'faq', tokensUsed: 0 }, faqResult.answer);
+      }
+
+      // **STEP 3: Stream restricted AI tokens**
+      writeSSE(res, { type: 'status', message: 'Generating response...' });
+
+      const stream = await OpenAIService.createChatCompletion([
+        { role: 'system', content: restrictedSystemPrompt(detected) },
+        { role: 'user', content: message }
+      ], {
+        model: config.AI.MODEL,
+        temperature: 0.3,
+        maxTokens: 150,
+        stream: true
+      });
+
+      let tokensUsed = 0;
+
+      // Output guardrails: tokens are released sentence by sentence once the reply so far passes
+      const screen = GuardrailService.outputScreen({ language: detected.language, context: guardrailContext });
+
+      for await (const chunk of stream) {
+        if (clientClosed || screen.blocked) {
+          stream.controller.abort();
+          break;
+        }
+
+        const released = await screen.push(chunk.choices[0]?.delta?.content);
+        if (released) {
+          writeSSE(res, { type: 'content', content: released, done: false });
+        }
+
+        // Final chunk carries usage (stream_options.include_usage)
+        if (chunk.usage) {
+          tokensUsed = chunk.usage.total_tokens;
+        }
+      }
+
+      if (clientClosed) return;
+
+      const { text, decision: outputCheck, reply: fullResponse } = await screen.finish();
+
+      if (text) {
+        writeSSE(res, { type: 'content', content: text, done: false });
+      }
+
+      // Blocked: the held sentence was never sent; swap out what was already shown
+      if (!outputCheck.allowed) {
+        writeSSE(res, {
+          type: 'replace',
+          content: fullResponse,
+          guardrail: GuardrailService.toMetadata(outputCheck)
+        });
+      }
+
+      await complete({
+        source: 'ai_restricted',
+        model: config.AI.MODEL,
+        tokensUsed,
+        guardrail: GuardrailService.toMetadata(outputCheck)
+      }, fullResponse);
+
     } catch (error) {
-      console.error('❌ Failed to start scheduler:', error.message);
-      console.log('⚠️ Continuing without scheduler (manual sync still available)');
+      console.error('Stream chat error:', error);
+
+      if (!clientClosed) {
+        writeSSE(res, {
+          type: 'error',
+          error: 'Chat service failed',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+        res.end();
+      }
     }
-  } else {
-    console.log('ℹ️ Scheduler disabled (set ENABLE_SCHEDULER=true to enable)');
-    console.log('   Redis cache will NOT auto-update. Run manual syncs or enable scheduler.');
-  }
+  });
+
+  // Versioned chat API (sessions, history, function calling, streaming)
+  // Legacy POST /api/chat above stays until clients migrate to /api/v2
+  app.use('/api/v2', chatRoutes);
+
+  // Faceted product search
+  app.use('/api/products', productRoutes);
 
   // ==================== ADMIN ENDPOINTS ====================
   
@@ -618,33 +1002,88 @@ try {
     }
   });
 
-  console.log('✅ Admin endpoints configured:');
-  console.log('   GET  /api/admin/sync-status');
-  console.log('   POST /api/admin/sync');
-  console.log('   POST /api/admin/cache/clear');
-  console.log('   POST /api/admin/scheduler/:action');
+  // Admin: Drug lexicon (requires admin JWT)
+  app.use('/api/admin', adminRoutes);
 
-} catch (error) {
-  console.error('❌ Failed to start enterprise app:', error);
-  console.error('Stack:', error.stack);
-  process.exit(1);
+  // 404 handler - registered last so every route above (incl. admin) is reachable
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Endpoint not found',
+      path: req.originalUrl,
+      availableEndpoints: [
+        'GET /health',
+        'GET /status', 
+        'GET /api/search',
+        'GET /api/search/suggest',
+        'POST /api/search/feedback',
+        'GET /api/products/lookup',
+        'GET /api/products/search',
+        'GET /api/products/:id/alternatives',
+        'POST /api/chat',
+        'POST /api/chat/stream',
+        'POST /api/v2/chat',
+        'POST /api/v2/chat/stream',
+        'GET /api/v2/conversations',
+        'GET /api/v2/conversations/:sessionId',
+        'DELETE /api/v2/conversations/:sessionId'
+      ]
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return app;
 }
 
-// Helper function to detect product-related queries
-function isProductRelatedQuery(message) {
-  const productKeywords = [
-    // English
-    'medicine', 'medication', 'drug', 'pill', 'tablet', 'capsule', 'syrup', 'injection',
-    'paracetamol', 'acetaminophen', 'ibuprofen', 'aspirin', 'vitamin', 'supplement',
-    'prescription', 'dosage', 'mg', 'ml', 'available', 'stock', 'price', 'cost',
-    
-    // Mongolian
-    'эм', 'эмнэлэг', 'эмийн', 'таблет', 'капсул', 'шингэн', 'тарилга', 'уусмал',
-    'парацэтэмол', 'парацетамол', 'пара', 'витамин', 'өвчин', 'өвчин намдаах',
-    'байгаа', 'байна', 'байгааюу', 'үнэ', 'хэдэн', 'хэдвэ', 'хэдэн төгрөг',
-    'шинж тэмдэг', 'тэмдэг', 'өвчин', 'зовирол', 'зовирол намдаах'
-  ];
-  
-  const lowerMessage = message.toLowerCase();
-  return productKeywords.some(keyword => lowerMessage.includes(keyword.toLowerCase()));
-}
\ No newline at end of file
+/**
+ * Connect Redis and load the lexicon, FAQ and guardrail caches (before listening)
+ */
+export async function initializeServices() {
+  // Initialize Redis if enabled
+  if (config.REDIS.ENABLE_REDIS) {
+    console.log('🔴 Initializing Redis...');
+    try {
+      await DataSyncService.initializeRedis();
+      if (DataSyncService.redisConnected) {
+        console.log('✅ Redis connected and ready');
+        console.log(`   Cache TTL: ${config.REDIS.CACHE_TTL}s`);
+      } else {
+        console.log('⚠️  Redis connection failed - using database fallback');
+      }
+    } catch (error) {
+      console.log('⚠️  Redis initialization error:', error.message);
+      console.log('   Continuing with database fallback...');
+    }
+  } else {
+    console.log('⚠️  Redis is disabled - using database cache only');
+  }
+
+  // Load drug lexicon (Redis → drug_lexicon table → built-in defaults)
+  const lexiconSize = await DrugLexiconService.load();
+  console.log(`✅ Drug lexicon loaded (${lexiconSize} drugs)`);
+
+  // Load FAQs (Redis → faqs table → built-in defaults)
+  const faqCount = await FAQService.load();
+  console.log(`✅ FAQs loaded (${faqCount} entries)`);
+
+  // Load guardrail policy (Redis → guardrail_rules table → built-in defaults)
+  const guardrailCount = await GuardrailService.load();
+  console.log(`✅ Guardrail rules loaded (${guardrailCount} rules)`);
+
+  // FAQ phrase embeddings build in the background; keyword matching works meanwhile
+  FAQService.refreshSemanticIndex().catch(error => {
+    console.warn('⚠️ FAQ semantic index build failed:', error.message);
+  });
+
+  // Typeahead index builds in the background; the first /api/search/suggest waits for it
+  SuggestService.rebuild().catch(error => {
+    console.warn('⚠️ Suggest index build failed:', error.message);
+  });
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openai } from './openai.js';
+import config from './environment.js';
+
+/**
+ * Chat Completion Providers
+ * OpenAIService.createChatCompletion (and so every chat path: /api/chat,
+ * /api/chat/stream, /api/v2/chat and their streams) goes through
+ * getChatProvider(), selected by CHAT_PROVIDER:
+ *   openai - OpenAI chat completions API (default)
+ *   mock   - replays scripted responses and tool_calls from a fixture file, no network
+ *
+ * A provider has { name } and async complete(params), where params are
+ * openai.chat.completions.create params. It returns an OpenAI-shaped
+ * completion, or with params.stream an async iterable of OpenAI-shaped
+ * chunks that also has controller.abort().
+ */
+
+const DEFAULT_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures/chat-mock.json');
+
+/**
+ * OpenAI chat completions API
+ */
+export class OpenAIChatProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  async complete(params) {
+    return openai.chat.completions.create(params);
+  }
+}
+
+/**
+ * Scripted provider for tests and offline development.
+ *
+ * Responses come from, in order:
+ *   1. the queue (enqueue(...entries)), consumed one per call
+ *   2. the first fixture whose conditions match the request
+ *
+ * Entry: { content?, tool_calls?: [{ name, arguments }], usage?, error?: { status, message } }
+ * Fixture conditions (all optional, all must hold):
+ *   match    - case-insensitive substring of the last user message
+ *   afterTool - the request carries results of this tool call
+ *   withTools - whether the request offers tools (main chat) or not (restricted AI)
+ *
+ * Every request is kept in `calls` so tests can assert what was sent.
+ */
+export class MockChatProvider {
+  static CHUNK_PATTERN = /\S+\s*|\s+/g;   // Stream content word by word
+
+  constructor(fixtures = []) {
+    this.name = 'mock';
+    this.fixtures = fixtures;
+    this.queue = [];
+    this.calls = [];
+  }
+
+  static fromFile(path = config.AI.CHAT_MOCK_FIXTURES || DEFAULT_FIXTURES) {
+    const fixtures = JSON.parse(fs.readFileSync(path, 'utf8'));
+
+    if (!Array.isArray(fixtures)) {
+      throw new Error(`Chat mock fixtures must be a JSON array: ${path}`);
+    }
+
+    return new MockChatProvider(fixtures);
+  }
+
+  enqueue(...entries) {
+    this.queue.push(...entries);
+    return this;
+  }
+
+  reset() {
+    this.queue = [];
+    this.calls = [];
+  }
+
+  async complete(params) {
+    this.calls.push(params);
+
+    const entry = this.queue.length > 0 ? this.queue.shift() : this.findFixture(params);
+
+    if (!entry) {
+      const lastUser = this.lastUserMessage(params.messages);
+      throw new Error(`Mock chat provider has no scripted response for: "${lastUser.slice(0, 80)}"`);
+    }
+
+    if (entry.error) {
+      const error = new Error(entry.error.message || 'Mock chat provider error');
+      error.status = entry.error.status;
+      throw error;
+    }
+
+    const completion = this.buildCompletion(entry, params);
+    return params.stream ? this.streamCompletion(completion, params) : completion;
+  }
+
+  // ================================================================
+  // MATCHING
+  // ================================================================
+
+  findFixture(params) {
+    const lastUser = this.lastUserMessage(params.messages).toLowerCase();
+    const toolResults = this.toolResultNames(params.messages);
+    const withTools = Array.isArray(params.tools) && params.tools.length > 0;
+
+    return this.fixtures.find(fixture =>
+      (fixture.match === undefined || lastUser.includes(fixture.match.toLowerCase())) &&
+      (fixture.afterTool === undefined ? toolResults.length === 0 : toolResults.includes(fixture.afterTool)) &&
+      (fixture.withTools === undefined || fixture.withTools === withTools)
+    );
+  }
+
+  lastUserMessage(messages = []) {
+    const message = [...messages].reverse().find(m => m.role === 'user');
+    return typeof message?.content === 'string' ? message.content : '';
+  }
+
+  /**
+   * Names of the tools whose results follow the last assistant tool_calls message
+   */
+  toolResultNames(messages = []) {
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'tool') return [];
+
+    const callNames = new Map();
+    for (const message of messages) {
+      for (const call of message.tool_calls || []) {
+        callNames.set(call.id, call.function?.name);
+      }
+    }
+
+    return messages
+      .filter(m => m.role === 'tool')
+      .map(m => callNames.get(m.tool_call_id))
+      .filter(Boolean);
+  }
+
+  // ================================================================
+  // RESPONSE BUILDING
+  // ================================================================
+
+  buildCompletion(entry, params) {
+    const callNumber = this.calls.length;
+    const toolCalls = (entry.tool_calls || []).map((call, index) => ({
+      id: call.id || `call_mock_${callNumber}_${index}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }
+    }));
+
+    const content = entry.content ?? null;
+    const message = { role: 'assistant', content };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+    return {
+      id: `chatcmpl-mock-${callNumber}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: params.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+      }],
+      usage: entry.usage || this.estimateUsage(params.messages, content, toolCalls)
+    };
+  }
+
+  /**
+   * Same chunk shapes as the OpenAI SDK: content deltas, one delta per
+   * tool call, a finish_reason chunk, then usage when include_usage is set
+   */
+  streamCompletion(completion, params) {
+    const controller = new AbortController();
+    const { message, finish_reason } = completion.choices[0];
+    const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+    const chunk = (delta, finishReason = null) => ({ ...base, choices: [{ index: 0, delta, finish_reason: finishReason }] });
+
+    async function* generate() {
+      const chunks = [];
+
+      for (const piece of (message.content || '').match(MockChatProvider.CHUNK_PATTERN) || []) {
+        chunks.push(chunk({ content: piece }));
+      }
+
+      (message.tool_calls || []).forEach((call, index) => {
+        chunks.push(chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments } }] }));
+      });
+
+      chunks.push(chunk({}, finish_reason));
+
+      if (params.stream_options?.include_usage) {
+        chunks.push({ ...base, choices: [], usage: completion.usage });
+      }
+
+      for (const next of chunks) {
+        if (controller.signal.aborted) return;
+        yield next;
+      }
+    }
+
+    const iterator = generate();
+    return { controller, [Symbol.asyncIterator]: () => iterator };
+  }
+
+  /**
+   * Rough token counts (~4 characters per token) so cost tracking has numbers
+   */
+  estimateUsage(messages = [], content, toolCalls) {
+    const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    const completionTokens = Math.ceil(((content || '').length + JSON.stringify(toolCalls).length) / 4);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+}
+
+const PROVIDERS = {
+  openai: () => new OpenAIChatProvider(),
+  mock: () => MockChatProvider.fromFile()
+};
+
+let defaultProvider = null;
+
+/**
+ * Configured provider (shared instance)
+ */
+export function getChatProvider() {
+  if (!defaultProvider) {
+    const create = PROVIDERS[config.AI.CHAT_PROVIDER];
+
+    if (!create) {
+      throw new Error(`Unknown CHAT_PROVIDER "${config.AI.CHAT_PROVIDER}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    defaultProvider = create();
+  }
+
+  return defaultProvider;
+}
+
+/**
+ * Replace the shared provider (tests inject a MockChatProvider with a queued script)
+ */
+export function setChatProvider(provider) {
+  defaultProvider = provider;
+}
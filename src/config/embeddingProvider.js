@@ -0,0 +1,126 @@
+import { openai } from './openai.js';
+import config from './environment.js';
+import { matchKey } from '../utils/transliteration.js';
+
+/**
+ * Embedding Providers
+ * Everything that needs vectors (search, sync, scripts) goes through
+ * getEmbeddingProvider(), selected by EMBEDDING_PROVIDER:
+ *   openai - OpenAI embeddings API (default)
+ *   local  - deterministic hashed character n-grams, no network (CI, offline dev)
+ *
+ * A provider has { name, model, dimensions } and async embed(texts) → number[][]
+ * (one vector per text, same order). `model` is what cache keys and
+ * products.embedding_model record, so switching providers never mixes vectors.
+ */
+
+/**
+ * OpenAI embeddings API
+ */
+export class OpenAIEmbeddingProvider {
+  constructor(model = config.AI.EMBEDDING_MODEL || 'text-embedding-3-small') {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = config.AI.EMBEDDING_DIMENSIONS;
+  }
+
+  async embed(texts) {
+    const response = await openai.embeddings.create({
+      model: this.model,
+      input: texts.map(text => text.trim().slice(0, 8000))
+    });
+
+    return response.data.map(item => item.embedding);
+  }
+}
+
+/**
+ * Feature-hashed character trigrams + whole words on script-independent keys
+ * (matchKey), L2-normalized. Same text → same vector on every machine;
+ * "парацетамол" and "paracetamol" land close together. Not semantic - it
+ * stands in for OpenAI so the full pipeline runs without network access.
+ */
+export class LocalEmbeddingProvider {
+  static WORD_WEIGHT = 1.0;
+  static TRIGRAM_WEIGHT = 0.5;
+
+  constructor(dimensions = config.AI.EMBEDDING_DIMENSIONS) {
+    this.name = 'local';
+    this.model = `local-ngram-v1-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = matchKey((text || '').slice(0, 8000)).split(' ').filter(Boolean);
+
+    for (const word of words) {
+      this.addFeature(vector, `w:${word}`, LocalEmbeddingProvider.WORD_WEIGHT);
+
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `t:${padded.slice(i, i + 3)}`, LocalEmbeddingProvider.TRIGRAM_WEIGHT);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    // pgvector cosine distance is undefined for a zero vector
+    if (norm === 0) {
+      vector[0] = 1;
+      return vector;
+    }
+
+    return vector.map(value => value / norm);
+  }
+
+  /**
+   * Signed feature hashing: the hash picks the slot, its top bit the sign
+   */
+  addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+let defaultProvider = null;
+
+/**
+ * Configured provider (shared instance)
+ */
+export function getEmbeddingProvider() {
+  if (!defaultProvider) {
+    const Provider = PROVIDERS[config.AI.EMBEDDING_PROVIDER];
+
+    if (!Provider) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${config.AI.EMBEDDING_PROVIDER}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    defaultProvider = new Provider();
+  }
+
+  return defaultProvider;
+}
+
+/**
+ * 32-bit FNV-1a over UTF-16 code units (unsigned)
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
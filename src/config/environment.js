@@ -46,6 +46,12 @@ export const config = {
     API_KEY: process.env.OPENAI_API_KEY,
     MODEL: process.env.AI_MODEL || 'gpt-4o',
     EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    // 'openai' or 'local' (offline hashed n-grams; see src/config/embeddingProvider.js)
+    EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai',
+    EMBEDDING_DIMENSIONS: parseInt(process.env.EMBEDDING_DIMENSIONS) || 1536,  // products.embedding is VECTOR(1536)
+    // 'openai' or 'mock' (scripted fixtures; see src/config/chatProvider.js)
+    CHAT_PROVIDER: process.env.CHAT_PROVIDER || 'openai',
+    CHAT_MOCK_FIXTURES: process.env.CHAT_MOCK_FIXTURES || null,
     TEMPERATURE: parseFloat(process.env.AI_TEMPERATURE) || 0.3,
     MAX_TOKENS: parseInt(process.env.AI_MAX_TOKENS) || 800,
     MAX_RETRIES: 3,
@@ -93,7 +99,10 @@ export const config = {
     DEFAULT_LIMIT: parseInt(process.env.SEARCH_DEFAULT_LIMIT) || 5,
     MAX_LIMIT: parseInt(process.env.SEARCH_MAX_LIMIT) || 20,
     SIMILARITY_THRESHOLD: parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.7,
-    HYBRID_SEMANTIC_WEIGHT: parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT) || 0.7
+    // Vector share in hybrid rank fusion (0 = keyword only, 1 = vector only)
+    HYBRID_SEMANTIC_WEIGHT: process.env.HYBRID_SEMANTIC_WEIGHT !== undefined && !isNaN(parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT))
+      ? parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT)
+      : 0.7
   },
 
   // Feature Flags
@@ -158,7 +167,7 @@ export function validateConfig() {
     { key: 'SUPABASE_URL', value: config.DATABASE.SUPABASE_URL },
     { key: 'SUPABASE_KEY', value: config.DATABASE.SUPABASE_KEY },
     { key: 'OPENAI_API_KEY', value: config.AI.API_KEY }
-  ];
+  ].filter(({ key }) => key !== 'OPENAI_API_KEY' || usesOpenAI());
 
   const missing = required.filter(({ value }) => !value);
 
@@ -208,6 +217,14 @@ export function validateConfig() {
   console.log('✅ Configuration validated successfully');
 }
 
+/**
+ * OpenAI key is only needed when a provider actually calls OpenAI
+ * (CHAT_PROVIDER=mock + EMBEDDING_PROVIDER=local runs offline)
+ */
+function usesOpenAI() {
+  return config.AI.CHAT_PROVIDER === 'openai' || config.AI.EMBEDDING_PROVIDER === 'openai';
+}
+
 /**
  * Get configuration summary for debugging
  */
@@ -216,6 +233,8 @@ export function getConfigSummary() {
     environment: config.SERVER.NODE_ENV,
     port: config.SERVER.PORT,
     aiModel: config.AI.MODEL,
+    chatProvider: config.AI.CHAT_PROVIDER,
+    embeddingProvider: config.AI.EMBEDDING_PROVIDER,
     features: config.FEATURES,
     rateLimit: config.RATE_LIMIT.MAX_REQUESTS + '/min',
     conversationHistory: config.CONVERSATION.MAX_HISTORY
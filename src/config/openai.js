@@ -1,11 +1,15 @@
 import OpenAI from 'openai';
 import config from './environment.js';
+import { getEmbeddingProvider } from './embeddingProvider.js';
+import { getChatProvider } from './chatProvider.js';
 
 /**
  * Enhanced OpenAI client with monitoring and retry logic
  */
 export const openai = new OpenAI({
-  apiKey: config.AI.API_KEY,
+  // Offline providers (CHAT_PROVIDER=mock, EMBEDDING_PROVIDER=local) run without a key;
+  // the SDK refuses to construct without one, so requests fail with 401 instead
+  apiKey: config.AI.API_KEY || 'not-configured',
   maxRetries: config.AI.MAX_RETRIES,
   timeout: config.AI.TIMEOUT,
   defaultHeaders: {
@@ -26,35 +30,28 @@ export class OpenAIService {
   };
 
   /**
-   * Generate embeddings with caching and error handling
+   * Generate one embedding with the configured embedding provider
    */
-  static async generateEmbedding(text, model = config.AI.EMBEDDING_MODEL) {
+  static async generateEmbedding(text, provider = getEmbeddingProvider()) {
     if (!text || text.trim().length === 0) {
       throw new Error('Text is required for embedding generation');
     }
 
     try {
       const startTime = Date.now();
-      
-      const response = await openai.embeddings.create({
-        model,
-        input: text.trim().slice(0, 8000), // Limit input length
-        encoding_format: 'float'
-      });
 
-      const embedding = response.data[0].embedding;
+      const [embedding] = await provider.embed([text.trim()]);
       const responseTime = Date.now() - startTime;
       
       // Log metrics
       if (config.FEATURES.ENABLE_ANALYTICS) {
-        console.log(`Embedding generated: ${responseTime}ms, tokens: ${response.usage?.total_tokens || 'unknown'}`);
+        console.log(`Embedding generated (${provider.name}): ${responseTime}ms`);
       }
 
       return {
         embedding,
-        tokens: response.usage?.total_tokens || 0,
         responseTime,
-        model
+        model: provider.model
       };
       
     } catch (error) {
@@ -64,7 +61,7 @@ export class OpenAIService {
   }
 
   /**
-   * Enhanced chat completion with token tracking
+   * Enhanced chat completion with token tracking (configured chat provider)
    */
   static async createChatCompletion(messages, options = {}) {
     const {
@@ -95,10 +92,11 @@ export class OpenAIService {
 
       if (stream) {
         params.stream = true;
-        return await openai.chat.completions.create(params);
+        params.stream_options = { include_usage: true }; // usage arrives on the final chunk
+        return await getChatProvider().complete(params);
       }
 
-      const response = await openai.chat.completions.create(params);
+      const response = await getChatProvider().complete(params);
       const responseTime = Date.now() - startTime;
 
       // Calculate costs
@@ -133,9 +131,9 @@ export class OpenAIService {
   }
 
   /**
-   * Batch embedding generation for efficiency
+   * Batch embedding generation for efficiency (configured embedding provider)
    */
-  static async generateBatchEmbeddings(texts, model = config.AI.EMBEDDING_MODEL) {
+  static async generateBatchEmbeddings(texts, provider = getEmbeddingProvider()) {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error('Texts array is required');
     }
@@ -146,16 +144,11 @@ export class OpenAIService {
     try {
       for (let i = 0; i < texts.length; i += batchSize) {
         const batch = texts.slice(i, i + batchSize);
-        
-        const response = await openai.embeddings.create({
-          model,
-          input: batch.map(text => text.trim().slice(0, 8000))
-        });
 
-        results.push(...response.data.map(item => item.embedding));
+        results.push(...await provider.embed(batch));
         
         // Rate limiting for large batches
-        if (i + batchSize < texts.length) {
+        if (provider.name === 'openai' && i + batchSize < texts.length) {
           await new Promise(resolve => setTimeout(resolve, 100));
         }
       }
@@ -193,6 +186,11 @@ export class OpenAIService {
  * Test OpenAI connection and capabilities
  */
 export async function testOpenAIConnection() {
+  if (config.AI.CHAT_PROVIDER !== 'openai' && config.AI.EMBEDDING_PROVIDER !== 'openai') {
+    console.log(`⏭️ OpenAI not in use (chat: ${config.AI.CHAT_PROVIDER}, embeddings: ${config.AI.EMBEDDING_PROVIDER})`);
+    return true;
+  }
+
   try {
     console.log('🔍 Testing OpenAI connection...');
     
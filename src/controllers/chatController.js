@@ -1,10 +1,15 @@
-import { openai, OpenAIService } from '../config/openai.js';
+import { OpenAIService } from '../config/openai.js';
+import { supabase } from '../config/database.js';
 import config from '../config/environment.js';
 import { ConversationService } from '../services/conversationService.js';
 import { ProductSearchService } from '../services/productSearchService.js';
 import { FunctionExecutor } from '../utils/functionExecutor.js';
 import { functionDefinitions, getAvailableFunctions } from '../utils/functionDefinitions.js';
 import FAQService from '../services/faqService.js';
+import { IntentClassifier } from '../services/intentClassifier.js';
+import { GuardrailService } from '../services/guardrailService.js';
+import { detectLanguage, responseLanguageInstruction } from '../utils/languageDetector.js';
+import { conversationUserId } from '../middleware/authentication.js';
 
 /**
  * Enterprise Chat Controller
@@ -12,6 +17,28 @@ import FAQService from '../services/faqService.js';
  * function calling, context management, and intelligent response generation
  */
 
+/**
+ * Run the output guardrails on an AI reply
+ * @returns {{ reply, decision, warnings }} - reply replaced when a rule blocks it
+ */
+async function screenReply(reply, detected, context) {
+  const decision = await GuardrailService.evaluate(reply, {
+    stage: 'output',
+    language: detected.language,
+    context
+  });
+
+  if (!decision.allowed) {
+    console.log(`🛡️ AI reply replaced by guardrail (${decision.rule}):`, decision.matched);
+  }
+
+  return {
+    reply: decision.allowed ? reply : decision.response,
+    decision,
+    warnings: decision.warnings.map(warning => `Guardrail warning: ${warning.rule}`)
+  };
+}
+
 /**
  * Convert stock quantity to range format
  */
@@ -55,10 +82,30 @@ function buildProductContext(items, query) {
   return `**Available Products Related to "${query}":**\n\n${context}`;
 }
 
+/**
+ * The search this turn should be credited with if the user orders (search feedback).
+ * Only drug searches count - "тийм, захиална" keeps the previous turn's search.
+ */
+async function resolveLastSearch(conversation, message, products) {
+  if (products && products.length > 0 && ProductSearchService.parseQuery(message).drugName) {
+    const lastSearch = { query: message, productIds: products.map(product => product.id) };
+
+    try {
+      await ConversationService.updateContext(conversation.id, { lastSearch });
+    } catch (error) {
+      console.warn('⚠️ Failed to remember search:', error.message);
+    }
+
+    return lastSearch;
+  }
+
+  return conversation.context?.lastSearch || null;
+}
+
 /**
  * Build comprehensive system prompt with pharmaceutical intelligence
  */
-function buildSystemPrompt(productContext, userProfile = null) {
+function buildSystemPrompt(productContext, userProfile = null, detected = null) {
   const basePrompt = `You are a customer support chatbot for Monos Trade LLC, a pharmaceutical distribution company in Mongolia.
 
 **PRIMARY FUNCTION - PRODUCT SEARCH:**
@@ -69,6 +116,7 @@ You are a PRODUCT AVAILABILITY assistant. Your main job is to help customers fin
    - CHECK THE PROVIDED PRODUCT LIST FIRST
    - If exact match found: Confirm availability with price and stock
    - If no exact match but similar products found: Offer alternatives with SAME active ingredient
+   - If the product is out of stock: call findAlternatives with its ID and offer only what it returns
    - If nothing found: Apologize and provide contact information
 
 2. CRITICAL RULES FOR PRODUCT RESPONSES:
@@ -123,7 +171,7 @@ You are a PRODUCT AVAILABILITY assistant. Your main job is to help customers fin
 
 **Response Guidelines:**
 - Be professional and helpful within the allowed scope
-- Use both English and Mongolian as appropriate
+- Reply in the customer's language (see Response Language below)
 - Provide exact information from the FAQ database
 - For medical questions: redirect to healthcare professionals
 - For out-of-scope questions: redirect to customer service
@@ -134,12 +182,18 @@ ${productContext}
 
 **REMEMBER:** You are strictly limited to FAQ information only. Do not engage in open-ended conversations or provide information not explicitly covered in the FAQ database.`;
 
+  let prompt = basePrompt;
+
+  if (detected) {
+    prompt += `\n\n**Response Language:** ${responseLanguageInstruction(detected)}`;
+  }
+
   if (userProfile) {
-    return basePrompt + `\n\n**User Context:**
+    prompt += `\n\n**User Context:**
 - Account type: ${userProfile.isAnonymous ? 'Guest' : 'Registered'}`;
   }
 
-  return basePrompt;
+  return prompt;
 }
 
 /**
@@ -151,11 +205,11 @@ export async function handleChat(req, res) {
 
   try {
     const { message, sessionId, metadata = {} } = req.body;
-    const userId = req.user.id;
     const isAnonymous = req.user.isAnonymous;
 
     // Generate session ID if not provided
     const actualSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const userId = conversationUserId(req.user, actualSessionId);
 
     // Enhanced metadata
     const enrichedMetadata = {
@@ -166,9 +220,62 @@ export async function handleChat(req, res) {
       ...metadata
     };
 
+    // Reply language drives FAQ entry choice, fallback text and the AI instruction
+    const detected = detectLanguage(message);
+    const languageMetadata = { language: detected.language, languageVariant: detected.variant };
+    const guardrailContext = { channel: 'chat_v2', sessionId: actualSessionId, userId };
+
     // **STEP 1: Check if this is a product-related query first**
-    const isProductQuery = isProductRelatedQuery(message);
+    const isProductQuery = IntentClassifier.isProductQuery(message);
     console.log(`🔍 Message analysis: ${isProductQuery ? 'Product query' : 'General query'}:`, message);
+
+    const refuse = async (decision) => {
+      console.log(`🚨 Guardrail ${decision.action} (${decision.rule}):`, decision.matched);
+
+      const conversation = await ConversationService.getOrCreate(userId, actualSessionId, enrichedMetadata);
+      await ConversationService.addMessage(conversation.id, 'user', message);
+      await ConversationService.addMessage(conversation.id, 'assistant', decision.response, {
+        source: 'forbidden_topic_blocked',
+        topicType: decision.category,
+        blockReason: decision.matched,
+        guardrail: GuardrailService.toMetadata(decision)
+      });
+
+      const suggestions = decision.category === 'medical_advice'
+        ? ['Эмчид хандах', 'Эрүүл мэндийн мэргэжилтэн']
+        : ['Харилцагчийн үйлчилгээ: +976 7766 6688'];
+
+      return res.json({
+        reply: decision.response,
+        conversationId: conversation.id,
+        sessionId: actualSessionId,
+        metadata: {
+          responseTime: Date.now() - startTime,
+          source: 'forbidden_topic_blocked',
+          topicType: decision.category,
+          blockReason: decision.matched,
+          guardrail: GuardrailService.toMetadata(decision),
+          ...languageMetadata
+        },
+        suggestions,
+        warnings: [`Guardrail ${decision.action}: ${decision.rule}`]
+      });
+    };
+
+    // Guardrail policy on the input (self-harm, ...); product queries get the
+    // medical-advice/off-topic rules only if the search finds nothing
+    const inputCheck = await GuardrailService.evaluate(message, {
+      stage: 'input',
+      language: detected.language,
+      context: guardrailContext,
+      actions: isProductQuery ? GuardrailService.PRE_SEARCH_ACTIONS : null
+    });
+
+    if (!inputCheck.allowed) {
+      return refuse(inputCheck);
+    }
+
+    const inputWarnings = inputCheck.warnings.map(warning => `Guardrail warning: ${warning.rule}`);
     
     let faqResult = null;
     let productSearchResults = null;
@@ -190,12 +297,25 @@ export async function handleChat(req, res) {
         console.log('🎯 Products found - skipping FAQ, using AI with product context');
         faqResult = { found: false, reason: 'products_found_priority' };
       } else {
+        const topicCheck = await GuardrailService.evaluate(message, {
+          stage: 'input',
+          language: detected.language,
+          context: guardrailContext,
+          actions: GuardrailService.TOPIC_ACTIONS
+        });
+
+        if (!topicCheck.allowed) {
+          return refuse(topicCheck);
+        }
+
+        inputWarnings.push(...topicCheck.warnings.map(warning => `Guardrail warning: ${warning.rule}`));
+
         // No products found, fall back to FAQ
-        faqResult = FAQService.searchFAQ(message);
+        faqResult = await FAQService.searchFAQ(message, detected.language);
       }
     } else {
       // **STEP 1B: For non-product queries, check FAQ first**
-      faqResult = FAQService.searchFAQ(message);
+      faqResult = await FAQService.searchFAQ(message, detected.language);
     }
     
     // Handle FAQ match found (only for non-product queries or when no products found)
@@ -223,45 +343,14 @@ export async function handleChat(req, res) {
           source: 'faq',
           category: faqResult.category,
           confidence: faqResult.confidence,
-          matchType: faqResult.matchType
+          matchType: faqResult.matchType,
+          ...languageMetadata
         },
         suggestions: generateFAQSuggestions(faqResult.category),
         warnings: []
       });
     }
 
-    // Handle forbidden topics (medical advice, politics, etc.)
-    if (faqResult.reason === 'forbidden_topic') {
-      console.log(`🚨 Forbidden topic detected (${faqResult.topicType}):`, faqResult.blockReason);
-      const fallbackResponse = FAQService.generateFallbackResponse(message, 'mn');
-      
-      const conversation = await ConversationService.getOrCreate(userId, actualSessionId, enrichedMetadata);
-      await ConversationService.addMessage(conversation.id, 'user', message);
-      await ConversationService.addMessage(conversation.id, 'assistant', fallbackResponse, {
-        source: 'forbidden_topic_blocked',
-        topicType: faqResult.topicType,
-        blockReason: faqResult.blockReason
-      });
-
-      const suggestions = faqResult.topicType === 'medical_advice' 
-        ? ['Эмчид хандах', 'Эрүүл мэндийн мэргэжилтэн']
-        : ['Харилцагчийн үйлчилгээ: +976 7766 6688'];
-
-      return res.json({
-        reply: fallbackResponse,
-        conversationId: conversation.id,
-        sessionId: actualSessionId,
-        metadata: {
-          responseTime: Date.now() - startTime,
-          source: 'forbidden_topic_blocked',
-          topicType: faqResult.topicType,
-          blockReason: faqResult.blockReason
-        },
-        suggestions,
-        warnings: [`Forbidden topic blocked: ${faqResult.topicType}`]
-      });
-    }
-
     // Handle low confidence / no match OR product queries with no results
     if (faqResult.reason === 'confidence_too_low' || faqResult.reason === 'no_match' || faqResult.reason === 'products_found_priority') {
       console.log(`🤖 Using AI with product context - ${faqResult.reason} (confidence: ${faqResult.confidence || 0})`);
@@ -288,7 +377,8 @@ export async function handleChat(req, res) {
     const relevantProducts = searchResult.products || searchResult;
 
     const productContext = buildProductContext(relevantProducts, message);
-    const systemPrompt = buildSystemPrompt(productContext, req.user);
+    const systemPrompt = buildSystemPrompt(productContext, req.user, detected);
+    const lastSearch = await resolveLastSearch(conversation, message, relevantProducts);
 
     // Get available functions based on user permissions
     const availableFunctions = getAvailableFunctions(req.user);
@@ -319,7 +409,8 @@ export async function handleChat(req, res) {
         userId,
         sessionId: actualSessionId,
         user: req.user,
-        conversationId
+        conversationId,
+        lastSearch
       };
 
       const functionResults = await FunctionExecutor.executeMultiple(
@@ -347,7 +438,8 @@ export async function handleChat(req, res) {
         user: userId
       });
 
-      const finalResponse = finalCompletionResult.response.choices[0].message.content;
+      const screened = await screenReply(finalCompletionResult.response.choices[0].message.content, detected, guardrailContext);
+      const finalResponse = screened.reply;
       const totalMetadata = {
         ...completionResult.metadata,
         finalTokens: finalCompletionResult.metadata.tokensUsed,
@@ -364,7 +456,8 @@ export async function handleChat(req, res) {
 
       await ConversationService.addMessage(conversationId, 'assistant', finalResponse, {
         ...totalMetadata,
-        functionsUsed: functionResults.map(r => r.functionName)
+        functionsUsed: functionResults.map(r => r.functionName),
+        guardrail: GuardrailService.toMetadata(screened.decision)
       });
 
       const responseTime = Date.now() - startTime;
@@ -382,15 +475,18 @@ export async function handleChat(req, res) {
             success: r.result.success
           })),
           searchResultsFound: relevantProducts.length,
-          conversationLength: conversationHistory.length + 1
+          conversationLength: conversationHistory.length + 1,
+          guardrail: GuardrailService.toMetadata(screened.decision),
+          ...languageMetadata
         },
         suggestions: generateFollowUpSuggestions(finalResponse, functionResults),
-        warnings: req.validationWarnings || []
+        warnings: [...(req.validationWarnings || []), ...inputWarnings, ...screened.warnings]
       });
     }
 
     // Handle regular response without function calls
-    const reply = responseMessage.content;
+    const screened = await screenReply(responseMessage.content, detected, guardrailContext);
+    const reply = screened.reply;
 
     // Save conversation messages
     await ConversationService.addMessage(conversationId, 'user', message, {
@@ -399,7 +495,8 @@ export async function handleChat(req, res) {
     });
 
     await ConversationService.addMessage(conversationId, 'assistant', reply, {
-      ...completionResult.metadata
+      ...completionResult.metadata,
+      guardrail: GuardrailService.toMetadata(screened.decision)
     });
 
     const responseTime = Date.now() - startTime;
@@ -414,10 +511,12 @@ export async function handleChat(req, res) {
         estimatedCost: completionResult.metadata.estimatedCost,
         model: completionResult.metadata.model,
         searchResultsFound: relevantProducts.length,
-        conversationLength: conversationHistory.length + 1
+        conversationLength: conversationHistory.length + 1,
+        guardrail: GuardrailService.toMetadata(screened.decision),
+        ...languageMetadata
       },
       suggestions: generateFollowUpSuggestions(reply),
-      warnings: req.validationWarnings || []
+      warnings: [...(req.validationWarnings || []), ...inputWarnings, ...screened.warnings]
     });
     }
 
@@ -476,9 +575,10 @@ export async function handleChat(req, res) {
 export async function handleChatStream(req, res) {
   try {
     const { message, sessionId, metadata = {} } = req.body;
-    const userId = req.user.id;
 
     const actualSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const userId = conversationUserId(req.user, actualSessionId);
+    const detected = detectLanguage(message);
 
     // Set up Server-Sent Events
     res.setHeader('Content-Type', 'text/event-stream');
@@ -495,12 +595,65 @@ export async function handleChatStream(req, res) {
 
     // Get conversation and context
     const conversation = await ConversationService.getOrCreate(userId, actualSessionId, metadata);
-    const conversationHistory = await ConversationService.getHistory(conversation.id, { limit: 10 });
+    const guardrailContext = { channel: 'chat_v2_stream', sessionId: actualSessionId, userId };
+
+    const isProductQuery = IntentClassifier.isProductQuery(message);
+
+    // Guardrail policy on the input: send the rule response as the whole reply
+    const refuse = async (decision) => {
+      console.log(`🚨 Guardrail ${decision.action} (${decision.rule}):`, decision.matched);
+
+      await ConversationService.addMessage(conversation.id, 'user', message);
+      await ConversationService.addMessage(conversation.id, 'assistant', decision.response, {
+        streaming: true,
+        source: 'forbidden_topic_blocked',
+        guardrail: GuardrailService.toMetadata(decision)
+      });
+
+      res.write(`data: ${JSON.stringify({ type: 'content', content: decision.response, done: false })}\n\n`);
+      res.write(`data: ${JSON.stringify({
+        type: 'complete',
+        conversationId: conversation.id,
+        done: true,
+        guardrail: GuardrailService.toMetadata(decision),
+        suggestions: []
+      })}\n\n`);
+      return res.end();
+    };
+
+    // Product queries get the medical-advice/off-topic rules only if the search finds nothing
+    const inputCheck = await GuardrailService.evaluate(message, {
+      stage: 'input',
+      language: detected.language,
+      context: guardrailContext,
+      actions: isProductQuery ? GuardrailService.PRE_SEARCH_ACTIONS : null
+    });
+
+    if (!inputCheck.allowed) {
+      return refuse(inputCheck);
+    }
+
     const searchResult = await ProductSearchService.search(message, { limit: 5 });
     const relevantProducts = searchResult.products || [];
+
+    if (isProductQuery && relevantProducts.length === 0) {
+      const topicCheck = await GuardrailService.evaluate(message, {
+        stage: 'input',
+        language: detected.language,
+        context: guardrailContext,
+        actions: GuardrailService.TOPIC_ACTIONS
+      });
+
+      if (!topicCheck.allowed) {
+        return refuse(topicCheck);
+      }
+    }
+
+    const conversationHistory = await ConversationService.getHistory(conversation.id, { limit: 10 });
     
     const productContext = buildProductContext(relevantProducts, message);
-    const systemPrompt = buildSystemPrompt(productContext, req.user);
+    const systemPrompt = buildSystemPrompt(productContext, req.user, detected);
+    const lastSearch = await resolveLastSearch(conversation, message, relevantProducts);
     
     const messages = [
       { role: 'system', content: systemPrompt },
@@ -512,35 +665,47 @@ export async function handleChatStream(req, res) {
     res.write(`data: ${JSON.stringify({
       type: 'context',
       searchResults: relevantProducts.length,
-      conversationLength: conversationHistory.length
+      conversationLength: conversationHistory.length,
+      language: detected.language,
+      languageVariant: detected.variant
     })}\n\n`);
 
     // Get available functions and create stream
     const availableFunctions = getAvailableFunctions(req.user);
     
-    const stream = await openai.chat.completions.create({
+    const stream = await OpenAIService.createChatCompletion(messages, {
       model: config.AI.MODEL,
-      messages,
-      tools: availableFunctions.length > 0 ? availableFunctions : undefined,
+      tools: availableFunctions,
       stream: true,
       temperature: config.AI.TEMPERATURE,
-      max_tokens: config.AI.MAX_TOKENS,
+      maxTokens: config.AI.MAX_TOKENS,
       user: userId
     });
 
     let fullResponse = '';
     let functionCalls = [];
 
+    // Output guardrails over both rounds: text is released per sentence once the reply so far passes
+    const screen = GuardrailService.outputScreen({ language: detected.language, context: guardrailContext });
+
     for await (const chunk of stream) {
+      if (screen.blocked) {
+        stream.controller.abort();
+        break;
+      }
+
       const delta = chunk.choices[0]?.delta;
       
       if (delta?.content) {
         fullResponse += delta.content;
-        res.write(`data: ${JSON.stringify({ 
-          type: 'content', 
-          content: delta.content,
-          done: false 
-        })}\n\n`);
+        const released = await screen.push(delta.content);
+        if (released) {
+          res.write(`data: ${JSON.stringify({ 
+            type: 'content', 
+            content: released,
+            done: false 
+          })}\n\n`);
+        }
       }
 
       if (delta?.tool_calls) {
@@ -566,8 +731,8 @@ export async function handleChatStream(req, res) {
       }
     }
 
-    // Handle function calls if present
-    if (functionCalls.length > 0 && functionCalls.some(fc => fc)) {
+    // Handle function calls if present (not once the reply is blocked)
+    if (!screen.blocked && functionCalls.length > 0 && functionCalls.some(fc => fc)) {
       const validFunctionCalls = functionCalls.filter(fc => fc && fc.function.name);
       
       res.write(`data: ${JSON.stringify({
@@ -579,7 +744,8 @@ export async function handleChatStream(req, res) {
         userId,
         sessionId: actualSessionId,
         user: req.user,
-        conversationId: conversation.id
+        conversationId: conversation.id,
+        lastSearch
       };
 
       const functionResults = await FunctionExecutor.executeMultiple(
@@ -598,30 +764,30 @@ export async function handleChatStream(req, res) {
         }))
       ];
 
-      const finalStream = await openai.chat.completions.create({
+      const finalStream = await OpenAIService.createChatCompletion(followUpMessages, {
         model: config.AI.MODEL,
-        messages: followUpMessages,
         stream: true,
         temperature: config.AI.TEMPERATURE,
-        max_tokens: config.AI.MAX_TOKENS,
+        maxTokens: config.AI.MAX_TOKENS,
         user: userId
       });
 
-      let finalResponse = '';
       for await (const chunk of finalStream) {
-        const content = chunk.choices[0]?.delta?.content;
-        if (content) {
-          finalResponse += content;
+        if (screen.blocked) {
+          finalStream.controller.abort();
+          break;
+        }
+
+        const released = await screen.push(chunk.choices[0]?.delta?.content);
+        if (released) {
           res.write(`data: ${JSON.stringify({ 
             type: 'content', 
-            content,
+            content: released,
             done: false 
           })}\n\n`);
         }
       }
 
-      fullResponse = finalResponse;
-
       res.write(`data: ${JSON.stringify({
         type: 'functions_executed',
         results: functionResults.map(r => ({
@@ -631,11 +797,28 @@ export async function handleChatStream(req, res) {
       })}\n\n`);
     }
 
-    // Save conversation messages
+    // Release the last sentence, or swap out what was shown when the reply is blocked
+    const { text, decision, reply } = await screen.finish();
+
+    if (text) {
+      res.write(`data: ${JSON.stringify({ type: 'content', content: text, done: false })}\n\n`);
+    }
+
+    if (!decision.allowed) {
+      console.log(`🛡️ Streamed AI reply replaced by guardrail (${decision.rule}):`, decision.matched);
+      res.write(`data: ${JSON.stringify({
+        type: 'replace',
+        content: reply,
+        guardrail: GuardrailService.toMetadata(decision)
+      })}\n\n`);
+    }
+
+    // Save conversation messages (the reply as the customer saw it)
     await ConversationService.addMessage(conversation.id, 'user', message);
-    await ConversationService.addMessage(conversation.id, 'assistant', fullResponse, {
+    await ConversationService.addMessage(conversation.id, 'assistant', reply, {
       streaming: true,
-      functionsUsed: functionCalls.filter(fc => fc).map(fc => fc.function.name)
+      functionsUsed: functionCalls.filter(fc => fc).map(fc => fc.function.name),
+      guardrail: GuardrailService.toMetadata(decision)
     });
 
     // Send completion
@@ -643,7 +826,8 @@ export async function handleChatStream(req, res) {
       type: 'complete',
       conversationId: conversation.id,
       done: true,
-      suggestions: generateFollowUpSuggestions(fullResponse)
+      guardrail: GuardrailService.toMetadata(decision),
+      suggestions: generateFollowUpSuggestions(reply)
     })}\n\n`);
 
     res.end();
@@ -664,8 +848,8 @@ export async function handleChatStream(req, res) {
  */
 export async function getConversationHistory(req, res) {
   try {
-    const userId = req.user.id;
     const { sessionId } = req.params;
+    const userId = conversationUserId(req.user, sessionId);
     const { limit = 50, format = 'full' } = req.query;
 
     const conversation = await ConversationService.getOrCreate(userId, sessionId);
@@ -702,8 +886,8 @@ export async function getConversationHistory(req, res) {
  */
 export async function clearConversation(req, res) {
   try {
-    const userId = req.user.id;
     const { sessionId } = req.params;
+    const userId = conversationUserId(req.user, sessionId);
     const { confirm = false } = req.body;
 
     if (!confirm) {
@@ -749,7 +933,8 @@ export async function clearConversation(req, res) {
  */
 export async function getUserConversations(req, res) {
   try {
-    const userId = req.user.id;
+    // Anonymous users see the conversation of their X-Session-Id
+    const userId = conversationUserId(req.user, req.user.sessionId);
     const { limit = 20 } = req.query;
 
     const conversations = await ConversationService.getUserConversations(userId, parseInt(limit));
@@ -802,26 +987,6 @@ function generateFAQSuggestions(category) {
   ];
 }
 
-/**
- * Check if message is product-related
- */
-function isProductRelatedQuery(message) {
-  const productKeywords = [
-    // English
-    'medicine', 'medication', 'drug', 'pill', 'tablet', 'capsule', 'syrup', 'injection',
-    'paracetamol', 'aspirin', 'ibuprofen', 'vitamin', 'supplement', 'prescription',
-    'available', 'stock', 'price', 'cost', 'buy', 'order', 'pharmacy', 'pharmaceutical',
-    
-    // Mongolian
-    'эм', 'эмийн', 'таблет', 'капсул', 'сироп', 'тарилгын', 'витамин', 'бэлдмэл',
-    'парацэтэмол', 'аспирин', 'ибупрофен', 'байгаа', 'агуулах', 'үнэ', 'худалдаж авах',
-    'захиалах', 'эмийн сан', 'эмийн бүтээгдэхүүн', 'хэрэглэх', 'унших', 'дэлгэрэнгүй'
-  ];
-  
-  const messageLower = message.toLowerCase();
-  return productKeywords.some(keyword => messageLower.includes(keyword));
-}
-
 /**
  * Generate follow-up suggestions based on response content
  */
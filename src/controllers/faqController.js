@@ -0,0 +1,211 @@
+import { FAQService } from '../services/faqService.js';
+
+/**
+ * FAQ Admin Controller
+ * CRUD over faqs; every write refreshes the in-memory/Redis copy
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TEXT_FIELDS = { category: 100, question: 1000, answer: 5000 };
+
+/**
+ * Validate FAQ fields; returns an error body or null
+ * @param {boolean} requireAll - create needs category, question and answer
+ */
+function validateFaqFields(body, requireAll) {
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    const value = body[field];
+
+    if (value === undefined) {
+      if (requireAll) {
+        return { error: `${field} is required`, code: 'INVALID_FIELD', field };
+      }
+      continue;
+    }
+
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > maxLength) {
+      return { error: `${field} must be a non-empty string (max ${maxLength} characters)`, code: 'INVALID_FIELD', field };
+    }
+  }
+
+  const { altPhrases, lang, status } = body;
+
+  if (altPhrases !== undefined && (!Array.isArray(altPhrases) || altPhrases.some(item => typeof item !== 'string'))) {
+    return { error: 'altPhrases must be an array of strings', code: 'INVALID_FIELD', field: 'altPhrases' };
+  }
+
+  if (lang !== undefined && !FAQService.LANGUAGES.includes(lang)) {
+    return { error: `lang must be one of: ${FAQService.LANGUAGES.join(', ')}`, code: 'INVALID_FIELD', field: 'lang' };
+  }
+
+  if (status !== undefined && !FAQService.STATUSES.includes(status)) {
+    return { error: `status must be one of: ${FAQService.STATUSES.join(', ')}`, code: 'INVALID_FIELD', field: 'status' };
+  }
+
+  return null;
+}
+
+function faqNotFound(res) {
+  return res.status(404).json({
+    error: 'FAQ not found',
+    code: 'FAQ_NOT_FOUND'
+  });
+}
+
+/**
+ * List FAQs (?q=, ?category=, ?lang=, ?status=, ?limit=, ?offset=)
+ */
+export async function listFaqs(req, res) {
+  try {
+    const { q = null, category = null, lang = null, status = null, limit = 100, offset = 0 } = req.query;
+
+    const result = await FAQService.list({
+      search: q,
+      category,
+      lang,
+      status,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      faqs: result.faqs,
+      total: result.total,
+      cache: {
+        loadedFaqs: FAQService.getFaqs().length,
+        loadedAt: FAQService.loadedAt ? new Date(FAQService.loadedAt).toISOString() : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing FAQs:', error);
+    res.status(500).json({
+      error: 'Failed to list FAQs',
+      code: 'FAQ_LIST_ERROR'
+    });
+  }
+}
+
+/**
+ * Get one FAQ by id
+ */
+export async function getFaq(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return faqNotFound(res);
+
+    const faq = await FAQService.get(req.params.id);
+    if (!faq) return faqNotFound(res);
+
+    res.json({ faq });
+
+  } catch (error) {
+    console.error('Error getting FAQ:', error);
+    res.status(500).json({
+      error: 'Failed to get FAQ',
+      code: 'FAQ_GET_ERROR'
+    });
+  }
+}
+
+/**
+ * Create a FAQ
+ * Body: { category, question, answer, altPhrases?, lang?, status? }
+ */
+export async function createFaq(req, res) {
+  try {
+    const invalid = validateFaqFields(req.body, true);
+    if (invalid) return res.status(400).json(invalid);
+
+    const faq = await FAQService.create(req.body);
+    console.log(`📚 FAQ created: [${faq.lang}] ${faq.question}`);
+
+    res.status(201).json({ success: true, faq });
+
+  } catch (error) {
+    // Unique (lang, question)
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A FAQ with this question already exists for this language',
+        code: 'FAQ_EXISTS'
+      });
+    }
+
+    console.error('Error creating FAQ:', error);
+    res.status(500).json({
+      error: 'Failed to create FAQ',
+      code: 'FAQ_CREATE_ERROR'
+    });
+  }
+}
+
+/**
+ * Update a FAQ (only the fields given)
+ * Body: { category?, question?, answer?, altPhrases?, lang?, status? }
+ */
+export async function updateFaq(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return faqNotFound(res);
+
+    const invalid = validateFaqFields(req.body, false);
+    if (invalid) return res.status(400).json(invalid);
+
+    const faq = await FAQService.update(req.params.id, req.body);
+    if (!faq) return faqNotFound(res);
+
+    console.log(`📚 FAQ updated: [${faq.lang}] ${faq.question} (v${faq.version}, ${faq.status})`);
+    res.json({ success: true, faq });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A FAQ with this question already exists for this language',
+        code: 'FAQ_EXISTS'
+      });
+    }
+
+    console.error('Error updating FAQ:', error);
+    res.status(500).json({
+      error: 'Failed to update FAQ',
+      code: 'FAQ_UPDATE_ERROR'
+    });
+  }
+}
+
+/**
+ * Archive a FAQ (soft delete)
+ */
+export async function deleteFaq(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return faqNotFound(res);
+
+    const faq = await FAQService.archive(req.params.id);
+    if (!faq) return faqNotFound(res);
+
+    console.log(`📚 FAQ archived: [${faq.lang}] ${faq.question}`);
+    res.json({ success: true, faq });
+
+  } catch (error) {
+    console.error('Error archiving FAQ:', error);
+    res.status(500).json({
+      error: 'Failed to archive FAQ',
+      code: 'FAQ_DELETE_ERROR'
+    });
+  }
+}
+
+/**
+ * Reload published FAQs now (after editing the table directly)
+ */
+export async function reloadFaqs(req, res) {
+  try {
+    const loaded = await FAQService.invalidate();
+    res.json({ success: true, loaded });
+
+  } catch (error) {
+    console.error('Error reloading FAQs:', error);
+    res.status(500).json({
+      error: 'Failed to reload FAQs',
+      code: 'FAQ_RELOAD_ERROR'
+    });
+  }
+}
@@ -0,0 +1,329 @@
+import { GuardrailService } from '../services/guardrailService.js';
+import { LANGUAGES } from '../utils/languageDetector.js';
+
+/**
+ * Guardrail Admin Controller
+ * CRUD over guardrail_rules, a dry-run tester and the trigger audit log;
+ * every write refreshes the in-memory/Redis copy
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NAME_PATTERN = /^[a-z0-9_]{1,100}$/;
+
+/**
+ * Validate rule fields; returns an error body or null
+ * @param {boolean} requireAll - create needs name, category, type, patterns and action
+ */
+function validateRuleFields(body, requireAll) {
+  const invalid = (field, error) => ({ error, code: 'INVALID_FIELD', field });
+
+  if (requireAll) {
+    for (const field of ['name', 'category', 'type', 'patterns', 'action']) {
+      if (body[field] === undefined) return invalid(field, `${field} is required`);
+    }
+  }
+
+  const { name, category, description, type, patterns, exceptions, threshold, stage, action, severity, priority, responses, isActive } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || !NAME_PATTERN.test(name))) {
+    return invalid('name', 'name must be lowercase letters, digits and underscores (max 100)');
+  }
+
+  if (category !== undefined && (typeof category !== 'string' || category.trim().length === 0 || category.length > 50)) {
+    return invalid('category', 'category must be a non-empty string (max 50 characters)');
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 1000)) {
+    return invalid('description', 'description must be a string (max 1000 characters)');
+  }
+
+  if (type !== undefined && !GuardrailService.TYPES.includes(type)) {
+    return invalid('type', `type must be one of: ${GuardrailService.TYPES.join(', ')}`);
+  }
+
+  for (const [field, value] of Object.entries({ patterns, exceptions })) {
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+      return invalid(field, `${field} must be an array of non-empty strings`);
+    }
+  }
+
+  if (patterns !== undefined && patterns.length === 0) {
+    return invalid('patterns', 'patterns must not be empty');
+  }
+
+  // Regex sources must compile (the type may come from the stored rule on update)
+  if (patterns !== undefined && type === 'regex') {
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (error) {
+        return invalid('patterns', `Invalid regular expression "${pattern}": ${error.message}`);
+      }
+    }
+  }
+
+  if (threshold !== undefined && threshold !== null && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+    return invalid('threshold', 'threshold must be a number in (0, 1]');
+  }
+
+  if (stage !== undefined && !GuardrailService.STAGES.includes(stage)) {
+    return invalid('stage', `stage must be one of: ${GuardrailService.STAGES.join(', ')}`);
+  }
+
+  if (action !== undefined && !GuardrailService.ACTIONS.includes(action)) {
+    return invalid('action', `action must be one of: ${GuardrailService.ACTIONS.join(', ')}`);
+  }
+
+  if (severity !== undefined && !GuardrailService.SEVERITIES.includes(severity)) {
+    return invalid('severity', `severity must be one of: ${GuardrailService.SEVERITIES.join(', ')}`);
+  }
+
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return invalid('priority', 'priority must be an integer');
+  }
+
+  if (responses !== undefined) {
+    const valid = responses && typeof responses === 'object' && !Array.isArray(responses) &&
+      Object.entries(responses).every(([lang, text]) => LANGUAGES.includes(lang) && typeof text === 'string' && text.trim().length > 0);
+
+    if (!valid) {
+      return invalid('responses', `responses must map ${LANGUAGES.join('/')} to non-empty strings`);
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return invalid('isActive', 'isActive must be a boolean');
+  }
+
+  return null;
+}
+
+function ruleNotFound(res) {
+  return res.status(404).json({
+    error: 'Guardrail rule not found',
+    code: 'GUARDRAIL_NOT_FOUND'
+  });
+}
+
+function ruleExists(res) {
+  return res.status(409).json({
+    error: 'A guardrail rule with this name already exists',
+    code: 'GUARDRAIL_EXISTS'
+  });
+}
+
+/**
+ * List rules (?q=, ?category=, ?action=, ?limit=, ?offset=)
+ */
+export async function listGuardrails(req, res) {
+  try {
+    const { q = null, category = null, action = null, limit = 100, offset = 0 } = req.query;
+
+    const result = await GuardrailService.list({
+      search: q,
+      category,
+      action,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      rules: result.rules,
+      total: result.total,
+      cache: {
+        loadedRules: GuardrailService.getRules().length,
+        loadedAt: GuardrailService.loadedAt ? new Date(GuardrailService.loadedAt).toISOString() : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing guardrail rules:', error);
+    res.status(500).json({
+      error: 'Failed to list guardrail rules',
+      code: 'GUARDRAIL_LIST_ERROR'
+    });
+  }
+}
+
+/**
+ * Get one rule by id
+ */
+export async function getGuardrail(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return ruleNotFound(res);
+
+    const rule = await GuardrailService.get(req.params.id);
+    if (!rule) return ruleNotFound(res);
+
+    res.json({ rule });
+
+  } catch (error) {
+    console.error('Error getting guardrail rule:', error);
+    res.status(500).json({
+      error: 'Failed to get guardrail rule',
+      code: 'GUARDRAIL_GET_ERROR'
+    });
+  }
+}
+
+/**
+ * Create a rule
+ * Body: { name, category, type, patterns, action, description?, exceptions?,
+ *         threshold?, stage?, severity?, priority?, responses?, isActive? }
+ */
+export async function createGuardrail(req, res) {
+  try {
+    const invalid = validateRuleFields(req.body, true);
+    if (invalid) return res.status(400).json(invalid);
+
+    const rule = await GuardrailService.create(req.body);
+    console.log(`🛡️ Guardrail rule created: ${rule.name} (${rule.rule_type}, ${rule.action})`);
+
+    res.status(201).json({ success: true, rule });
+
+  } catch (error) {
+    if (error.code === '23505') return ruleExists(res);
+
+    console.error('Error creating guardrail rule:', error);
+    res.status(500).json({
+      error: 'Failed to create guardrail rule',
+      code: 'GUARDRAIL_CREATE_ERROR'
+    });
+  }
+}
+
+/**
+ * Update a rule (only the fields given)
+ */
+export async function updateGuardrail(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return ruleNotFound(res);
+
+    // Regex patterns are checked against the stored type when the type isn't changing
+    let fields = req.body;
+    if (fields.patterns !== undefined && fields.type === undefined) {
+      const current = await GuardrailService.get(req.params.id);
+      if (!current) return ruleNotFound(res);
+      fields = { ...fields, type: current.rule_type };
+    }
+
+    const invalid = validateRuleFields(fields, false);
+    if (invalid) return res.status(400).json(invalid);
+
+    const rule = await GuardrailService.update(req.params.id, req.body);
+    if (!rule) return ruleNotFound(res);
+
+    console.log(`🛡️ Guardrail rule updated: ${rule.name} (${rule.action}, ${rule.is_active ? 'active' : 'inactive'})`);
+    res.json({ success: true, rule });
+
+  } catch (error) {
+    if (error.code === '23505') return ruleExists(res);
+
+    console.error('Error updating guardrail rule:', error);
+    res.status(500).json({
+      error: 'Failed to update guardrail rule',
+      code: 'GUARDRAIL_UPDATE_ERROR'
+    });
+  }
+}
+
+/**
+ * Deactivate a rule (kept for the audit log)
+ */
+export async function deleteGuardrail(req, res) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return ruleNotFound(res);
+
+    const rule = await GuardrailService.deactivate(req.params.id);
+    if (!rule) return ruleNotFound(res);
+
+    console.log(`🛡️ Guardrail rule deactivated: ${rule.name}`);
+    res.json({ success: true, rule });
+
+  } catch (error) {
+    console.error('Error deactivating guardrail rule:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate guardrail rule',
+      code: 'GUARDRAIL_DELETE_ERROR'
+    });
+  }
+}
+
+/**
+ * Reload active rules now (after editing the table directly)
+ */
+export async function reloadGuardrails(req, res) {
+  try {
+    const loaded = await GuardrailService.invalidate();
+    res.json({ success: true, loaded });
+
+  } catch (error) {
+    console.error('Error reloading guardrail rules:', error);
+    res.status(500).json({
+      error: 'Failed to reload guardrail rules',
+      code: 'GUARDRAIL_RELOAD_ERROR'
+    });
+  }
+}
+
+/**
+ * Dry run against the loaded rules (not written to the audit log)
+ * Body: { text, stage?, language? }
+ */
+export async function testGuardrails(req, res) {
+  try {
+    const { text, stage = 'input', language = 'mn' } = req.body;
+
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > 5000) {
+      return res.status(400).json({ error: 'text must be a non-empty string (max 5000 characters)', code: 'INVALID_FIELD', field: 'text' });
+    }
+    if (!['input', 'output'].includes(stage)) {
+      return res.status(400).json({ error: 'stage must be one of: input, output', code: 'INVALID_FIELD', field: 'stage' });
+    }
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}`, code: 'INVALID_FIELD', field: 'language' });
+    }
+
+    const decision = await GuardrailService.evaluate(text, { stage, language, audit: false });
+    res.json({ decision });
+
+  } catch (error) {
+    console.error('Error testing guardrail rules:', error);
+    res.status(500).json({
+      error: 'Failed to test guardrail rules',
+      code: 'GUARDRAIL_TEST_ERROR'
+    });
+  }
+}
+
+/**
+ * Audit log (?rule=, ?action=, ?stage=, ?since=, ?limit=, ?offset=)
+ */
+export async function listGuardrailEvents(req, res) {
+  try {
+    const { rule = null, action = null, stage = null, since = null, limit = 100, offset = 0 } = req.query;
+
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since must be an ISO date', code: 'INVALID_FIELD', field: 'since' });
+    }
+
+    const result = await GuardrailService.listEvents({
+      rule,
+      action,
+      stage,
+      since,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error listing guardrail events:', error);
+    res.status(500).json({
+      error: 'Failed to list guardrail events',
+      code: 'GUARDRAIL_EVENTS_ERROR'
+    });
+  }
+}
@@ -0,0 +1,147 @@
+import { DrugLexiconService } from '../services/drugLexiconService.js';
+
+/**
+ * Drug Lexicon Admin Controller
+ * CRUD over drug_lexicon; every write refreshes the in-memory/Redis copy
+ */
+
+const LIST_FIELDS = ['variants', 'misspellings', 'brands'];
+
+/**
+ * List lexicon entries (?q=, ?limit=, ?offset=)
+ */
+export async function listLexicon(req, res) {
+  try {
+    const { q = null, limit = 100, offset = 0 } = req.query;
+
+    const result = await DrugLexiconService.list({
+      search: q,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      entries: result.entries,
+      total: result.total,
+      cache: {
+        loadedEntries: DrugLexiconService.getEntries().list.length,
+        loadedAt: DrugLexiconService.loadedAt ? new Date(DrugLexiconService.loadedAt).toISOString() : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing drug lexicon:', error);
+    res.status(500).json({
+      error: 'Failed to list drug lexicon',
+      code: 'LEXICON_LIST_ERROR'
+    });
+  }
+}
+
+/**
+ * Get one entry by canonical name
+ */
+export async function getLexiconEntry(req, res) {
+  try {
+    const entry = await DrugLexiconService.get(req.params.canonical);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Lexicon entry not found',
+        code: 'LEXICON_NOT_FOUND'
+      });
+    }
+
+    res.json({ entry });
+
+  } catch (error) {
+    console.error('Error getting lexicon entry:', error);
+    res.status(500).json({
+      error: 'Failed to get lexicon entry',
+      code: 'LEXICON_GET_ERROR'
+    });
+  }
+}
+
+/**
+ * Create or update an entry
+ * Body: { latinName?, variants?, misspellings?, brands?, isActive? }
+ */
+export async function upsertLexiconEntry(req, res) {
+  try {
+    const { canonical } = req.params;
+
+    if (!canonical || canonical.trim().length === 0 || canonical.length > 255) {
+      return res.status(400).json({
+        error: 'Canonical name is required (max 255 characters)',
+        code: 'INVALID_CANONICAL'
+      });
+    }
+
+    for (const field of LIST_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+        return res.status(400).json({
+          error: `${field} must be an array of strings`,
+          code: 'INVALID_FIELD',
+          field
+        });
+      }
+    }
+
+    const entry = await DrugLexiconService.upsert(canonical, req.body);
+    console.log(`📖 Drug lexicon updated: ${entry.canonical}`);
+
+    res.json({ success: true, entry });
+
+  } catch (error) {
+    console.error('Error updating lexicon entry:', error);
+    res.status(500).json({
+      error: 'Failed to update lexicon entry',
+      code: 'LEXICON_UPDATE_ERROR'
+    });
+  }
+}
+
+/**
+ * Deactivate an entry (soft delete)
+ */
+export async function deleteLexiconEntry(req, res) {
+  try {
+    const entry = await DrugLexiconService.deactivate(req.params.canonical);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Lexicon entry not found',
+        code: 'LEXICON_NOT_FOUND'
+      });
+    }
+
+    console.log(`📖 Drug lexicon entry deactivated: ${entry.canonical}`);
+    res.json({ success: true, entry });
+
+  } catch (error) {
+    console.error('Error deactivating lexicon entry:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate lexicon entry',
+      code: 'LEXICON_DELETE_ERROR'
+    });
+  }
+}
+
+/**
+ * Re-run catalog seeding without a full product sync
+ */
+export async function reseedLexicon(req, res) {
+  try {
+    const result = await DrugLexiconService.seedFromCatalog();
+    res.json({ success: true, result });
+
+  } catch (error) {
+    console.error('Error seeding drug lexicon:', error);
+    res.status(500).json({
+      error: 'Failed to seed drug lexicon',
+      code: 'LEXICON_SEED_ERROR'
+    });
+  }
+}
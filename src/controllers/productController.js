@@ -0,0 +1,103 @@
+import { ProductSearchService } from '../services/productSearchService.js';
+import { AlternativesService } from '../services/alternativesService.js';
+
+/**
+ * Product Catalog Controller
+ * Faceted browsing and same-INN alternatives over products + product_inventory
+ */
+
+/**
+ * Faceted search with cursor pagination
+ * Query: q?, manufacturer?, category?, prescription?, inStock?, isNew?, isExclusive?, b2bOnly?, limit?, cursor?
+ * (validated and coerced by validateSearchRequest / validatePagination)
+ */
+export async function facetedSearch(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const { q, manufacturer, category, prescription, inStock, isNew, isExclusive, b2bOnly, limit = 20, cursor } = req.query;
+
+    if (cursor && !ProductSearchService.decodeCursor(cursor)) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        code: 'INVALID_CURSOR'
+      });
+    }
+
+    const result = await ProductSearchService.facetedSearch({
+      q: q || null,
+      manufacturer,
+      category,
+      prescription,
+      inStock,
+      isNew,
+      isExclusive,
+      b2bOnly,
+      limit: parseInt(limit) || 20,
+      cursor: cursor || null
+    });
+
+    res.json({
+      query: q || null,
+      results: result.products,
+      total: result.total,
+      facets: result.facets,
+      pagination: {
+        limit: parseInt(limit) || 20,
+        nextCursor: result.nextCursor,
+        hasMore: result.nextCursor !== null
+      },
+      metadata: {
+        responseTime: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Faceted search error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      code: 'FACETED_SEARCH_ERROR'
+    });
+  }
+}
+
+/**
+ * Products with the same active ingredient(s), in-stock first, closest strength first
+ * Query: limit? (1-20, default 5), includeOutOfStock?
+ */
+export async function getAlternatives(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+    const includeOutOfStock = req.query.includeOutOfStock === 'true';
+
+    const result = await AlternativesService.findAlternatives(id, { limit, includeOutOfStock });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      product: result.product,
+      activeIngredients: result.inns,
+      alternatives: result.alternatives,
+      total: result.alternatives.length,
+      metadata: {
+        includeOutOfStock,
+        responseTime: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Alternatives error:', error);
+    res.status(500).json({
+      error: 'Failed to find alternatives',
+      code: 'ALTERNATIVES_ERROR'
+    });
+  }
+}
@@ -1,5 +1,7 @@
 import cron from 'node-cron';
 import { DataSyncService } from '../services/dataSyncService.js';
+import { SearchFeedbackService } from '../services/searchFeedbackService.js';
+import { EmbeddingCacheService } from '../services/embeddingCacheService.js';
 import config from '../config/environment.js';
 
 /**
@@ -91,6 +93,9 @@ export class SyncScheduler {
           // Clean expired database cache entries
           const { data } = await supabase.rpc('cleanup_expired_cache');
           console.log(`✅ [SCHEDULED] Cleaned ${data || 0} expired cache entries`);
+
+          const embeddings = await EmbeddingCacheService.cleanup();
+          console.log(`✅ [SCHEDULED] Cleaned ${embeddings} old cached embeddings`);
         } catch (error) {
           console.error('❌ [SCHEDULED] Cache cleanup failed:', error.message);
         }
@@ -123,6 +128,23 @@ export class SyncScheduler {
       this.jobs.push({ name: 'health_check', job: healthCheckJob, schedule: 'Every 30 minutes' });
       console.log('✅ Health check scheduled: Every 30 minutes');
 
+      // Job 5: Learned search boosts from result feedback - Daily at 3 AM
+      const searchBoostJob = cron.schedule('0 3 * * *', async () => {
+        console.log('\n📈 [SCHEDULED] Search boost refresh started...');
+        try {
+          const pairs = await SearchFeedbackService.refreshBoosts();
+          console.log(`✅ [SCHEDULED] Search boosts refreshed: ${pairs} term/product pairs`);
+        } catch (error) {
+          console.error('❌ [SCHEDULED] Search boost refresh failed:', error.message);
+        }
+      }, {
+        scheduled: true,
+        timezone: "Asia/Ulaanbaatar"
+      });
+
+      this.jobs.push({ name: 'search_boosts', job: searchBoostJob, schedule: 'Daily at 3:00 AM' });
+      console.log('✅ Search boost refresh scheduled: Daily at 3:00 AM (Mongolia time)');
+
       this.isRunning = true;
       
       console.log('=' .repeat(60));
@@ -127,6 +127,15 @@ export function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Conversation owner for a request: the authenticated user, or for anonymous
+ * users the client session itself (optionalAuth's per-request anon_ id would
+ * start a new conversation on every turn)
+ */
+export function conversationUserId(user, sessionId) {
+  return user && !user.isAnonymous ? user.id : `anonymous_${sessionId}`;
+}
+
 /**
  * Role-based authorization middleware
  */
@@ -54,7 +54,7 @@ class MemoryStore {
           this.store.delete(key);
         }
       }
-    }, 60000); // Cleanup every minute
+    }, 60000).unref(); // Cleanup every minute (doesn't keep the process alive)
   }
 }
 
@@ -162,17 +162,46 @@ export function validateUUID(paramName) {
   };
 }
 
+// Catalog categories (DataSyncService.mapCategory)
+const PRODUCT_CATEGORIES = ['gynecology', 'neurology', 'pain_relief', 'vitamins', 'medical_supplies', 'general'];
+
+// Faceted search filters that take true/false
+const BOOLEAN_FILTERS = ['prescription', 'inStock', 'isNew', 'isExclusive', 'b2bOnly'];
+
 /**
  * Validate search request parameters
+ * The text query is optional when at least one facet filter is given.
  */
 export function validateSearchRequest(req, res, next) {
-  const { q, query, category, limit, threshold } = req.query;
+  const { q, query, category, manufacturer, limit, threshold } = req.query;
   const errors = [];
 
+  const hasFilter = Boolean(category || manufacturer) ||
+    BOOLEAN_FILTERS.some(name => req.query[name] !== undefined);
+
+  // Boolean facet filters
+  for (const name of BOOLEAN_FILTERS) {
+    const value = req.query[name];
+    if (value === undefined) continue;
+
+    if (value !== 'true' && value !== 'false') {
+      errors.push(`${name} must be "true" or "false"`);
+    } else {
+      req.query[name] = value === 'true';
+    }
+  }
+
+  // Validate manufacturer filter
+  if (manufacturer !== undefined && (typeof manufacturer !== 'string' || manufacturer.length > 255)) {
+    errors.push('Manufacturer must be a string of at most 255 characters');
+  }
+
   // Validate search query
   const searchQuery = q || query;
   if (!searchQuery) {
-    errors.push('Search query (q or query) is required');
+    if (!hasFilter) {
+      errors.push('Search query (q or query) or a filter is required');
+    }
   } else if (typeof searchQuery !== 'string') {
     errors.push('Search query must be a string');
   } else if (searchQuery.trim().length < 2) {
@@ -183,9 +212,10 @@ export function validateSearchRequest(req, res, next) {
 
   // Validate category filter
   if (category) {
-    const validCategories = ['medicine', 'vitamins', 'supplements', 'equipment', 'personal-care'];
-    if (!validCategories.includes(category.toLowerCase())) {
-      errors.push(`Invalid category. Valid options: ${validCategories.join(', ')}`);
+    if (typeof category !== 'string' || !PRODUCT_CATEGORIES.includes(category.toLowerCase())) {
+      errors.push(`Invalid category. Valid options: ${PRODUCT_CATEGORIES.join(', ')}`);
+    } else {
+      req.query.category = category.toLowerCase();
     }
   }
 
@@ -215,9 +245,12 @@ export function validateSearchRequest(req, res, next) {
     });
   }
 
-  // Sanitize query
-  req.query.q = validator.escape(searchQuery.trim());
-  req.query.query = req.query.q;
+  // Trim only: the text goes to the search functions as parameters, and
+  // HTML-escaping it would turn "A&B" into "A&amp;B" (escape on output instead)
+  if (searchQuery) {
+    req.query.q = searchQuery.trim();
+    req.query.query = req.query.q;
+  }
 
   next();
 }
@@ -250,9 +283,18 @@ export function validateEmail(req, res, next) {
  * Validate pagination parameters
  */
 export function validatePagination(req, res, next) {
-  const { page, limit, offset } = req.query;
+  const { page, limit, offset, cursor } = req.query;
   const errors = [];
 
+  // Opaque cursor from a previous page (base64url)
+  if (cursor !== undefined) {
+    if (typeof cursor !== 'string' || cursor.length > 512 || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+      errors.push('Cursor is malformed');
+    } else if (page || offset) {
+      errors.push('Use either cursor or page/offset, not both');
+    }
+  }
+
   if (page) {
     const pageNum = parseInt(page);
     if (isNaN(pageNum) || pageNum < 1) {
@@ -0,0 +1,64 @@
+import express from 'express';
+import {
+  listLexicon,
+  getLexiconEntry,
+  upsertLexiconEntry,
+  deleteLexiconEntry,
+  reseedLexicon
+} from '../controllers/lexiconController.js';
+import {
+  listFaqs,
+  getFaq,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  reloadFaqs
+} from '../controllers/faqController.js';
+import {
+  listGuardrails,
+  getGuardrail,
+  createGuardrail,
+  updateGuardrail,
+  deleteGuardrail,
+  reloadGuardrails,
+  testGuardrails,
+  listGuardrailEvents
+} from '../controllers/guardrailController.js';
+import { authenticateToken, requireRole } from '../middleware/authentication.js';
+
+/**
+ * Admin Routes
+ * Editable dictionaries behind admin auth. Mounted under /api/admin
+ * (sync/cache/scheduler admin endpoints remain inline in app.js).
+ */
+const router = express.Router();
+
+// Per-route auth (not router.use) so it never applies to the other /api/admin endpoints
+const adminOnly = [authenticateToken, requireRole('admin')];
+
+// Drug lexicon
+router.get('/lexicon', adminOnly, listLexicon);
+router.post('/lexicon/reseed', adminOnly, reseedLexicon);
+router.get('/lexicon/:canonical', adminOnly, getLexiconEntry);
+router.put('/lexicon/:canonical', adminOnly, upsertLexiconEntry);
+router.delete('/lexicon/:canonical', adminOnly, deleteLexiconEntry);
+
+// FAQ knowledge base
+router.get('/faqs', adminOnly, listFaqs);
+router.post('/faqs', adminOnly, createFaq);
+router.post('/faqs/reload', adminOnly, reloadFaqs);
+router.get('/faqs/:id', adminOnly, getFaq);
+router.put('/faqs/:id', adminOnly, updateFaq);
+router.delete('/faqs/:id', adminOnly, deleteFaq);
+
+// Guardrail policy
+router.get('/guardrails', adminOnly, listGuardrails);
+router.post('/guardrails', adminOnly, createGuardrail);
+router.post('/guardrails/reload', adminOnly, reloadGuardrails);
+router.post('/guardrails/test', adminOnly, testGuardrails);
+router.get('/guardrails/events', adminOnly, listGuardrailEvents);
+router.get('/guardrails/:id', adminOnly, getGuardrail);
+router.put('/guardrails/:id', adminOnly, updateGuardrail);
+router.delete('/guardrails/:id', adminOnly, deleteGuardrail);
+
+export default router;
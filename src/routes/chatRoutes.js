@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  handleChat,
+  handleChatStream,
+  getConversationHistory,
+  clearConversation,
+  getUserConversations
+} from '../controllers/chatController.js';
+import { optionalAuth } from '../middleware/authentication.js';
+import { validateChatRequest } from '../middleware/validation.js';
+import { chatLimiter } from '../middleware/rateLimiting.js';
+
+/**
+ * Versioned Chat Routes (v2)
+ * Exposes the full conversation pipeline from chatController: sessions,
+ * history, function calling and streaming. Mounted under /api/v2.
+ */
+const router = express.Router();
+
+// Every v2 route works for both anonymous and authenticated users
+router.use(optionalAuth);
+
+// Chat
+router.post('/chat', chatLimiter, validateChatRequest, handleChat);
+router.post('/chat/stream', chatLimiter, validateChatRequest, handleChatStream);
+
+// Conversations
+router.get('/conversations', getUserConversations);
+router.get('/conversations/:sessionId', getConversationHistory);
+router.delete('/conversations/:sessionId', clearConversation);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { facetedSearch, getAlternatives } from '../controllers/productController.js';
+import { validateSearchRequest, validatePagination } from '../middleware/validation.js';
+import { searchLimiter } from '../middleware/rateLimiting.js';
+
+/**
+ * Product Routes
+ * Faceted catalog search and same-INN alternatives. Mounted under /api/products
+ * (/api/products/lookup remains inline in app.js).
+ */
+const router = express.Router();
+
+router.get('/search', searchLimiter, validateSearchRequest, validatePagination, facetedSearch);
+router.get('/:id/alternatives', searchLimiter, getAlternatives);
+
+export default router;
@@ -0,0 +1,112 @@
+// Working Enterprise AI Chatbot - Production Ready Version
+// Entry point: validates config, loads caches, builds the app (src/app.js) and listens
+console.log('🚀 Starting Enterprise AI Pharmacy Chatbot...');
+
+try {
+  const { config, validateConfig } = await import('./config/environment.js');
+  const { createApp, initializeServices } = await import('./app.js');
+  const { SyncScheduler } = await import('./jobs/syncScheduler.js');
+
+  console.log('✅ All modules imported successfully');
+
+  // Validate configuration
+  validateConfig();
+  console.log('✅ Configuration validated');
+
+  await initializeServices();
+
+  const app = createApp();
+  console.log('✅ Routes mounted: /api/chat, /api/search, /api/products, /api/v2, /api/admin');
+  console.log('✅ Admin endpoints configured:');
+  console.log('   GET  /api/admin/sync-status');
+  console.log('   POST /api/admin/sync');
+  console.log('   POST /api/admin/cache/clear');
+  console.log('   POST /api/admin/scheduler/:action');
+  console.log('   GET/PUT/DELETE /api/admin/lexicon[/:canonical], POST /api/admin/lexicon/reseed');
+  console.log('   GET/POST /api/admin/faqs, GET/PUT/DELETE /api/admin/faqs/:id, POST /api/admin/faqs/reload');
+  console.log('   GET/POST /api/admin/guardrails, GET/PUT/DELETE /api/admin/guardrails/:id, POST /api/admin/guardrails/reload|test, GET /api/admin/guardrails/events');
+
+  // Start server
+  const server = app.listen(config.SERVER.PORT, config.SERVER.HOST, () => {
+    console.log(`
+╔════════════════════════════════════════════════════════════╗
+║              🤖 ENTERPRISE AI PHARMACY CHATBOT            ║
+╠════════════════════════════════════════════════════════════╣
+║   Status: ✅ Running and Operational                       ║
+║   Host:   ${config.SERVER.HOST.padEnd(48)} ║
+║   Port:   ${config.SERVER.PORT.toString().padEnd(48)} ║
+║   Model:  ${config.AI.MODEL.padEnd(48)} ║
+╠════════════════════════════════════════════════════════════╣
+║   🔍 Health:  http://${config.SERVER.HOST}:${config.SERVER.PORT}/health                  ║
+║   📊 Status:  http://${config.SERVER.HOST}:${config.SERVER.PORT}/status                  ║
+║   🔎 Search:  GET /api/search?q=paracetamol                ║
+║   💬 Chat:    POST /api/chat {"message":"Hello"}           ║
+╠════════════════════════════════════════════════════════════╣
+║   🌐 Frontend: https://mns-chatbot-production.up.railway.app ║
+║   🔗 API Base: Use Railway assigned domain for API calls  ║
+╚════════════════════════════════════════════════════════════╝
+
+🎉 Enterprise AI Pharmacy Chatbot is ready!
+🧪 Test with: curl http://${config.SERVER.HOST}:${config.SERVER.PORT}/health
+📋 CORS enabled for: ${config.SECURITY.ALLOWED_ORIGINS.join(', ')}
+    `);
+  });
+
+  // Handle graceful shutdown
+  const shutdown = (signal) => {
+    console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
+    server.close(() => {
+      console.log('✅ HTTP server closed.');
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  server.on('error', (err) => {
+    console.error('❌ Server error:', err);
+    if (err.code === 'EADDRINUSE') {
+      console.error(`Port ${config.SERVER.PORT} is already in use`);
+    }
+  });
+
+  // ==================== THREE-TIER ARCHITECTURE SETUP ====================
+  
+  console.log('\n🏗️ Initializing Three-Tier Architecture...');
+  console.log('   TIER 1: Vector DB (static catalog)');
+  console.log('   TIER 2: Redis Cache (hot data - 5 min TTL)');
+  console.log('   TIER 3: Real-time API (on-demand)');
+
+  // Start sync scheduler (enabled by default for automatic Redis caching)
+  if (config.SYNC.ENABLE_SCHEDULER) {
+    try {
+      SyncScheduler.start();
+      console.log('✅ Sync scheduler started (Redis auto-caching every 5 minutes)');
+      
+      // Run initial sync after 10 seconds to populate cache immediately
+      setTimeout(async () => {
+        console.log('🔄 Running initial cache population...');
+        try {
+          await SyncScheduler.runManualSync('stock', { maxProducts: 100 });
+          console.log('✅ Initial cache populated with 100 products');
+        } catch (error) {
+          console.warn('⚠️ Initial cache population failed:', error.message);
+          console.warn('   Cache will be populated on next scheduled sync (5 min)');
+        }
+      }, 10000);
+      
+    } catch (error) {
+      console.error('❌ Failed to start scheduler:', error.message);
+      console.log('⚠️ Continuing without scheduler (manual sync still available)');
+    }
+  } else {
+    console.log('ℹ️ Scheduler disabled (set ENABLE_SCHEDULER=true to enable)');
+    console.log('   Redis cache will NOT auto-update. Run manual syncs or enable scheduler.');
+  }
+
+} catch (error) {
+  console.error('❌ Failed to start enterprise app:', error);
+  console.error('Stack:', error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,156 @@
+import { supabase } from '../config/database.js';
+import { ProductSearchService } from './productSearchService.js';
+import { DrugLexiconService } from './drugLexiconService.js';
+import { compareStrength } from '../utils/dosageParser.js';
+
+/**
+ * Alternatives Service
+ * Finds products with the same active ingredient(s) as a given product.
+ * Products are grouped by normalized INN (generic_name, else first listed
+ * ingredient, mapped to the lexicon canonical) and ranked in-stock first,
+ * then same dosage form, then by strength closeness.
+ */
+export class AlternativesService {
+  static MAX_CANDIDATES = 100;
+
+  // ================================================================
+  // PUBLIC API
+  // ================================================================
+
+  /**
+   * Alternatives for a product ID
+   * @returns {{ product, inns, alternatives } | null} null if the product does not exist
+   */
+  static async findAlternatives(productId, options = {}) {
+    const product = await ProductSearchService.getById(productId);
+    if (!product) return null;
+
+    const alternatives = await this.findForProduct(product, options);
+
+    return {
+      product: ProductSearchService.formatProduct(product),
+      inns: this.getINNs(product),
+      alternatives
+    };
+  }
+
+  /**
+   * Alternatives for an already loaded product row
+   * Options: limit, includeOutOfStock (default false), minAvailable (default 1)
+   */
+  static async findForProduct(product, options = {}) {
+    const { limit = 5, includeOutOfStock = false, minAvailable = 1 } = options;
+
+    try {
+      const inns = this.getINNs(product);
+      if (inns.length === 0) return [];
+
+      const groupKey = inns.join('+');
+      const candidates = (await this.fetchCandidates(inns, product.id))
+        .filter(candidate => this.getINNs(candidate).join('+') === groupKey);
+
+      if (candidates.length === 0) return [];
+
+      const enriched = await ProductSearchService.enrichWithInventory(candidates);
+      const available = includeOutOfStock
+        ? enriched
+        : enriched.filter(candidate => this.isInStock(candidate, minAvailable));
+
+      return this.rankAlternatives(product, available, minAvailable)
+        .slice(0, limit)
+        .map(candidate => ({
+          ...ProductSearchService.formatProduct(candidate),
+          strengthMatch: candidate._strength_match,
+          sameForm: candidate._same_form
+        }));
+
+    } catch (error) {
+      console.error('Alternatives lookup failed:', error);
+      return [];
+    }
+  }
+
+  // ================================================================
+  // INN NORMALIZATION
+  // ================================================================
+
+  /**
+   * Sorted lexicon-canonical INNs for a product ("Paracetamol + Caffeine" → ["кофеин", "парацетамол"])
+   */
+  static getINNs(product) {
+    const source = product.generic_name || DrugLexiconService.firstIngredient(product.ingredients);
+
+    return [...new Set(
+      DrugLexiconService.extractINNs(source)
+        .map(inn => DrugLexiconService.canonicalFor(inn) || inn)
+    )].sort();
+  }
+
+  /**
+   * Products whose generic name or ingredients mention the first INN (exact grouping is done in JS)
+   */
+  static async fetchCandidates(inns, excludeId) {
+    const variants = DrugLexiconService.getVariants(inns[0])
+      .map(variant => variant.replace(/[,()%]/g, ' ').trim())
+      .filter(Boolean);
+
+    const orConditions = variants.map(variant =>
+      `generic_name.ilike.%${variant}%,ingredients.ilike.%${variant}%`
+    ).join(',');
+
+    const { data, error } = await supabase
+      .from('products')
+      .select(`${ProductSearchService.CANDIDATE_COLUMNS}, ingredients, brand, barcode, is_prescription`)
+      .or(orConditions)
+      .neq('id', excludeId)
+      .limit(this.MAX_CANDIDATES);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // ================================================================
+  // RANKING
+  // ================================================================
+
+  /**
+   * In stock → same dosage form → closest strength → most stock
+   */
+  static rankAlternatives(product, candidates, minAvailable = 1) {
+    const reference = ProductSearchService.getProductDosage(product);
+    const referenceForm = ProductSearchService.getProductForm(product);
+
+    return candidates
+      .map(candidate => {
+        const dosage = ProductSearchService.getProductDosage(candidate);
+        const form = ProductSearchService.getProductForm(candidate);
+
+        return {
+          ...candidate,
+          _in_stock: this.isInStock(candidate, minAvailable),
+          _same_form: Boolean(referenceForm && form === referenceForm),
+          _strength_match: compareStrength(reference, dosage),
+          _strength_distance: this.strengthDistance(reference, dosage)
+        };
+      })
+      .sort((a, b) =>
+        (b._in_stock - a._in_stock) ||
+        (b._same_form - a._same_form) ||
+        (a._strength_distance - b._strength_distance) ||
+        ((b.available || 0) - (a.available || 0))
+      );
+  }
+
+  /**
+   * Log-ratio of base strengths (0 = same; 250mg vs 500mg = 500mg vs 1g).
+   * Infinity when either strength is unknown or units are not comparable.
+   */
+  static strengthDistance(a, b) {
+    if (!a?.baseValue || !b?.baseValue || a.baseUnit !== b.baseUnit) return Infinity;
+    return Math.abs(Math.log(b.baseValue / a.baseValue));
+  }
+
+  static isInStock(product, minAvailable = 1) {
+    return (product.available || 0) >= minAvailable && product.is_active !== false;
+  }
+}
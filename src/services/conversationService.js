@@ -133,6 +133,36 @@ export class ConversationService {
     }
   }
 
+  /**
+   * Merge values into the conversation context (e.g. last product discussed)
+   */
+  static async updateContext(conversationId, updates = {}) {
+    try {
+      const { data: conv, error: fetchError } = await supabase
+        .from('conversations')
+        .select('context')
+        .eq('id', conversationId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      const context = { ...(conv.context || {}), ...updates };
+
+      const { error: updateError } = await supabase
+        .from('conversations')
+        .update({ context, updated_at: new Date().toISOString() })
+        .eq('id', conversationId);
+
+      if (updateError) throw updateError;
+
+      return context;
+
+    } catch (error) {
+      console.error('Error updating conversation context:', error);
+      throw new Error(`Failed to update context: ${error.message}`);
+    }
+  }
+
   /**
    * Optimize message history using sliding window + summarization
    */
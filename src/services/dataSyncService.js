@@ -1,7 +1,13 @@
 import { supabase } from '../config/database.js';
-import { openai } from '../config/openai.js';
+import crypto from 'crypto';
+import { OpenAIService } from '../config/openai.js';
+import { getEmbeddingProvider } from '../config/embeddingProvider.js';
 import Redis from 'ioredis';
 import config from '../config/environment.js';
+import { DrugLexiconService } from './drugLexiconService.js';
+import { SuggestService } from './suggestService.js';
+import { parseDosage } from '../utils/dosageParser.js';
+import { extractDosageForm } from '../utils/dosageForm.js';
 
 /**
  * Three-Tier Data Synchronization Service
@@ -132,11 +138,28 @@ export class DataSyncService {
         await this.sleep(100);
       }
 
+      // Pick up new INNs / brand names so parseQuery recognizes new product lines
+      try {
+        stats.lexicon = await DrugLexiconService.seedFromCatalog();
+      } catch (error) {
+        console.warn('⚠️ Drug lexicon seeding failed:', error.message);
+      }
+
+      // New names and lexicon entries for /api/search/suggest
+      try {
+        stats.suggestIndex = await SuggestService.rebuild();
+      } catch (error) {
+        console.warn('⚠️ Suggest index rebuild failed:', error.message);
+      }
+
       const duration = Date.now() - stats.startTime;
       await this.completeSyncLog(syncId, 'completed', stats, null, duration);
       
       console.log('🎉 Full catalog sync completed!');
       console.log(`📊 Created: ${stats.created}, Updated: ${stats.updated}, Failed: ${stats.failed}`);
+      if (generateEmbeddings) {
+        console.log(`🧠 Embedded: ${stats.embedded || 0}, Unchanged (skipped): ${stats.embeddingsSkipped || 0}, Failed: ${stats.embeddingsFailed || 0}`);
+      }
       
       return { success: true, stats };
 
@@ -428,19 +451,35 @@ export class DataSyncService {
    * Process catalog batch - insert/update products table
    */
   static async processCatalogBatch(products, stats, generateEmbeddings) {
+    // A malformed product fails on its own, not the whole batch
+    const rows = [];
     for (const product of products) {
       try {
-        // Transform to catalog format
-        const catalogData = await this.transformProductCatalog(product, generateEmbeddings);
-        
-        // Check if product exists
-        const { data: existing } = await supabase
-          .from('products')
-          .select('id')
-          .eq('id', catalogData.id)
-          .single();
-
-        if (existing) {
+        rows.push({ product, catalogData: this.transformProductCatalog(product) });
+      } catch (error) {
+        console.error(`Failed to process ${product?.PRODUCT_ID}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    if (rows.length === 0) return;
+
+    // Existing rows: insert vs update, and what their embeddings were built from
+    const { data: existingRows, error: existingError } = await supabase
+      .from('products')
+      .select('id, content_hash, embedding_model')
+      .in('id', rows.map(row => row.catalogData.id));
+
+    if (existingError) throw existingError;
+    const existing = new Map((existingRows || []).map(row => [row.id, row]));
+
+    if (generateEmbeddings) {
+      await this.embedChangedProducts(rows.map(row => row.catalogData), existing, stats);
+    }
+
+    for (const { product, catalogData } of rows) {
+      try {
+        if (existing.has(catalogData.id)) {
           // Update existing product
           const { error } = await supabase
             .from('products')
@@ -475,37 +514,60 @@ export class DataSyncService {
   }
 
   /**
-   * Transform product to catalog format (static data)
+   * Embed only products whose searchable text or embedding model changed
+   * (one batched provider call per sync batch). Sets embedding, content_hash
+   * and embedding_model on the rows it embeds; other rows keep their vectors.
    */
-  static async transformProductCatalog(product, generateEmbeddings = true) {
-    const searchableText = this.createSearchableText(product);
-    
-    // Generate embedding if requested
-    let embedding = null;
-    if (generateEmbeddings && searchableText) {
-      try {
-        const result = await openai.embeddings.create({
-          model: config.AI.EMBEDDING_MODEL || 'text-embedding-3-small',
-          input: searchableText.substring(0, 8000) // Limit to 8K chars
-        });
+  static async embedChangedProducts(catalogRows, existing, stats) {
+    const provider = getEmbeddingProvider();
+    const { model } = provider;
+
+    const changed = catalogRows.filter(row => {
+      if (!row.searchable_text) return false;
+
+      const current = existing.get(row.id);
+      return !current ||
+        current.content_hash !== this.contentHash(row.searchable_text) ||
+        current.embedding_model !== model;
+    });
+
+    stats.embeddingsSkipped = (stats.embeddingsSkipped || 0) + (catalogRows.length - changed.length);
+    if (changed.length === 0) return;
+
+    try {
+      const embeddings = await OpenAIService.generateBatchEmbeddings(changed.map(row => row.searchable_text), provider);
+
+      changed.forEach((row, index) => {
         // Convert to PostgreSQL vector format: '[0.1,0.2,0.3,...]'
-        const embeddingArray = result.data[0].embedding;
-        embedding = `[${embeddingArray.join(',')}]`;
-        
-        // Small delay to avoid rate limits
-        await this.sleep(50);
-      } catch (error) {
-        console.warn(`Embedding failed for ${product.PRODUCT_ID}:`, error.message);
-      }
+        row.embedding = `[${embeddings[index].join(',')}]`;
+        row.content_hash = this.contentHash(row.searchable_text);
+        row.embedding_model = model;
+      });
+
+      stats.embedded = (stats.embedded || 0) + changed.length;
+    } catch (error) {
+      // Catalog data is still saved; the next sync (or generate-embeddings --stale) retries
+      console.warn(`Embedding failed for ${changed.length} products:`, error.message);
+      stats.embeddingsFailed = (stats.embeddingsFailed || 0) + changed.length;
     }
+  }
+
+  /**
+   * Transform product to catalog format (static data).
+   * Embeddings are added by embedChangedProducts.
+   */
+  static transformProductCatalog(product) {
+    const searchableText = this.createSearchableText(product);
 
     // Clean product name - remove garbage text
     const cleanName = this.cleanProductName(product.PRODUCT_NAME || product.NAME);
     const cleanGenericName = this.cleanProductName(product.GENERIC_NAME);
     const cleanInternalName = this.cleanProductName(product.INTERNAL_NAME);
     
-    // Extract dosage information
+    // Extract dosage information (strength, concentration, pack count)
     const dosage = this.extractDosage(cleanName);
+    const strength = this.parseStrength(cleanName, product.VOLUME);
+    const description = this.cleanHtml(product.DESCRIPTION);
 
     return {
       id: product.PRODUCT_ID,
@@ -522,7 +584,7 @@ export class DataSyncService {
       // Store extracted dosage for easier filtering
       volume: dosage || product.VOLUME,
       
-      description: this.cleanHtml(product.DESCRIPTION),
+      description,
       ingredients: this.cleanHtml(product.INGREDIENTS),
       instructions: this.cleanHtml(product.INSTRUCTIONS),
       warnings: this.cleanHtml(product.WARNINGS),
@@ -534,6 +596,14 @@ export class DataSyncService {
       
       volume: product.VOLUME,
       uom_id: product.UOM_ID,
+      form: extractDosageForm(cleanName) || extractDosageForm(description),
+
+      // Structured dosage (unit-aware matching in ProductSearchService.rankResults)
+      strength_value: strength.value,
+      strength_unit: strength.unit,
+      concentration_value: strength.concentration ? strength.concentration.value : null,
+      concentration_unit: strength.concentration ? strength.concentration.unit : null,
+      pack_count: strength.packCount,
       
       is_prescription: this.isPrescriptionRequired(product),
       is_exclusive: product.IS_EXCLUSIVE === 'T',
@@ -541,7 +611,6 @@ export class DataSyncService {
       is_b2b_only: product.IS_ONLY_B2B === 'Y',
       is_virtual: product.IS_VIRTUAL === 'Y',
       
-      embedding,
       searchable_text: searchableText,
       
       tags: product.TAGS ? product.TAGS.split(',').filter(Boolean) : [],
@@ -607,6 +676,8 @@ export class DataSyncService {
       .upsert(inventory, { onConflict: 'product_id' });
 
     if (error) throw error;
+
+    SuggestService.updateStock(inventory.product_id, inventory.available, inventory.is_active);
     return { updated: true };
   }
 
@@ -780,6 +851,13 @@ export class DataSyncService {
       .trim();
   }
 
+  /**
+   * SHA-256 hex of the text an embedding is built from (products.content_hash)
+   */
+  static contentHash(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
   /**
    * Clean HTML content
    */
@@ -817,14 +895,20 @@ export class DataSyncService {
   static extractDosage(name) {
     if (!name) return null;
     
-    // Match patterns like: 500мг, 400mg, 2мл, 1.5г, etc.
-    const dosageMatch = name.match(/(\d+(?:\.\d+)?)\s*(мг|мкг|г|мл|mg|mcg|g|ml)/i);
-    
-    if (dosageMatch) {
-      return dosageMatch[0]; // e.g., "500мг"
-    }
-    
-    return null;
+    // Strength with a unit only - a bare number in a name is not a dosage
+    const dosage = parseDosage(name);
+    return dosage.unit ? dosage.text : null;
+  }
+
+  /**
+   * Structured strength for the product columns: parsed from the name, else VOLUME
+   * ("Нурофен 200мг №12" → 200 мг, pack 12; "Амоксициллин 250мг/5мл" → 50 мг/мл)
+   */
+  static parseStrength(name, volume) {
+    const fromName = parseDosage(name);
+    const parsed = fromName.unit ? fromName : { ...parseDosage(volume), packCount: fromName.packCount };
+
+    return parsed.unit ? parsed : { ...parsed, value: null };
   }
 
   /**
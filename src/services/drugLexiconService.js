@@ -0,0 +1,615 @@
+import { supabase } from '../config/database.js';
+import { DataSyncService } from './dataSyncService.js';
+import { matchKey } from '../utils/transliteration.js';
+import { editDistance, maxTyposFor } from '../utils/fuzzyMatch.js';
+import { extractDosageForm } from '../utils/dosageForm.js';
+
+/**
+ * Drug Lexicon Service
+ * Canonical drug names (INN) with variants, misspellings and brand names.
+ * Source of truth is the drug_lexicon table; entries are cached in memory
+ * (parseQuery is synchronous) and in Redis so instances share one copy.
+ */
+export class DrugLexiconService {
+  static REDIS_KEY = 'drug_lexicon:entries';
+  static REDIS_TTL = 3600;                 // 1 hour
+  static MEMORY_TTL = 5 * 60 * 1000;       // Re-check Redis/DB every 5 minutes
+  static MIN_BRAND_LENGTH = 4;             // Shorter brands ("миг") are too ambiguous to parse
+  static MAX_SUFFIX_LENGTH = 3;            // Case endings allowed after a name ("нурофенийг", "нурофена")
+
+  // Leading product-name words that are not trade names (dosage forms are checked separately)
+  static NON_BRAND_WORDS = new Set([
+    'витамин', 'vitamin', 'эм', 'эмийн', 'бэлдмэл', 'шингэн', 'хүүхдийн', 'детский', 'детская', 'детские',
+    'натри', 'натрийн', 'натрия', 'кали', 'калийн', 'калия', 'кальци', 'кальцийн', 'кальция', 'хлорид',
+    'комплекс', 'complex', 'форте', 'forte', 'плюс', 'plus', 'нео', 'neo', 'актив', 'active', 'макс', 'max',
+    'набор', 'baby', 'kids',
+    // Manufacturer prefixes ("Тева Омепразол", "Sandoz Amoxicillin")
+    'тева', 'teva', 'сандоз', 'sandoz', 'гедеон', 'gedeon', 'рихтер', 'richter', 'актавис', 'actavis',
+    'штада', 'stada', 'санофи', 'sanofi', 'байер', 'bayer', 'крка', 'krka', 'зентива', 'zentiva',
+    'озон', 'ozon', 'вертекс', 'vertex', 'берлин', 'berlin', 'pfizer', 'пфайзер'
+  ]);
+
+  static entries = null;
+  static loadedAt = 0;
+  static loading = null;
+  static defaultIndex = null;
+
+  // Used until the table is reachable (matches the migration seed)
+  static defaultEntries = [
+    { canonical: 'парацетамол', latinName: 'paracetamol', variants: [], misspellings: ['парацэтамол', 'парацэтэмол', 'парацетмол', 'парацэтмөл', 'парацетамоль', 'парацитамол'], brands: ['чамп', 'панадол', 'калпол', 'эффералган'] },
+    { canonical: 'ибупрофен', latinName: 'ibuprofen', variants: ['ибумон', 'ibumon'], misspellings: [], brands: ['гофен', 'миг', 'нурофен', 'адвил'] },
+    { canonical: 'аспирин', latinName: 'aspirin', variants: ['ацетилсалициловая', 'ацетилсалициловой', 'ацетилсалициловую'], misspellings: [], brands: [] },
+    { canonical: 'анальгин', latinName: 'analgin', variants: ['метамизол'], misspellings: [], brands: [] },
+    { canonical: 'диклофенак', latinName: 'diclofenac', variants: [], misspellings: [], brands: ['вольтарен'] },
+    { canonical: 'кетопрофен', latinName: 'ketoprofen', variants: [], misspellings: [], brands: ['кетонал'] },
+    { canonical: 'амоксициллин', latinName: 'amoxicillin', variants: [], misspellings: ['амоксицилин'], brands: ['амоксил', 'флемоксин'] },
+    { canonical: 'азитромицин', latinName: 'azithromycin', variants: [], misspellings: [], brands: ['сумамед'] },
+    { canonical: 'цефтриаксон', latinName: 'ceftriaxone', variants: [], misspellings: [], brands: [] },
+    { canonical: 'омепразол', latinName: 'omeprazole', variants: [], misspellings: [], brands: ['омез', 'лосек'] },
+    { canonical: 'пантопразол', latinName: 'pantoprazole', variants: [], misspellings: [], brands: ['нольпаза', 'контролок', 'панум'] },
+    { canonical: 'метоклопрамид', latinName: 'metoclopramide', variants: [], misspellings: [], brands: ['церукал'] },
+    { canonical: 'фолийн хүчил', latinName: 'folic acid', variants: ['фолиевая кислота', 'фолиевой кислоты', 'фолиевую кислоту'], misspellings: [], brands: [] },
+    { canonical: 'витамин', latinName: 'vitamin', variants: [], misspellings: [], brands: [] },
+    { canonical: 'церебролизин', latinName: 'cerebrolysin', variants: [], misspellings: [], brands: [] },
+    { canonical: 'глицин', latinName: 'glycine', variants: [], misspellings: [], brands: [] }
+  ];
+
+  // ================================================================
+  // LOOKUP (synchronous, in-memory)
+  // ================================================================
+
+  /**
+   * Current entries (memory → defaults); triggers a background refresh when stale
+   */
+  static getEntries() {
+    if (!this.entries || Date.now() - this.loadedAt > this.MEMORY_TTL) {
+      this.load().catch(error => console.warn('⚠️ Drug lexicon refresh failed:', error.message));
+    }
+    return this.entries || this.getDefaultIndex();
+  }
+
+  /**
+   * Pin the built-in defaults and never hit Redis/DB (offline scripts, evaluation)
+   */
+  static useBuiltIn() {
+    this.entries = this.getDefaultIndex();
+    this.loadedAt = Infinity;
+  }
+
+  /**
+   * Find the drug mentioned in a text (longest name wins, e.g. "витамин d3" over "витамин")
+   * @returns {{ canonical, variant } | null}
+   */
+  static findInText(text) {
+    const lowerText = text.toLowerCase();
+
+    for (const { name, canonical, pattern } of this.getEntries().matchList) {
+      if (lowerText.includes(name) && pattern.test(lowerText)) {
+        return { canonical, variant: name };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Canonical for a whole name ("парацетамолын" → "парацетамол"); null when a lexicon
+   * name covers only part of it ("витамин d3" is not the class entry "витамин")
+   */
+  static canonicalFor(name) {
+    const match = this.findInText(name);
+    if (!match) return null;
+
+    const wordCount = text => text.trim().split(/\s+/).length;
+    return wordCount(match.variant) === wordCount(name) ? match.canonical : null;
+  }
+
+  /**
+   * Typo/script-tolerant lookup ("ибупрафен", "paracetmol") - used when findInText misses
+   * @returns {{ canonical, variant, distance } | null}
+   */
+  static findFuzzyInText(text) {
+    const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const { fuzzyList } = this.getEntries();
+    let best = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+      // Single words, plus two-word windows for names like "фолийн хүчил"
+      for (const size of [1, 2]) {
+        if (i + size > tokens.length) continue;
+
+        const phrase = tokens.slice(i, i + size).join(' ');
+        const key = matchKey(phrase);
+        if (key.length < 5 || /^\d/.test(key)) continue;
+
+        for (const candidate of fuzzyList) {
+          if (candidate.words !== size) continue;
+
+          const maxTypos = maxTyposFor(candidate.key.length);
+          // Compare the whole word and its stem (Mongolian case suffixes: "ибупрафены")
+          const distance = Math.min(
+            editDistance(key, candidate.key, maxTypos),
+            key.length > candidate.key.length
+              ? editDistance(key.slice(0, candidate.key.length), candidate.key, maxTypos)
+              : Infinity
+          );
+
+          if (distance > maxTypos) continue;
+
+          if (!best || distance < best.distance ||
+              (distance === best.distance && candidate.key.length > best.keyLength)) {
+            best = { canonical: candidate.canonical, variant: phrase, distance, keyLength: candidate.key.length };
+          }
+        }
+      }
+    }
+
+    if (!best) return null;
+
+    return { canonical: best.canonical, variant: best.variant, distance: best.distance };
+  }
+
+  /**
+   * All spellings and brand names for a canonical drug (for catalog pre-filtering)
+   */
+  static getVariants(canonical) {
+    const entry = this.getEntries().byCanonical.get(canonical);
+    return entry ? entry.allNames : [canonical];
+  }
+
+  /**
+   * Names that identify a drug in free text (variants, misspellings and unambiguous brands);
+   * form/generic words seeded before they were filtered are skipped too
+   */
+  static getMatchNames(entry) {
+    return this.unique([
+      entry.canonical,
+      entry.latinName,
+      ...(entry.variants || []),
+      ...(entry.misspellings || []),
+      ...(entry.brands || []).filter(brand => this.isUsableBrand(brand))
+    ]);
+  }
+
+  /**
+   * Long enough and not a dosage form or generic/manufacturer word
+   */
+  static isUsableBrand(brand) {
+    return brand.length >= this.MIN_BRAND_LENGTH && !this.NON_BRAND_WORDS.has(brand) && !extractDosageForm(brand);
+  }
+
+  // ================================================================
+  // LOADING & CACHING (Redis → database → defaults)
+  // ================================================================
+
+  /**
+   * Load entries into memory (concurrent callers share one load)
+   */
+  static async load({ force = false } = {}) {
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        let rows = force ? null : await this.getFromRedis();
+
+        if (!rows) {
+          rows = await this.fetchFromDatabase();
+          if (rows.length > 0) {
+            await this.saveToRedis(rows);
+          }
+        }
+
+        if (rows.length === 0) {
+          console.warn('⚠️ Drug lexicon table empty - using built-in defaults');
+          rows = this.defaultEntries;
+        }
+
+        this.entries = this.indexEntries(rows);
+        this.loadedAt = Date.now();
+        return this.entries.list.length;
+
+      } catch (error) {
+        console.warn('⚠️ Drug lexicon unavailable - using built-in defaults:', error.message);
+        this.entries = this.entries || this.getDefaultIndex();
+        this.loadedAt = Date.now();
+        return this.entries.list.length;
+
+      } finally {
+        this.loading = null;
+      }
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Drop cached copies so the next lookup reloads from the database
+   */
+  static async invalidate() {
+    if (DataSyncService.redis && DataSyncService.redisConnected) {
+      try {
+        await DataSyncService.redis.del(this.REDIS_KEY);
+      } catch (error) {
+        console.warn('Redis lexicon invalidate failed:', error.message);
+      }
+    }
+    return this.load({ force: true });
+  }
+
+  /**
+   * Read active entries from drug_lexicon
+   */
+  static async fetchFromDatabase() {
+    const rows = await this.fetchRows({ activeOnly: true });
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Page through drug_lexicon (PostgREST caps a single select at 1000 rows)
+   */
+  static async fetchRows({ activeOnly = false, pageSize = 1000 } = {}) {
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      let query = supabase
+        .from('drug_lexicon')
+        .select('canonical, latin_name, variants, misspellings, brands')
+        .order('canonical')
+        .range(from, from + pageSize - 1);
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Cached entries from Redis (null on miss or when Redis is down)
+   */
+  static async getFromRedis() {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return null;
+
+    try {
+      const cached = await DataSyncService.redis.get(this.REDIS_KEY);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Redis lexicon get failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store entries in Redis
+   */
+  static async saveToRedis(rows) {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return;
+
+    try {
+      await DataSyncService.redis.setex(this.REDIS_KEY, this.REDIS_TTL, JSON.stringify(rows));
+    } catch (error) {
+      console.warn('Redis lexicon set failed:', error.message);
+    }
+  }
+
+  // ================================================================
+  // ADMIN EDITING
+  // ================================================================
+
+  /**
+   * List entries (optionally filtered by name), including inactive ones
+   */
+  static async list({ search = null, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+      .from('drug_lexicon')
+      .select('*', { count: 'exact' })
+      .order('canonical')
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      const term = search.replace(/[,()%]/g, ' ').trim();
+      query = query.or(`canonical.ilike.%${term}%,latin_name.ilike.%${term}%`);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { entries: data || [], total: count || 0 };
+  }
+
+  /**
+   * Get one entry by canonical name
+   */
+  static async get(canonical) {
+    const { data, error } = await supabase
+      .from('drug_lexicon')
+      .select('*')
+      .eq('canonical', this.normalizeName(canonical))
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create or replace an entry (admin edits are marked source = 'manual')
+   */
+  static async upsert(canonical, fields = {}) {
+    const row = {
+      canonical: this.normalizeName(canonical),
+      source: 'manual'
+    };
+
+    if (fields.latinName !== undefined) row.latin_name = fields.latinName ? this.normalizeName(fields.latinName) : null;
+    if (fields.variants !== undefined) row.variants = this.normalizeList(fields.variants);
+    if (fields.misspellings !== undefined) row.misspellings = this.normalizeList(fields.misspellings);
+    if (fields.brands !== undefined) row.brands = this.normalizeList(fields.brands);
+    if (fields.isActive !== undefined) row.is_active = Boolean(fields.isActive);
+
+    const { data, error } = await supabase
+      .from('drug_lexicon')
+      .upsert(row, { onConflict: 'canonical' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.invalidate();
+    return data;
+  }
+
+  /**
+   * Deactivate an entry (kept for history; catalog seeding will not revive it)
+   */
+  static async deactivate(canonical) {
+    const { data, error } = await supabase
+      .from('drug_lexicon')
+      .update({ is_active: false, source: 'manual' })
+      .eq('canonical', this.normalizeName(canonical))
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    await this.invalidate();
+    return data;
+  }
+
+  // ================================================================
+  // CATALOG SEEDING (called after fullCatalogSync)
+  // ================================================================
+
+  /**
+   * Add INNs and brand names found in the products table; never removes or
+   * overrides admin edits, only appends new names
+   */
+  static async seedFromCatalog({ pageSize = 1000 } = {}) {
+    console.log('📖 Seeding drug lexicon from catalog...');
+    const found = new Map();
+    const brandInns = new Map();
+
+    for (let from = 0; ; from += pageSize) {
+      const { data: products, error } = await supabase
+        .from('products')
+        .select('name, generic_name, ingredients')
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      if (!products || products.length === 0) break;
+
+      for (const product of products) {
+        const inns = this.extractINNs(product.generic_name || this.firstIngredient(product.ingredients));
+        const brand = inns.length === 1 ? this.extractBrand(product.name, inns[0]) : null;
+
+        for (const inn of inns) {
+          const entry = found.get(inn) || { brands: new Set(), count: 0 };
+          entry.count++;
+          if (brand) entry.brands.add(brand);
+          found.set(inn, entry);
+        }
+
+        if (brand) {
+          const brandEntry = brandInns.get(brand) || new Set();
+          brandEntry.add(inns[0]);
+          brandInns.set(brand, brandEntry);
+        }
+      }
+
+      if (products.length < pageSize) break;
+    }
+
+    // A word that leads products of several INNs (a manufacturer, a line name) is not a brand
+    const isBrand = brand => brandInns.get(brand).size === 1 && !found.has(brand);
+
+    // Includes inactive entries so deactivated drugs are not re-added
+    const existingRows = await this.fetchRows();
+    const existing = new Map(existingRows.map(row => [row.canonical, row]));
+
+    // A catalog INN may already be known under another canonical (e.g. "paracetamol")
+    const knownNames = new Map();
+    for (const row of existingRows) {
+      for (const name of this.getMatchNames(this.fromRow(row))) {
+        knownNames.set(name, row.canonical);
+      }
+    }
+
+    // Updates and inserts go separately: bulk upsert nulls columns missing from a row
+    const updates = [];
+    const inserts = [];
+
+    for (const [inn, info] of found) {
+      const canonical = existing.has(inn) ? inn : (knownNames.get(inn) || inn);
+      const current = existing.get(canonical);
+      const brands = [...info.brands].filter(brand => isBrand(brand) && !knownNames.has(brand));
+
+      if (current) {
+        updates.push({
+          canonical,
+          brands: this.unique([...(current.brands || []), ...brands]),
+          product_count: info.count
+        });
+      } else {
+        inserts.push({
+          canonical,
+          latin_name: /^[a-z][a-z\s-]*$/.test(canonical) ? canonical : null,
+          brands,
+          product_count: info.count,
+          source: 'catalog'
+        });
+      }
+    }
+
+    for (const rows of [updates, inserts]) {
+      for (let i = 0; i < rows.length; i += 500) {
+        const { error } = await supabase
+          .from('drug_lexicon')
+          .upsert(rows.slice(i, i + 500), { onConflict: 'canonical' });
+
+        if (error) throw error;
+      }
+    }
+
+    await this.invalidate();
+
+    console.log(`✅ Drug lexicon seeded: ${found.size} INNs in catalog, ${inserts.length} new`);
+    return { innsFound: found.size, added: inserts.length, updated: updates.length };
+  }
+
+  /**
+   * Split a generic name into INNs ("Парацетамол + Кофеин 500мг" → ["парацетамол", "кофеин"],
+   * "Витамин D3 1000МЕ" → ["витамин d3"])
+   */
+  static extractINNs(genericName) {
+    if (!genericName) return [];
+
+    return this.unique(
+      genericName
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .split(/[+,;/]| and | ба /)
+        .map(part => part
+          // Strengths go, but digits inside a name stay ("витамин b12", "витамин d3")
+          .replace(/(?<![\p{L}\d])\d+(?:[.,]\d+)?\s*(мг|мкг|г|мл|mg|mcg|g|ml|ме|iu|%)?/giu, ' ')
+          .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+          .replace(/\s+/g, ' ')
+          .trim())
+        .filter(part => part.length >= 4 && part.length <= 40 && part.split(' ').length <= 3)
+    );
+  }
+
+  /**
+   * First listed ingredient (INGREDIENTS is free text)
+   */
+  static firstIngredient(ingredients) {
+    if (!ingredients) return null;
+    return ingredients.split(/[\n,;:]/).map(part => part.trim()).find(Boolean) || null;
+  }
+
+  /**
+   * Trade name from a product name ("Нурофен 200мг №10" → "нурофен"), null if it is
+   * just the INN, a dosage form ("Сироп ...") or a generic/manufacturer word
+   */
+  static extractBrand(productName, inn) {
+    if (!productName) return null;
+
+    const firstWord = productName.toLowerCase().match(/^[\p{L}-]+/u)?.[0];
+    if (!firstWord) return null;
+    if (inn.startsWith(firstWord) || firstWord.startsWith(inn.split(' ')[0])) return null;
+    if (!this.isUsableBrand(firstWord)) return null;
+
+    return firstWord;
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Indexed built-in defaults (built once)
+   */
+  static getDefaultIndex() {
+    if (!this.defaultIndex) {
+      this.defaultIndex = this.indexEntries(this.defaultEntries);
+    }
+    return this.defaultIndex;
+  }
+
+  /**
+   * Build lookup structures from entries
+   */
+  static indexEntries(rows) {
+    const list = rows.map(row => ({
+      canonical: row.canonical,
+      latinName: row.latinName || null,
+      variants: row.variants || [],
+      misspellings: row.misspellings || [],
+      brands: row.brands || []
+    }));
+
+    const byCanonical = new Map();
+    const matchList = [];
+    const fuzzyKeys = new Map();
+
+    for (const entry of list) {
+      entry.allNames = this.unique([entry.canonical, entry.latinName, ...entry.variants, ...entry.misspellings, ...entry.brands]);
+      byCanonical.set(entry.canonical, entry);
+
+      for (const name of this.getMatchNames(entry)) {
+        matchList.push({ name, canonical: entry.canonical, pattern: this.namePattern(name) });
+
+        // Script-independent keys for fuzzy matching (one per distinct spelling)
+        const key = matchKey(name);
+        if (key.length >= 5 && !fuzzyKeys.has(key)) {
+          fuzzyKeys.set(key, { key, canonical: entry.canonical, words: key.split(' ').length });
+        }
+      }
+    }
+
+    // Longest names first so specific entries beat generic ones
+    matchList.sort((a, b) => b.name.length - a.name.length);
+
+    return { list, byCanonical, matchList, fuzzyList: [...fuzzyKeys.values()] };
+  }
+
+  /**
+   * Whole-token matcher for a name; a short case ending may follow
+   * ("тос" must not match "тосгон", "нурофенийг" still finds "нурофен")
+   */
+  static namePattern(name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}\\p{L}{0,${this.MAX_SUFFIX_LENGTH}}(?![\\p{L}\\p{N}])`, 'u');
+  }
+
+  /**
+   * Database row → entry
+   */
+  static fromRow(row) {
+    return {
+      canonical: row.canonical,
+      latinName: row.latin_name || null,
+      variants: row.variants || [],
+      misspellings: row.misspellings || [],
+      brands: row.brands || []
+    };
+  }
+
+  static normalizeName(name) {
+    return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  static normalizeList(values) {
+    if (!Array.isArray(values)) return [];
+    return this.unique(values.filter(value => typeof value === 'string').map(value => this.normalizeName(value)));
+  }
+
+  static unique(values) {
+    return [...new Set(values.filter(Boolean))];
+  }
+}
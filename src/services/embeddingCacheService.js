@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+import { DataSyncService } from './dataSyncService.js';
+import { getEmbeddingProvider } from '../config/embeddingProvider.js';
+
+/**
+ * Embedding Cache Service
+ * Two-tier cache for query embeddings: Redis (fast, 24h) → embedding_cache
+ * table (durable). Keys are model + SHA-256 of the full input text.
+ * Database rows expire when unused (last_used_at), not by age.
+ */
+export class EmbeddingCacheService {
+  static REDIS_PREFIX = 'embedding:';
+  static REDIS_TTL = 24 * 3600;            // 24 hours
+  static MAX_AGE_DAYS = 30;                // Database rows unused for this long are cleaned up
+  static TOUCH_INTERVAL = 24 * 3600 * 1000; // Refresh last_used_at at most once a day per row
+
+  static metrics = {
+    redisHits: 0,
+    databaseHits: 0,
+    misses: 0,
+    errors: 0
+  };
+
+  // ================================================================
+  // PUBLIC API
+  // ================================================================
+
+  /**
+   * Cached embedding for text, else generate(text) and store it in both tiers
+   * @param {string} text - Exact text that is embedded
+   * @param {Function} generate - async (text) => number[]
+   */
+  static async getOrCreate(text, generate, model = getEmbeddingProvider().model) {
+    const cached = await this.get(text, model);
+    if (cached) return cached;
+
+    const embedding = await generate(text);
+    await this.set(text, embedding, model);
+    return embedding;
+  }
+
+  /**
+   * Look up Redis, then the database (database hits are copied back to Redis)
+   */
+  static async get(text, model = getEmbeddingProvider().model) {
+    const hash = this.hashText(text);
+
+    try {
+      if (DataSyncService.redisConnected) {
+        const cached = await DataSyncService.redis.get(this.redisKey(model, hash));
+        if (cached) {
+          this.metrics.redisHits++;
+          return JSON.parse(cached);
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('embedding_cache')
+        .select('embedding, last_used_at')
+        .eq('model', model)
+        .eq('content_hash', hash)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (data) {
+        this.metrics.databaseHits++;
+        const embedding = this.parseVector(data.embedding);
+        await this.setRedis(model, hash, embedding);
+        await this.touch(model, hash, data.last_used_at);
+        return embedding;
+      }
+    } catch (error) {
+      // A cache failure must never fail the search - fall through to generation
+      this.metrics.errors++;
+      console.warn('Embedding cache lookup failed:', error.message);
+    }
+
+    this.metrics.misses++;
+    return null;
+  }
+
+  /**
+   * Store an embedding in both tiers
+   */
+  static async set(text, embedding, model = getEmbeddingProvider().model) {
+    const hash = this.hashText(text);
+
+    await this.setRedis(model, hash, embedding);
+
+    try {
+      const { error } = await supabase
+        .from('embedding_cache')
+        .upsert({
+          model,
+          content_hash: hash,
+          embedding: `[${embedding.join(',')}]`,   // PostgreSQL vector format
+          dimensions: embedding.length,
+          last_used_at: new Date().toISOString()
+        }, { onConflict: 'model,content_hash' });
+
+      if (error) throw error;
+    } catch (error) {
+      this.metrics.errors++;
+      console.warn('Embedding cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Hit/miss counters since process start
+   */
+  static getStats() {
+    const { redisHits, databaseHits, misses, errors } = this.metrics;
+    const lookups = redisHits + databaseHits + misses;
+
+    return {
+      model: getEmbeddingProvider().model,
+      lookups,
+      redisHits,
+      databaseHits,
+      misses,
+      errors,
+      hitRate: lookups > 0 ? Math.round(((redisHits + databaseHits) / lookups) * 1000) / 10 : 0
+    };
+  }
+
+  /**
+   * Delete database entries not used for MAX_AGE_DAYS
+   */
+  static async cleanup(maxAgeDays = this.MAX_AGE_DAYS) {
+    const { data, error } = await supabase.rpc('cleanup_embedding_cache', { max_age_days: maxAgeDays });
+    if (error) throw error;
+    return data || 0;
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  static hashText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  static redisKey(model, hash) {
+    return `${this.REDIS_PREFIX}${model}:${hash}`;
+  }
+
+  /**
+   * Mark a database row as used (Redis serves most repeats, so a row is read
+   * about once a day while its query is popular - well inside MAX_AGE_DAYS)
+   */
+  static async touch(model, hash, lastUsedAt) {
+    if (lastUsedAt && Date.now() - new Date(lastUsedAt).getTime() < this.TOUCH_INTERVAL) return;
+
+    try {
+      const { error } = await supabase
+        .from('embedding_cache')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('model', model)
+        .eq('content_hash', hash);
+
+      if (error) throw error;
+    } catch (error) {
+      this.metrics.errors++;
+      console.warn('Embedding cache touch failed:', error.message);
+    }
+  }
+
+  static async setRedis(model, hash, embedding) {
+    if (!DataSyncService.redisConnected) return;
+
+    try {
+      await DataSyncService.redis.setex(this.redisKey(model, hash), this.REDIS_TTL, JSON.stringify(embedding));
+    } catch (error) {
+      this.metrics.errors++;
+      console.warn('Embedding cache Redis write failed:', error.message);
+    }
+  }
+
+  /**
+   * pgvector values come back from PostgREST as "[0.1,0.2,...]"
+   */
+  static parseVector(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+}
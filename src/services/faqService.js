@@ -1,12 +1,43 @@
 /**
  * FAQ Service for Monos Trade LLC
- * Handles FAQ data storage, search, and response generation
+ * Handles FAQ data storage, search, and response generation.
+ * Source of truth is the faqs table (published rows); entries are cached
+ * in memory and in Redis so instances share one copy. Admin edits through
+ * /api/admin/faqs take effect without a deploy. Safety screening happens
+ * before FAQ lookup, in GuardrailService.
  */
 
+import { supabase } from '../config/database.js';
+import { OpenAIService } from '../config/openai.js';
+import { getEmbeddingProvider } from '../config/embeddingProvider.js';
+import { DataSyncService } from './dataSyncService.js';
+import { ProductSearchService } from './productSearchService.js';
+import { EmbeddingCacheService } from './embeddingCacheService.js';
+import { scriptVariants } from '../utils/transliteration.js';
+import { detectLanguage } from '../utils/languageDetector.js';
+
 export class FAQService {
-  // Your FAQ data (you can also load this from a database or file)
-  static faqData = [
-    // Contact Information
+  static REDIS_KEY = 'faqs:published';
+  static REDIS_TTL = 3600;                 // 1 hour
+  static MEMORY_TTL = 5 * 60 * 1000;       // Re-check Redis/DB every 5 minutes
+  static STATUSES = ['draft', 'published', 'archived'];
+  static LANGUAGES = ['mn', 'en', 'ru'];
+
+  // Embedding cosine → semantic confidence: FLOOR scores 0, CEILING scores 1 (0.7 ≈ cosine 0.65)
+  static SEMANTIC_FLOOR = 0.3;
+  static SEMANTIC_CEILING = 0.8;
+  static LANGUAGE_MARGIN = 0.02;   // Cosine head start for phrases in the reply language
+  static MIN_PARTIAL_WORD = 3;     // Keyword overlap: shorter words must match whole
+
+  static faqs = null;
+  static loadedAt = 0;
+  static loading = null;
+  static semanticIndex = null;     // { faqs, model, entries: [{ faq, phrase, vector }] }
+  static semanticLoading = null;
+
+  // Served only when the faqs table is empty or unreachable: contacts, so users
+  // can still reach staff. All other FAQ content lives in the faqs table.
+  static fallbackFaqs = [
     {
       "category": "Contact",
       "question": "What is your main contact email?",
@@ -21,6 +52,13 @@ export class FAQService {
       "alt_phrases": ["имэйл", "холбогдох имэйл", "хаана хандъя"],
       "lang": "mn"
     },
+    {
+      "category": "Контакты",
+      "question": "Какой у вас адрес электронной почты?",
+      "answer": "Вы можете написать нам на info@monostrade.mn.",
+      "alt_phrases": ["электронная почта", "ваш email", "куда написать"],
+      "lang": "ru"
+    },
     {
       "category": "Contact",
       "question": "What is your main phone number?",
@@ -36,131 +74,27 @@ export class FAQService {
       "lang": "mn"
     },
     {
-      "category": "Contact",
-      "question": "What is your office address?",
-      "answer": "Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 3-р хороо, Дунд гол гудамж, Монгол 99 төв, 7 давхар, 706 тоот",
-      "alt_phrases": ["office location", "where is your office", "company address"],
-      "lang": "en"
-    },
-    {
-      "category": "Хаяг",
-      "question": "Танай төв оффис хаана байдаг вэ?",
-      "answer": "Манай төв оффис: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 3-р хороо, Дунд гол гудамж, Монгол 99 төв, 7 давхар, 706 тоот.",
-      "alt_phrases": ["байршил", "компанийн хаяг", "төв байр"],
-      "lang": "mn"
-    },
-    {
-      "category": "Warehouse",
-      "question": "Where is your warehouse and logistics center?",
-      "answer": "Our warehouse and logistics center: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 20-р хороо, үйлдвэрийн баруун бүс, 44/17. Contact: +976 7777 7080, monostrade@monostrade.mn",
-      "alt_phrases": ["warehouse address", "logistics center", "distribution hub"],
-      "lang": "en"
-    },
-    {
-      "category": "Агуулах",
-      "question": "Агуулах, логистикийн төвийн хаяг хаана вэ?",
-      "answer": "Манай агуулах, логистикийн төв: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 20-р хороо, үйлдвэрийн баруун бүс, 44/17. Утас: +976 7777 7080, Имэйл: monostrade@monostrade.mn",
-      "alt_phrases": ["агуулах хаана вэ", "логистикийн төвийн хаяг", "хүргэлтийн төв"],
-      "lang": "mn"
-    },
-    {
-      "category": "Partnership",
-      "question": "Who do I contact for business collaboration?",
-      "answer": "For partnership inquiries, please contact saranchimeg@monostrade.mn or bdm1@monostrade.mn, phone: +976 9924 2297, +976 8800 7742",
-      "alt_phrases": ["collaborate", "partnership contact", "business cooperation"],
-      "lang": "en"
-    },
-    {
-      "category": "Хамтын ажиллагаа",
-      "question": "Хамтарч ажиллах талаар хэнтэй холбогдох вэ?",
-      "answer": "Хамтын ажиллагааны асуудлаар: saranchimeg@monostrade.mn, bdm1@monostrade.mn, утас: +976 9924 2297, +976 8800 7742",
-      "alt_phrases": ["хамтрах", "бизнесийн холбоо", "бизнес хамтын ажиллагаа"],
-      "lang": "mn"
-    },
-    {
-      "category": "Safety",
-      "question": "How do I report adverse drug reactions or product safety concerns?",
-      "answer": "Please contact registration@monostrade.mn for adverse drug reactions and product safety issues.",
-      "alt_phrases": ["drug side effects", "report safety issue", "adverse reaction"],
-      "lang": "en"
-    },
-    {
-      "category": "Аюулгүй байдал",
-      "question": "Эмийн гаж нөлөө эсвэл чанарын асуудлыг хаана мэдээлэх вэ?",
-      "answer": "Та registration@monostrade.mn хаягаар эмийн гаж нөлөө болон чанарын асуудлыг мэдээлж болно.",
-      "alt_phrases": ["гэж нөлөө", "чанар асуудал", "аюулгүй байдал"],
-      "lang": "mn"
-    },
-    {
-      "category": "About",
-      "question": "What is Monos Trade LLC?",
-      "answer": "Monos Trade LLC, founded in 2017, is a subsidiary of Monos Pharmtrade Group. We import and distribute high-quality medicines, medical devices, laboratory equipment, diagnostics, vaccines, and bioproducts to both public and private healthcare institutions.",
-      "alt_phrases": ["tell me about Monos Trade", "company info", "what do you do"],
-      "lang": "en"
-    },
-    {
-      "category": "Бидний тухай",
-      "question": "Монос Трейд ХХК гэж ямар компани вэ?",
-      "answer": "Монос Трейд ХХК нь Монос Фармтрейд группын охин компани бөгөөд 2017 онд байгуулагдсан. Бид эм, эмнэлгийн хэрэгсэл, тоног төхөөрөмж, оношлуур, вакцин, биобэлдмэл зэрэг өндөр чанартай бүтээгдэхүүнийг төрийн болон хувийн хэвшлийн эрүүл мэндийн байгууллагуудад импортлон түгээдэг.",
-      "alt_phrases": ["компанийн тухай", "Монос трейд гэж юу вэ", "танай үйл ажиллагаа юу вэ"],
-      "lang": "mn"
-    },
-    {
-      "category": "Vision",
-      "question": "What is your company vision?",
-      "answer": "Our vision is to reduce leading diseases and mortality in Mongolia, provide access to world-class treatment and diagnostics, introduce global healthcare standards locally, and be a leader in implementing international best practices.",
-      "alt_phrases": ["mission", "future goals", "long term vision"],
-      "lang": "en"
-    },
-    {
-      "category": "Алсын хараа",
-      "question": "Танай компанийн алсын хараа юу вэ?",
-      "answer": "Монгол хүний эрүүл мэндийг хамгаалж, дэлхийн шилдэг технологи, эмчилгээний стандартыг Монголдоо нэвтрүүлэн, өвчлөл болон нас баралтыг бууруулахад манлайлагч байна.",
-      "alt_phrases": ["зорилго", "байгууллагын алсын хараа", "эрхэм зорилго"],
-      "lang": "mn"
-    },
-    {
-      "category": "Logistics",
-      "question": "How big is your warehouse capacity?",
-      "answer": "Our warehouse size is 1248m², following standard MNS 5530:2014, with 14 employees and 4 distribution vehicles (3 normal, 1 refrigerated). We have 24 warehouses across Mongolia, covering all 21 provinces.",
-      "alt_phrases": ["warehouse size", "capacity", "distribution vehicles"],
-      "lang": "en"
-    },
-    {
-      "category": "Агуулах",
-      "question": "Танай агуулахын хэмжээ, хүчин чадал хэд вэ?",
-      "answer": "Манай агуулахын хэмжээ 1248м², MNS 5530:2014 стандартад нийцсэн. 14 ажилтантай, 4 түгээлтийн машинтай (3 энгийн, 1 хөргүүртэй). Улсын хэмжээнд нийт 24 агуулахтай, 21 аймгийг хамардаг.",
-      "alt_phrases": ["агуулах хүчин чадал", "логистик", "түгээлтийн машин"],
-      "lang": "mn"
-    },
-    {
-      "category": "Partners",
-      "question": "Which international companies do you work with?",
-      "answer": "We cooperate with 300+ global organizations from 40+ countries. Key partners include Roche, AstraZeneca, Novartis, Novo Nordisk, Bayer, Boehringer Ingelheim, Pfizer, and more.",
-      "alt_phrases": ["partners", "suppliers", "international companies"],
-      "lang": "en"
-    },
-    {
-      "category": "Хамтрагч байгууллага",
-      "question": "Танай хамтрагч байгууллагууд хэн бэ?",
-      "answer": "Манай компани дэлхийн 40 гаруй орны 300 гаруй байгууллага, Roche, AstraZeneca, Novartis, Novo Nordisk, Bayer, Boehringer Ingelheim, Pfizer зэрэг тэргүүлэгч эмийн үйлдвэрлэгчидтэй хамтран ажилладаг.",
-      "alt_phrases": ["хамтрагчид", "нийлүүлэгчид", "олон улсын компани"],
-      "lang": "mn"
+      "category": "Контакты",
+      "question": "Какой у вас номер телефона?",
+      "answer": "Наш основной номер телефона: +976 7766 6688.",
+      "alt_phrases": ["номер телефона", "телефон для связи", "куда позвонить"],
+      "lang": "ru"
     }
   ];
 
   // Tightened intent patterns - each has specific, non-overlapping keywords
   static intentPatterns = {
     contact_email: {
-      keywords: ["email", "имэйл", "и-мэйл", "mail", "@", "шуудан"],
+      keywords: ["email", "имэйл", "и-мэйл", "mail", "@", "шуудан", "почта"],
       patterns: [
         /имэйл.*хаяг/i,
         /email.*address/i,
         /и-мэйл/i,
         /цахим.*шуудан/i,
-        /мэйл.*хаяг/i
+        /мэйл.*хаяг/i,
+        /электронн.*почт/i
       ],
-      requiredWords: ["email", "имэйл", "mail", "@"] // Must contain one of these
+      requiredWords: ["email", "имэйл", "mail", "@", "почт"] // Must contain one of these
     },
     contact_phone: {
       keywords: ["phone", "утас", "дугаар", "залгах", "call", "number", "телефон"],
@@ -169,23 +103,27 @@ export class FAQService {
         /phone.*number/i,
         /дугаар.*хэд/i,
         /залгах.*дугаар/i,
-        /telephone/i
+        /telephone/i,
+        /номер.*телефон/i,
+        /куда.*позвонить/i
       ],
-      requiredWords: ["phone", "утас", "дугаар", "call", "залгах"] // Must contain one of these
+      requiredWords: ["phone", "утас", "дугаар", "call", "залгах", "телефон", "позвонить"] // Must contain one of these
     },
     office_address: {
-      keywords: ["office", "оффис", "байршил", "location", "төв байр"],
+      keywords: ["office", "оффис", "байршил", "location", "төв байр", "офис"],
       patterns: [
         /оффис.*хаана/i,
         /office.*address/i,
         /office.*location/i,
         /төв.*байр/i,
-        /байршил/i
+        /байршил/i,
+        /где.*офис/i,
+        /адрес.*офис/i
       ],
-      requiredWords: ["office", "оффис", "байршил", "location"] // Must contain one of these
+      requiredWords: ["office", "оффис", "байршил", "location", "офис"] // Must contain one of these
     },
     warehouse_address: {
-      keywords: ["warehouse", "агуулах", "склад", "логистик", "logistics", "distribution"],
+      keywords: ["warehouse", "агуулах", "склад", "логистик", "logistics", "distribution", "логистическ"],
       patterns: [
         /агуулах.*хаана/i,
         /warehouse.*address/i,
@@ -201,74 +139,40 @@ export class FAQService {
         /компани.*гэж.*юу/i,
         /юу.*хийдэг/i,
         /tell.*about.*company/i,
-        /what.*is.*monos/i
+        /what.*is.*monos/i,
+        /чем.*занимает/i,
+        /расскажите.*компани/i
       ],
       requiredWords: ["company", "компани", "business", "монос"]
     },
     partnership: {
-      keywords: ["partnership", "хамтран", "collaborate", "cooperation", "бизнес"],
+      keywords: ["partnership", "хамтран", "collaborate", "cooperation", "бизнес", "сотрудничеств", "партнерств"],
       patterns: [
         /хамтарч.*ажиллах/i,
         /partnership/i,
         /collaborate/i,
         /cooperation/i,
-        /бизнес.*хамтын/i
+        /бизнес.*хамтын/i,
+        /сотрудничеств/i
       ],
-      requiredWords: ["partnership", "хамтран", "collaborate", "cooperation"]
+      requiredWords: ["partnership", "хамтран", "collaborate", "cooperation", "сотрудничеств", "партнерств"]
     }
   };
 
-  // Forbidden topics that must be blocked immediately
-  static forbiddenTopics = {
-    medical_advice: [
-      // English medical terms
-      "what medicine", "recommend prescription", "can you recommend", "side effects", "drug interaction", 
-      "medical advice", "diagnosis", "treatment", "symptoms", "what should i take",
-      "medicine for", "drug for", "cure for", "treat my", "help with pain",
-      "prescribe", "medication", "pills for", "therapy", "remedy", "recommend a prescription",
-      // Mongolian medical terms
-      "эм санал болгох", "эмчилгээ", "гаж нөлөө", "тун хэмжээ", "оношлуур", 
-      "шинж тэмдэг", "өвдөж байна", "эм авах", "эмчид хандах", "эмийн зааварчилгаа"
-    ],
-    general_topics: [
-      // Non-company topics
-      "weather", "цаг агаар", "politics", "улс төр", "sports", "спорт", 
-      "news", "мэдээ", "entertainment", "зугаа цэнгэл", "cooking", "хоол",
-      "travel", "аялал", "personal problems", "хувийн асуудал",
-      "what's happening", "юу болж байна", "current events", "сонин мэдээ"
-    ],
-    competitors: [
-      "other pharmacy", "бусад эмийн сан", "competitor", "өрсөлдөгч", 
-      "alternative supplier", "өөр нийлүүлэгч", "different company", "өөр компани"
-    ]
-  };
-
   /**
    * Search for FAQ matches based on user question
    */
-  static searchFAQ(question, language = 'auto') {
-    const normalizedQuestion = question.toLowerCase().trim();
-    
-    // 🚨 STEP 1: Check forbidden topics FIRST (critical safety check)
-    const forbiddenCheck = this.checkForbiddenTopics(normalizedQuestion);
-    if (forbiddenCheck.isForbidden) {
-      return {
-        found: false,
-        confidence: 0,
-        reason: 'forbidden_topic',
-        topicType: forbiddenCheck.type,
-        blockReason: forbiddenCheck.reason
-      };
-    }
+  static async searchFAQ(question, language = 'auto') {
+    // Question as typed plus its other-script form ("utasny dugaar" → "утасны дугаар")
+    const variants = scriptVariants(question);
 
-    // 🔍 STEP 2: Direct question matching (highest priority)
-    const exactMatch = this.faqData.find(faq => 
-      faq.question.toLowerCase() === normalizedQuestion ||
-      faq.alt_phrases.some(phrase => 
-        normalizedQuestion.includes(phrase.toLowerCase()) ||
-        phrase.toLowerCase().includes(normalizedQuestion)
-      )
-    );
+    // Entries in the reply language win over equivalent entries in other languages
+    const lang = language === 'auto' ? detectLanguage(question).language : language;
+    
+    // 🔍 STEP 1: Direct question matching (highest priority)
+    const exactMatch = variants
+      .map(variant => this.findExactMatch(variant, lang))
+      .find(Boolean);
 
     if (exactMatch) {
       return {
@@ -276,80 +180,60 @@ export class FAQService {
         answer: exactMatch.answer,
         confidence: 1.0,
         category: exactMatch.category,
+        lang: exactMatch.lang,
         matchType: 'exact'
       };
     }
 
-    // 🎯 STEP 3: Intent-based matching with strict requirements
-    const intentMatch = this.findIntentMatch(normalizedQuestion);
-    if (intentMatch && intentMatch.confidence >= 0.7) {
+    // 🎯 STEP 2: Intent-based matching with strict requirements
+    const intentMatch = variants
+      .map(variant => this.findIntentMatch(variant, lang))
+      .find(match => match && match.confidence >= 0.7);
+    if (intentMatch) {
       return intentMatch;
     }
 
-    // 📊 STEP 4: Keyword-based fuzzy matching with higher threshold
-    const keywordMatch = this.findKeywordMatch(normalizedQuestion);
-    if (keywordMatch && keywordMatch.confidence >= 0.7) {
-      return keywordMatch;
+    // 📊 STEP 3: Keyword-based fuzzy matching (best across scripts) combined with
+    // embedding similarity, so paraphrases without shared words still match
+    const keywordMatch = variants
+      .map(variant => this.findKeywordMatch(variant, lang))
+      .filter(Boolean)
+      .sort((a, b) => b.confidence - a.confidence)[0] || null;
+    const semanticMatch = await this.findSemanticMatch(question, variants, lang);
+
+    const bestMatch = [keywordMatch, semanticMatch]
+      .filter(Boolean)
+      .sort((a, b) => b.confidence - a.confidence)[0] || null;
+    if (bestMatch && bestMatch.confidence >= 0.7) {
+      return bestMatch;
     }
 
     // ❌ No reliable match found
     return {
       found: false,
-      confidence: keywordMatch ? keywordMatch.confidence : 0,
+      confidence: bestMatch ? bestMatch.confidence : 0,
       reason: 'confidence_too_low',
-      suggestedMatch: keywordMatch || null
+      suggestedMatch: bestMatch || null
     };
   }
 
   /**
-   * Check forbidden topics FIRST before any matching
+   * Exact question or alt-phrase match
    */
-  static checkForbiddenTopics(question) {
-    const lowerQuestion = question.toLowerCase();
-
-    // Check medical advice (highest priority block)
-    for (const medicalTerm of this.forbiddenTopics.medical_advice) {
-      if (lowerQuestion.includes(medicalTerm.toLowerCase())) {
-        return {
-          isForbidden: true,
-          type: 'medical_advice',
-          reason: `Detected medical advice request: "${medicalTerm}"`,
-          matchedTerm: medicalTerm
-        };
-      }
-    }
-
-    // Check general non-company topics
-    for (const generalTerm of this.forbiddenTopics.general_topics) {
-      if (lowerQuestion.includes(generalTerm.toLowerCase())) {
-        return {
-          isForbidden: true,
-          type: 'general_topics',
-          reason: `Detected out-of-scope topic: "${generalTerm}"`,
-          matchedTerm: generalTerm
-        };
-      }
-    }
-
-    // Check competitor topics
-    for (const competitorTerm of this.forbiddenTopics.competitors) {
-      if (lowerQuestion.includes(competitorTerm.toLowerCase())) {
-        return {
-          isForbidden: true,
-          type: 'competitors',
-          reason: `Detected competitor inquiry: "${competitorTerm}"`,
-          matchedTerm: competitorTerm
-        };
-      }
-    }
-
-    return { isForbidden: false };
+  static findExactMatch(question, language = null) {
+    return this.getFaqsFor(language).find(faq => 
+      faq.question.toLowerCase() === question ||
+      faq.alt_phrases.some(phrase => 
+        question.includes(phrase.toLowerCase()) ||
+        phrase.toLowerCase().includes(question)
+      )
+    );
   }
 
   /**
    * Find matches based on intent patterns with strict validation
    */
-  static findIntentMatch(question) {
+  static findIntentMatch(question, language = null) {
     for (const [intent, config] of Object.entries(this.intentPatterns)) {
       // NEW: Check required words first (must have at least one)
       const hasRequiredWord = config.requiredWords && 
@@ -364,7 +248,7 @@ export class FAQService {
       // Check pattern matches with higher confidence
       for (const pattern of config.patterns) {
         if (pattern.test(question)) {
-          const faqMatch = this.faqData.find(faq => 
+          const faqMatch = this.getFaqsFor(language).find(faq => 
             this.matchesIntent(faq, intent)
           );
           
@@ -374,6 +258,7 @@ export class FAQService {
               answer: faqMatch.answer,
               confidence: 0.95, // Higher confidence for pattern matches
               category: faqMatch.category,
+              lang: faqMatch.lang,
               matchType: 'intent_pattern',
               intent: intent
             };
@@ -387,7 +272,7 @@ export class FAQService {
       );
 
       if (keywordMatches.length >= 2) { // Require at least 2 keyword matches
-        const faqMatch = this.faqData.find(faq => 
+        const faqMatch = this.getFaqsFor(language).find(faq => 
           this.matchesIntent(faq, intent)
         );
         
@@ -397,6 +282,7 @@ export class FAQService {
             answer: faqMatch.answer,
             confidence: 0.8, // Medium confidence for keyword matches
             category: faqMatch.category,
+            lang: faqMatch.lang,
             matchType: 'intent_keywords',
             intent: intent,
             matchedKeywords: keywordMatches
@@ -415,27 +301,27 @@ export class FAQService {
     // NEW: Much more specific intent to category mapping
     const strictIntentMappings = {
       contact_email: {
-        allowedCategories: ['Contact', 'Холбоо барих'],
+        allowedCategories: ['Contact', 'Холбоо барих', 'Контакты'],
         requiredInAnswer: ['@', 'info@monostrade.mn', 'email', 'имэйл'] // Must contain email reference
       },
       contact_phone: {
-        allowedCategories: ['Contact', 'Холбоо барих'],
+        allowedCategories: ['Contact', 'Холбоо барих', 'Контакты'],
         requiredInAnswer: ['+976 7766 6688', 'phone', 'утас', 'дугаар'] // Must contain phone reference
       },
       office_address: {
-        allowedCategories: ['Contact', 'Хаяг'],
+        allowedCategories: ['Contact', 'Хаяг', 'Адрес'],
         requiredInAnswer: ['99 төв', 'оффис', 'office', 'Баянгол дүүрэг'] // Must contain office reference
       },
       warehouse_address: {
-        allowedCategories: ['Warehouse', 'Агуулах'],
+        allowedCategories: ['Warehouse', 'Агуулах', 'Склад'],
         requiredInAnswer: ['агуулах', 'warehouse', '20-р хороо', 'логистик'] // Must contain warehouse reference
       },
       company_info: {
-        allowedCategories: ['About', 'Бидний тухай'],
+        allowedCategories: ['About', 'Бидний тухай', 'О компании'],
         requiredInAnswer: ['Monos Trade', 'Монос Трейд', '2017', 'импорт', 'import']
       },
       partnership: {
-        allowedCategories: ['Partnership', 'Хамтын ажиллагаа'],
+        allowedCategories: ['Partnership', 'Хамтын ажиллагаа', 'Сотрудничество'],
         requiredInAnswer: ['saranchimeg@', 'bdm1@', 'хамтын ажиллагаа', 'partnership']
       }
     };
@@ -461,11 +347,12 @@ export class FAQService {
   /**
    * Find matches based on keywords
    */
-  static findKeywordMatch(question) {
+  static findKeywordMatch(question, language = null) {
     let bestMatch = null;
     let bestScore = 0;
 
-    for (const faq of this.faqData) {
+    // Strictly greater wins, so ties go to the reply language (listed first)
+    for (const faq of this.getFaqsFor(language)) {
       const score = this.calculateSimilarity(question, faq);
       if (score > bestScore && score > 0.3) {
         bestScore = score;
@@ -479,6 +366,7 @@ export class FAQService {
         answer: bestMatch.answer,
         confidence: bestScore,
         category: bestMatch.category,
+        lang: bestMatch.lang,
         matchType: 'similarity'
       };
     }
@@ -486,6 +374,51 @@ export class FAQService {
     return null;
   }
 
+  /**
+   * Closest FAQ phrase by embedding cosine similarity. Confidence is the
+   * cosine mapped onto [SEMANTIC_FLOOR, SEMANTIC_CEILING], combined with the
+   * keyword score for the same FAQ (either signal alone can reach 0.7;
+   * agreement raises it). Null when embeddings are unavailable.
+   */
+  static async findSemanticMatch(question, variants = [question], language = null) {
+    const index = this.getSemanticIndex();
+    if (!index || index.entries.length === 0) return null;
+
+    let embedding;
+    try {
+      embedding = await ProductSearchService.generateEmbedding(question.trim());
+    } catch (error) {
+      console.warn('FAQ semantic match skipped:', error.message);
+      return null;
+    }
+
+    let best = null;
+    for (const entry of index.entries) {
+      const similarity = this.cosineSimilarity(embedding, entry.vector);
+      // Near-ties go to the reply language
+      const rank = similarity + (entry.faq.lang === language ? this.LANGUAGE_MARGIN : 0);
+      if (!best || rank > best.rank) {
+        best = { faq: entry.faq, phrase: entry.phrase, similarity, rank };
+      }
+    }
+
+    const semanticScore = Math.min(Math.max(
+      (best.similarity - this.SEMANTIC_FLOOR) / (this.SEMANTIC_CEILING - this.SEMANTIC_FLOOR), 0), 1);
+    const keywordScore = Math.max(...variants.map(variant => this.calculateSimilarity(variant, best.faq)));
+    const confidence = 1 - (1 - semanticScore) * (1 - Math.min(keywordScore, 1));
+
+    return {
+      found: true,
+      answer: best.faq.answer,
+      confidence: Math.round(confidence * 1000) / 1000,
+      category: best.faq.category,
+      lang: best.faq.lang,
+      matchType: 'semantic',
+      similarity: Math.round(best.similarity * 1000) / 1000,
+      matchedPhrase: best.phrase
+    };
+  }
+
   /**
    * Calculate similarity between question and FAQ
    */
@@ -496,9 +429,12 @@ export class FAQService {
       ...faq.alt_phrases.join(' ').toLowerCase().split(/\s+/)
     ];
 
+    // Short words ("у", "ли", "д") only count as whole words - as substrings they match everything
     const commonWords = questionWords.filter(word => 
       faqWords.some(faqWord => 
-        faqWord.includes(word) || word.includes(faqWord)
+        word.length < this.MIN_PARTIAL_WORD
+          ? faqWord.replace(/[^\p{L}\p{N}]/gu, '') === word
+          : faqWord.includes(word) || (faqWord.length >= this.MIN_PARTIAL_WORD && word.includes(faqWord))
       )
     );
 
@@ -506,67 +442,436 @@ export class FAQService {
   }
 
   /**
-   * Check if question is about medical advice (enhanced version)
+   * Get all FAQ categories
+   */
+  static getCategories() {
+    return [...new Set(this.getFaqs().map(faq => faq.category))];
+  }
+
+  /**
+   * Get FAQs by category
    */
-  static isMedicalAdviceQuestion(question) {
-    const forbiddenCheck = this.checkForbiddenTopics(question);
-    return forbiddenCheck.isForbidden && forbiddenCheck.type === 'medical_advice';
+  static getFAQsByCategory(category) {
+    return this.getFaqs().filter(faq => 
+      faq.category.toLowerCase() === category.toLowerCase()
+    );
   }
 
+  // ================================================================
+  // LOADING & CACHING (Redis → database → contact fallback)
+  // ================================================================
+
   /**
-   * Check if question is outside company scope (enhanced version)
+   * Published FAQs (memory → contact fallback); triggers a background refresh when stale
    */
-  static isOutOfScope(question) {
-    const forbiddenCheck = this.checkForbiddenTopics(question);
-    return forbiddenCheck.isForbidden && 
-           (forbiddenCheck.type === 'general_topics' || forbiddenCheck.type === 'competitors');
+  static getFaqs() {
+    if (!this.faqs || Date.now() - this.loadedAt > this.MEMORY_TTL) {
+      this.load().catch(error => console.warn('⚠️ FAQ refresh failed:', error.message));
+    }
+    return this.faqs || this.fallbackFaqs;
   }
 
   /**
-   * Generate precise fallback response based on forbidden topic type
+   * Published FAQs with entries in `language` first (all FAQs, in order, when null)
    */
-  static generateFallbackResponse(question, language = 'mn') {
-    const forbiddenCheck = this.checkForbiddenTopics(question);
-    
-    if (forbiddenCheck.isForbidden) {
-      switch (forbiddenCheck.type) {
-        case 'medical_advice':
-          return language === 'en' 
-            ? "I cannot provide medical advice, prescriptions, or health consultations. Please consult with a qualified healthcare professional or doctor."
-            : "Уучлаарай, би эмчилгээний зөвлөгөө өгөх боломжгүй. Та эмчид хандана уу.";
-            
-        case 'general_topics':
-          return language === 'en'
-            ? "I can only provide information about Monos Trade LLC. For other topics, please contact our customer service at +976 7766 6688."
-            : "Би зөвхөн Монос Трейд ХХК-ийн үйл ажиллагаа болон бүтээгдэхүүний талаар мэдээлэл өгнө. Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688";
-            
-        case 'competitors':
-          return language === 'en'
-            ? "I can only provide information about Monos Trade LLC services. For general inquiries, please contact +976 7766 6688."
-            : "Би зөвхөн Монос Трейд ХХК-ийн үйлчилгээний талаар мэдээлэл өгч чадна. Бусад асуудлаар +976 7766 6688 руу холбогдоно уу.";
+  static getFaqsFor(language) {
+    const faqs = this.getFaqs();
+    if (!language) return faqs;
+
+    return [...faqs.filter(faq => faq.lang === language), ...faqs.filter(faq => faq.lang !== language)];
+  }
+
+  /**
+   * Pin `faqs` (the contact fallback by default) and never hit Redis/DB (offline scripts, tests)
+   */
+  static useBuiltIn(faqs = this.fallbackFaqs) {
+    this.faqs = faqs;
+    this.loadedAt = Infinity;
+  }
+
+  /**
+   * Load published FAQs into memory (concurrent callers share one load)
+   */
+  static async load({ force = false } = {}) {
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        let rows = force ? null : await this.getFromRedis();
+
+        if (!rows) {
+          rows = await this.fetchPublished();
+          if (rows.length > 0) {
+            await this.saveToRedis(rows);
+          }
+        }
+
+        if (rows.length === 0) {
+          console.warn('⚠️ FAQ table empty - serving contact fallback only');
+          rows = this.fallbackFaqs;
+        }
+
+        this.faqs = rows;
+        this.loadedAt = Date.now();
+        return this.faqs.length;
+
+      } catch (error) {
+        console.warn('⚠️ FAQ table unavailable - serving contact fallback only:', error.message);
+        this.faqs = this.faqs || this.fallbackFaqs;
+        this.loadedAt = Date.now();
+        return this.faqs.length;
+
+      } finally {
+        this.loading = null;
+      }
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Drop cached copies and reload from the database (after admin edits)
+   */
+  static async invalidate() {
+    if (DataSyncService.redis && DataSyncService.redisConnected) {
+      try {
+        await DataSyncService.redis.del(this.REDIS_KEY);
+      } catch (error) {
+        console.warn('Redis FAQ invalidate failed:', error.message);
       }
     }
+    return this.load({ force: true });
+  }
 
-    // General fallback for low confidence matches
-    return language === 'en'
-      ? "I don't have specific information about that topic. Please contact our customer service at +976 7766 6688 or email info@monostrade.mn for assistance."
-      : "Энэ асуудлын талаар тодорхой мэдээлэл байхгүй байна. Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688 эсвэл info@monostrade.mn хаягаар и-мэйл бичнэ үү.";
+  /**
+   * Read published rows from faqs
+   */
+  static async fetchPublished() {
+    const { data, error } = await supabase
+      .from('faqs')
+      .select('id, category, question, answer, alt_phrases, lang, version')
+      .eq('status', 'published')
+      .order('created_at')
+      .limit(1000);
+
+    if (error) throw error;
+    return (data || []).map(row => this.fromRow(row));
   }
 
   /**
-   * Get all FAQ categories
+   * Cached FAQs from Redis (null on miss or when Redis is down)
    */
-  static getCategories() {
-    return [...new Set(this.faqData.map(faq => faq.category))];
+  static async getFromRedis() {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return null;
+
+    try {
+      const cached = await DataSyncService.redis.get(this.REDIS_KEY);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Redis FAQ get failed:', error.message);
+      return null;
+    }
   }
 
   /**
-   * Get FAQs by category
+   * Store FAQs in Redis
    */
-  static getFAQsByCategory(category) {
-    return this.faqData.filter(faq => 
-      faq.category.toLowerCase() === category.toLowerCase()
-    );
+  static async saveToRedis(rows) {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return;
+
+    try {
+      await DataSyncService.redis.setex(this.REDIS_KEY, this.REDIS_TTL, JSON.stringify(rows));
+    } catch (error) {
+      console.warn('Redis FAQ set failed:', error.message);
+    }
+  }
+
+  // ================================================================
+  // SEMANTIC INDEX (phrase embeddings: memory → faq_embeddings → provider)
+  // ================================================================
+
+  /**
+   * Index for the currently loaded FAQs and embedding model; null while
+   * it (re)builds in the background, so stale answers are never served
+   */
+  static getSemanticIndex() {
+    const faqs = this.getFaqs();
+    const { model } = getEmbeddingProvider();
+
+    if (this.semanticIndex?.faqs === faqs && this.semanticIndex.model === model) {
+      return this.semanticIndex;
+    }
+
+    this.refreshSemanticIndex().catch(error => console.warn('⚠️ FAQ semantic index build failed:', error.message));
+    return null;
+  }
+
+  /**
+   * Build the index for the loaded FAQs (concurrent callers share one build).
+   * A failed build is remembered as empty until the FAQs reload, so requests
+   * don't retry the provider every time.
+   */
+  static async refreshSemanticIndex() {
+    if (this.semanticLoading) return this.semanticLoading;
+
+    this.semanticLoading = (async () => {
+      const faqs = this.getFaqs();
+      const { model } = getEmbeddingProvider();
+
+      try {
+        this.semanticIndex = await this.buildSemanticIndex(faqs);
+        console.log(`✅ FAQ semantic index built: ${this.semanticIndex.entries.length} phrases (${model})`);
+        return this.semanticIndex.entries.length;
+      } catch (error) {
+        this.semanticIndex = { faqs, model, entries: [] };
+        throw error;
+      } finally {
+        this.semanticLoading = null;
+      }
+    })();
+
+    return this.semanticLoading;
+  }
+
+  /**
+   * Vectors for every question and alt phrase: stored ones are reused, missing
+   * ones are embedded in one batch and stored (fallback entries have no id
+   * and are only kept in memory)
+   */
+  static async buildSemanticIndex(faqs) {
+    const provider = getEmbeddingProvider();
+    const phrases = faqs.flatMap(faq => this.phrasesFor(faq).map(phrase => ({ faq, phrase })));
+    const vectors = await this.fetchEmbeddings(faqs.map(faq => faq.id).filter(Boolean), provider.model);
+
+    const missing = phrases.filter(({ faq, phrase }) => !vectors.has(this.phraseKey(faq, phrase)));
+
+    if (missing.length > 0) {
+      const embeddings = await OpenAIService.generateBatchEmbeddings(missing.map(({ phrase }) => phrase), provider);
+      missing.forEach(({ faq, phrase }, index) => vectors.set(this.phraseKey(faq, phrase), embeddings[index]));
+
+      await this.storeEmbeddings(
+        missing
+          .map(({ faq, phrase }, index) => ({ faq, phrase, embedding: embeddings[index] }))
+          .filter(({ faq }) => faq.id),
+        provider.model
+      );
+    }
+
+    return {
+      faqs,
+      model: provider.model,
+      entries: phrases.map(({ faq, phrase }) => ({ faq, phrase, vector: vectors.get(this.phraseKey(faq, phrase)) }))
+    };
+  }
+
+  /**
+   * Stored phrase vectors for these FAQs and model (empty when unavailable)
+   */
+  static async fetchEmbeddings(faqIds, model) {
+    const vectors = new Map();
+    if (faqIds.length === 0) return vectors;
+
+    try {
+      const { data, error } = await supabase
+        .from('faq_embeddings')
+        .select('faq_id, phrase, embedding')
+        .eq('embedding_model', model)
+        .in('faq_id', faqIds)
+        .limit(1000);
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        vectors.set(`${row.faq_id}\n${row.phrase}`, EmbeddingCacheService.parseVector(row.embedding));
+      }
+    } catch (error) {
+      console.warn('FAQ embeddings lookup failed:', error.message);
+    }
+
+    return vectors;
+  }
+
+  static async storeEmbeddings(rows, model) {
+    if (rows.length === 0) return;
+
+    try {
+      const { error } = await supabase
+        .from('faq_embeddings')
+        .upsert(rows.map(({ faq, phrase, embedding }) => ({
+          faq_id: faq.id,
+          phrase,
+          embedding_model: model,
+          embedding: `[${embedding.join(',')}]`   // PostgreSQL vector format
+        })), { onConflict: 'faq_id,embedding_model,phrase' });
+
+      if (error) throw error;
+    } catch (error) {
+      // Kept in memory; the next build embeds them again
+      console.warn('FAQ embeddings write failed:', error.message);
+    }
+  }
+
+  static async deleteEmbeddings(faqId) {
+    const { error } = await supabase
+      .from('faq_embeddings')
+      .delete()
+      .eq('faq_id', faqId);
+
+    if (error) {
+      console.warn('FAQ embeddings delete failed:', error.message);
+    }
+  }
+
+  // ================================================================
+  // ADMIN EDITING
+  // ================================================================
+
+  /**
+   * List FAQs in any status (search matches question, answer and category)
+   */
+  static async list({ search = null, category = null, lang = null, status = null, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+      .from('faqs')
+      .select('*', { count: 'exact' })
+      .order('category')
+      .order('lang')
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      const term = search.replace(/[,()%]/g, ' ').trim();
+      query = query.or(`question.ilike.%${term}%,answer.ilike.%${term}%,category.ilike.%${term}%`);
+    }
+    if (category) query = query.eq('category', category);
+    if (lang) query = query.eq('lang', lang);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { faqs: data || [], total: count || 0 };
+  }
+
+  /**
+   * Get one FAQ by id
+   */
+  static async get(id) {
+    const { data, error } = await supabase
+      .from('faqs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a FAQ (published unless a status is given)
+   */
+  static async create(fields) {
+    const { data, error } = await supabase
+      .from('faqs')
+      .insert({ ...this.toRow(fields), source: 'manual' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.invalidate();
+    return data;
+  }
+
+  /**
+   * Update the given fields of a FAQ (the table bumps version on content changes)
+   */
+  static async update(id, fields) {
+    const { data, error } = await supabase
+      .from('faqs')
+      .update(this.toRow(fields))
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Phrase vectors are rebuilt for the new text on reload
+    if (data && (fields.question !== undefined || fields.altPhrases !== undefined)) {
+      await this.deleteEmbeddings(id);
+    }
+
+    await this.invalidate();
+    return data;
+  }
+
+  /**
+   * Archive a FAQ (kept for history, no longer served)
+   */
+  static async archive(id) {
+    return this.update(id, { status: 'archived' });
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Database row → entry (same shape as fallbackFaqs)
+   */
+  static fromRow(row) {
+    return {
+      id: row.id,
+      category: row.category,
+      question: row.question,
+      answer: row.answer,
+      alt_phrases: row.alt_phrases || [],
+      lang: row.lang,
+      version: row.version
+    };
+  }
+
+  /**
+   * Question + alt phrases, each embedded separately
+   */
+  static phrasesFor(faq) {
+    return [...new Set([faq.question, ...(faq.alt_phrases || [])]
+      .map(phrase => (phrase || '').trim())
+      .filter(Boolean))];
+  }
+
+  static phraseKey(faq, phrase) {
+    return `${faq.id || faq.question}\n${phrase}`;
+  }
+
+  static cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * API fields → row (only the fields given)
+   */
+  static toRow(fields) {
+    const row = {};
+
+    if (fields.category !== undefined) row.category = String(fields.category).trim();
+    if (fields.question !== undefined) row.question = String(fields.question).trim();
+    if (fields.answer !== undefined) row.answer = String(fields.answer).trim();
+    if (fields.altPhrases !== undefined) {
+      row.alt_phrases = [...new Set(fields.altPhrases.map(phrase => phrase.trim()).filter(Boolean))];
+    }
+    if (fields.lang !== undefined) row.lang = fields.lang;
+    if (fields.status !== undefined) row.status = fields.status;
+
+    return row;
   }
 }
 
@@ -0,0 +1,867 @@
+import { supabase } from '../config/database.js';
+import { OpenAIService } from '../config/openai.js';
+import { getEmbeddingProvider } from '../config/embeddingProvider.js';
+import { DataSyncService } from './dataSyncService.js';
+import { ProductSearchService } from './productSearchService.js';
+import { IntentClassifier } from './intentClassifier.js';
+import FAQService from './faqService.js';
+import { scriptVariants } from '../utils/transliteration.js';
+
+/**
+ * Guardrail Service
+ * Declarative safety policy for every chat path. Rules live in
+ * guardrail_rules (editable through /api/admin/guardrails) and are
+ * evaluated on the customer's message (stage 'input') and on the LLM's
+ * reply (stage 'output').
+ *
+ * Rule types:
+ *   token    - terms at word boundaries ("гаж нөлөө*": trailing * allows suffixes)
+ *   regex    - JavaScript regular expressions (case-insensitive, unicode)
+ *   semantic - example phrases; triggers when the text embedding is within
+ *              `threshold` cosine similarity of any example
+ * A rule never triggers when one of its `exceptions` (token terms) is present.
+ *
+ * Actions:
+ *   block    - refuse; the rule's response replaces the reply
+ *   redirect - the rule's response sends the customer to the right channel
+ *   escalate - like block, and the event is flagged for staff review
+ *   warn     - the reply goes out unchanged; the trigger is reported and logged
+ *
+ * Rules run in priority order (lowest first); the first non-warn trigger
+ * decides. Every trigger is written to guardrail_events.
+ *
+ * Product queries ("парацетамол эм авах боломжтой юу") often contain
+ * medical/topic terms, so the chat paths check them in two passes: block
+ * and escalate rules before the product search, redirect and warn rules
+ * only when the search found nothing.
+ */
+export class GuardrailService {
+  static REDIS_KEY = 'guardrails:rules';
+  static REDIS_TTL = 3600;                 // 1 hour
+  static MEMORY_TTL = 5 * 60 * 1000;       // Re-check Redis/DB every 5 minutes
+  static TYPES = ['token', 'regex', 'semantic'];
+  static STAGES = ['input', 'output', 'both'];
+  static ACTIONS = ['block', 'redirect', 'escalate', 'warn'];
+  static SEVERITIES = ['low', 'medium', 'high', 'critical'];
+  static DEFAULT_THRESHOLD = 0.85;         // Semantic rules without their own threshold
+  static EXCERPT_LENGTH = 500;             // Characters of the checked text kept in the audit log
+  static SENTENCE_END = /[.!?;:。\n](?=\s)|\n/g;  // Where streamed output is released for screening
+  static PRE_SEARCH_ACTIONS = ['block', 'escalate'];   // Checked before a product query is searched
+  static TOPIC_ACTIONS = ['redirect', 'warn'];         // Checked only when the search found nothing
+
+  static rules = null;                     // Compiled active rules, priority order
+  static loadedAt = 0;
+  static loading = null;
+  static defaultRulesCompiled = null;
+  static semanticIndex = null;             // { rules, model, entries: [{ rule, example, vector }] }
+  static semanticLoading = null;
+
+  // Reply for rules without a response in the customer's language
+  static defaultResponses = {
+    mn: "Энэ асуудлын талаар тодорхой мэдээлэл байхгүй байна. Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688 эсвэл info@monostrade.mn хаягаар и-мэйл бичнэ үү.",
+    en: "I don't have specific information about that topic. Please contact our customer service at +976 7766 6688 or email info@monostrade.mn for assistance.",
+    ru: "По этому вопросу у меня нет точной информации. Обратитесь в службу поддержки: +976 7766 6688 или напишите на info@monostrade.mn."
+  };
+
+  // Used until the table is reachable (matches the migration seed)
+  static defaultRules = [
+    {
+      name: 'self_harm',
+      category: 'self_harm',
+      description: 'Self-harm or suicide intent - answer with emergency contacts and flag for staff',
+      type: 'token',
+      patterns: ['амиа хорло*', 'амиа егүүтгэ*', 'suicid*', 'kill myself', 'end my life', 'покончить с собой', 'суицид*'],
+      exceptions: [],
+      stage: 'input',
+      action: 'escalate',
+      severity: 'critical',
+      priority: 10,
+      responses: {
+        mn: "Таны аюулгүй байдал хамгийн чухал. Яаралтай тусламж хэрэгтэй бол 103 дугаарт залгана уу. Манай ажилтан тантай удахгүй холбогдоно.",
+        en: "Your safety matters most. If you need urgent help, please call the emergency line 103. A member of our staff will follow up with you.",
+        ru: "Ваша безопасность важнее всего. Если вам нужна срочная помощь, позвоните по номеру 103. Наш сотрудник свяжется с вами."
+      }
+    },
+    {
+      name: 'medical_advice',
+      category: 'medical_advice',
+      description: 'Requests for diagnosis, dosing or treatment advice',
+      type: 'token',
+      patterns: [
+        // English
+        'what medicine', 'recommend prescription', 'can you recommend', 'side effect*', 'drug interaction*',
+        'medical advice', 'diagnos*', 'treatment*', 'symptom*', 'what should i take',
+        'medicine for', 'drug for', 'cure for', 'treat my', 'help with pain',
+        'prescribe*', 'medication*', 'pills for', 'therap*', 'remed*', 'recommend a prescription',
+        // Mongolian
+        'эм санал болго*', 'эмчилгээ*', 'гаж нөлөө*', 'тун хэмжээ*', 'оношлуур*',
+        'шинж тэмдэг*', 'өвдөж байна', 'эм авах', 'эмчид хандах', 'эмийн зааварчилгаа*',
+        // Russian
+        'какое лекарство', 'что принять', 'что выпить', 'посоветуйте', 'побочные эффекты',
+        'побочное действие', 'взаимодейств*', 'дозировк*', 'как принимать', 'диагноз*', 'лечени*',
+        'симптом*', 'болит', 'назначьте'
+      ],
+      // Reporting a reaction is a safety report, not a request for advice
+      exceptions: ['мэдээлэх', 'мэдэгдэх', 'report*', 'сообщить'],
+      stage: 'input',
+      action: 'redirect',
+      severity: 'high',
+      priority: 20,
+      responses: {
+        mn: "Уучлаарай, би эмчилгээний зөвлөгөө өгөх боломжгүй. Та эмчид хандана уу.",
+        en: "I cannot provide medical advice, prescriptions, or health consultations. Please consult with a qualified healthcare professional or doctor.",
+        ru: "К сожалению, я не могу давать медицинские консультации и назначать лечение. Пожалуйста, обратитесь к врачу."
+      }
+    },
+    {
+      name: 'medical_advice_paraphrase',
+      category: 'medical_advice',
+      description: 'Advice requests worded without any listed term',
+      type: 'semantic',
+      patterns: [
+        'which pill should I take for my headache',
+        'толгой өвдөөд байна юу уух вэ',
+        'что мне пить от температуры'
+      ],
+      exceptions: ['мэдээлэх', 'мэдэгдэх', 'report*', 'сообщить'],
+      threshold: 0.85,
+      stage: 'input',
+      action: 'redirect',
+      severity: 'high',
+      priority: 25,
+      responses: {
+        mn: "Уучлаарай, би эмчилгээний зөвлөгөө өгөх боломжгүй. Та эмчид хандана уу.",
+        en: "I cannot provide medical advice, prescriptions, or health consultations. Please consult with a qualified healthcare professional or doctor.",
+        ru: "К сожалению, я не могу давать медицинские консультации и назначать лечение. Пожалуйста, обратитесь к врачу."
+      }
+    },
+    {
+      name: 'competitors',
+      category: 'competitors',
+      description: 'Questions about other pharmacies and suppliers',
+      type: 'token',
+      patterns: [
+        'other pharmac*', 'бусад эмийн сан*', 'competitor*', 'өрсөлдөгч*',
+        'alternative supplier*', 'өөр нийлүүлэгч*', 'different company', 'өөр компани*',
+        'другая аптека', 'другой аптек*', 'других аптек', 'конкурент*', 'другой поставщик*', 'другая компания',
+        'другой компании'
+      ],
+      exceptions: [],
+      stage: 'input',
+      action: 'redirect',
+      severity: 'medium',
+      priority: 30,
+      responses: {
+        mn: "Би зөвхөн Монос Трейд ХХК-ийн үйлчилгээний талаар мэдээлэл өгч чадна. Бусад асуудлаар +976 7766 6688 руу холбогдоно уу.",
+        en: "I can only provide information about Monos Trade LLC services. For general inquiries, please contact +976 7766 6688.",
+        ru: "Я могу рассказать только об услугах компании «Монос Трейд». По остальным вопросам звоните: +976 7766 6688."
+      }
+    },
+    {
+      name: 'general_topics',
+      category: 'general_topics',
+      description: 'Topics unrelated to the company (weather, politics, news, ...)',
+      type: 'token',
+      patterns: [
+        'weather', 'цаг агаар*', 'politic*', 'улс төр*', 'sport*', 'спорт*',
+        'news', 'мэдээ', 'entertainment', 'зугаа цэнгэл*', 'cooking', 'хоол', 'хоолны',
+        'travel*', 'аялал*', 'personal problems', 'хувийн асуудал*',
+        "what's happening", 'юу болж байна', 'current events', 'сонин мэдээ',
+        'погод*', 'политик*', 'новост*', 'развлечени*', 'кулинар*', 'путешестви*', 'личные проблемы',
+        'что происходит'
+      ],
+      exceptions: [],
+      stage: 'input',
+      action: 'redirect',
+      severity: 'medium',
+      priority: 40,
+      responses: {
+        mn: "Би зөвхөн Монос Трейд ХХК-ийн үйл ажиллагаа болон бүтээгдэхүүний талаар мэдээлэл өгнө. Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688",
+        en: "I can only provide information about Monos Trade LLC. For other topics, please contact our customer service at +976 7766 6688.",
+        ru: "Я могу отвечать только на вопросы о компании «Монос Трейд» и её продукции. По другим вопросам обратитесь в службу поддержки: +976 7766 6688"
+      }
+    },
+    {
+      name: 'output_dosing_instructions',
+      category: 'medical_advice',
+      description: 'AI reply tells the customer how much or how often to take a drug',
+      type: 'regex',
+      patterns: [
+        '\\d+(?:[.,]\\d+)?\\s*(?:мг|mg|мл|ml)[^.\\n]{0,30}(?:өдөрт|хоногт|per day|a day|daily|в день|в сутки)',
+        '(?:өдөрт|хоногт|per day|a day|в день|в сутки)\\s*\\d+\\s*(?:удаа|times|раз)'
+      ],
+      exceptions: [],
+      stage: 'output',
+      action: 'block',
+      severity: 'high',
+      priority: 50,
+      responses: {
+        mn: "Уучлаарай, эм хэрэглэх тун, давтамжийн талаар зөвхөн эмч зөвлөнө. Та эмчид хандана уу.",
+        en: "Sorry, only a doctor can advise on how much or how often to take a medicine. Please consult your doctor.",
+        ru: "К сожалению, дозировку и режим приёма может назначить только врач. Пожалуйста, обратитесь к врачу."
+      }
+    },
+    {
+      name: 'output_exact_stock',
+      category: 'data_exposure',
+      description: 'AI reply shows an exact stock count instead of a range',
+      type: 'regex',
+      patterns: [
+        '(?:нөөц|үлдэгдэл|stock|в наличии)\\s*:?\\s*\\d+\\s*(?:ширхэг|ш\\b|pcs|units|шт)'
+      ],
+      exceptions: [],
+      stage: 'output',
+      action: 'warn',
+      severity: 'low',
+      priority: 60,
+      responses: {}
+    }
+  ];
+
+  // ================================================================
+  // EVALUATION
+  // ================================================================
+
+  /**
+   * Evaluate a text against every active rule for a stage
+   * @param {string} text - customer message (input) or LLM reply (output)
+   * @param {Object} options - stage, language (reply language), context
+   *   ({ channel, sessionId, userId } for the audit log), audit (default true),
+   *   actions (only rules with these actions; null = all)
+   * @returns {{ allowed, action, rule, category, severity, matched, response, warnings }}
+   */
+  static async evaluate(text, { stage = 'input', language = 'mn', context = {}, audit = true, actions = null } = {}) {
+    const rules = this.getRules();
+    const candidates = rules.filter(rule => this.appliesTo(rule, stage) && (!actions || actions.includes(rule.action)));
+    const variants = scriptVariants(text || '');
+    const tokenSets = variants.map(variant => IntentClassifier.tokenize(variant));
+
+    const needsSemantic = candidates.some(rule => rule.type === 'semantic');
+    const semanticScores = needsSemantic ? await this.semanticScores(text, rules) : new Map();
+
+    const warnings = [];
+    let decision = null;
+
+    for (const rule of candidates) {
+      const trigger = this.matchRule(rule, variants, tokenSets, semanticScores);
+      if (!trigger) continue;
+
+      if (audit) {
+        this.recordEvent(rule, trigger, { text, stage, language, context })
+          .catch(error => console.warn('Guardrail audit failed:', error.message));
+      }
+
+      if (rule.action === 'warn') {
+        warnings.push(this.describe(rule, trigger));
+        continue;
+      }
+
+      if (rule.action === 'escalate' && audit) {
+        console.warn(`🚨 Guardrail escalation (${rule.name}, ${stage}):`, (text || '').slice(0, 120));
+      }
+
+      decision = { rule, trigger };
+      break;
+    }
+
+    if (!decision) {
+      return {
+        allowed: true,
+        action: warnings.length > 0 ? 'warn' : 'allow',
+        rule: null,
+        category: null,
+        severity: null,
+        matched: null,
+        response: null,
+        warnings
+      };
+    }
+
+    const { rule, trigger } = decision;
+
+    return {
+      allowed: false,
+      ...this.describe(rule, trigger),
+      response: this.responseFor(rule, language),
+      warnings
+    };
+  }
+
+  /**
+   * First token/regex trigger, synchronous and unaudited (intent scoring)
+   * @returns {{ rule, category, severity, action, matched } | null}
+   */
+  static check(text, { stage = 'input', category = null } = {}) {
+    const rules = this.getRules();
+    const variants = scriptVariants(text || '');
+    const tokenSets = variants.map(variant => IntentClassifier.tokenize(variant));
+
+    for (const rule of rules) {
+      if (rule.type === 'semantic' || !this.appliesTo(rule, stage)) continue;
+      if (category && rule.category !== category) continue;
+
+      const trigger = this.matchRule(rule, variants, tokenSets, new Map());
+      if (trigger) return this.describe(rule, trigger);
+    }
+
+    return null;
+  }
+
+  /**
+   * Sentence-buffered output screening for streamed replies. Chunks are held
+   * until a sentence ends; the reply so far is then checked against the output
+   * rules and released only if it passes, so blocked text never reaches the client.
+   *
+   *   const screen = GuardrailService.outputScreen({ language, context });
+   *   for await (...) { const text = await screen.push(chunk); if (text) send(text); if (screen.blocked) break; }
+   *   const { text, decision, reply } = await screen.finish();
+   *
+   * finish() releases the tail, runs the audited check on everything seen and
+   * returns the reply to save (the rule response when blocked).
+   */
+  static outputScreen({ language = 'mn', context = {} } = {}) {
+    let released = '';
+    let pending = '';
+    let blocked = false;
+
+    const check = text => this.evaluate(text, { stage: 'output', language, context, audit: false });
+
+    return {
+      get blocked() {
+        return blocked;
+      },
+
+      async push(content) {
+        if (blocked || !content) return '';
+        pending += content;
+
+        const boundary = [...pending.matchAll(GuardrailService.SENTENCE_END)].pop();
+        if (!boundary) return '';
+
+        const end = boundary.index + boundary[0].length;
+        const decision = await check(released + pending.slice(0, end));
+        if (!decision.allowed) {
+          blocked = true;
+          return '';
+        }
+
+        const text = pending.slice(0, end);
+        released += text;
+        pending = pending.slice(end);
+        return text;
+      },
+
+      async finish() {
+        const decision = await GuardrailService.evaluate(released + pending, {
+          stage: 'output',
+          language,
+          context
+        });
+
+        if (!decision.allowed) {
+          blocked = true;
+          return { text: '', decision, reply: decision.response };
+        }
+
+        const text = pending;
+        released += text;
+        pending = '';
+        return { text, decision, reply: released };
+      }
+    };
+  }
+
+  /**
+   * Response metadata for a decision (null when nothing triggered)
+   */
+  static toMetadata(decision) {
+    if (decision.action === 'allow') return null;
+
+    return {
+      action: decision.action,
+      rule: decision.rule,
+      category: decision.category,
+      severity: decision.severity,
+      warnings: decision.warnings.map(warning => warning.rule)
+    };
+  }
+
+  /**
+   * Trigger for one rule: { matched, similarity? } or null
+   */
+  static matchRule(rule, variants, tokenSets, semanticScores) {
+    if (rule.exceptions.some(term => tokenSets.some(tokens => IntentClassifier.matchesTerm(tokens, term)))) {
+      return null;
+    }
+
+    switch (rule.type) {
+      case 'token': {
+        const term = rule.patterns.find(pattern => tokenSets.some(tokens => IntentClassifier.matchesTerm(tokens, pattern)));
+        return term ? { matched: term } : null;
+      }
+
+      case 'regex': {
+        for (const regex of rule.regexes) {
+          const match = variants.map(variant => variant.match(regex)).find(Boolean);
+          if (match) return { matched: match[0] };
+        }
+        return null;
+      }
+
+      case 'semantic': {
+        const score = semanticScores.get(rule.key);
+        return score && score.similarity >= rule.threshold
+          ? { matched: score.example, similarity: Math.round(score.similarity * 1000) / 1000 }
+          : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Best example similarity per semantic rule (empty when embeddings are unavailable)
+   */
+  static async semanticScores(text, rules) {
+    const scores = new Map();
+
+    try {
+      const index = await this.getSemanticIndex(rules);
+      if (index.entries.length === 0) return scores;
+
+      const vector = await ProductSearchService.generateEmbedding(text);
+
+      for (const { rule, example, vector: exampleVector } of index.entries) {
+        const similarity = FAQService.cosineSimilarity(vector, exampleVector);
+        const best = scores.get(rule.key);
+        if (!best || similarity > best.similarity) {
+          scores.set(rule.key, { similarity, example });
+        }
+      }
+    } catch (error) {
+      // Semantic rules fail open; token/regex rules still apply
+      console.warn('⚠️ Guardrail semantic check skipped:', error.message);
+    }
+
+    return scores;
+  }
+
+  static appliesTo(rule, stage) {
+    return rule.stage === 'both' || rule.stage === stage;
+  }
+
+  static describe(rule, trigger) {
+    return {
+      action: rule.action,
+      rule: rule.name,
+      category: rule.category,
+      severity: rule.severity,
+      matched: trigger.matched,
+      ...(trigger.similarity !== undefined ? { similarity: trigger.similarity } : {})
+    };
+  }
+
+  /**
+   * Rule response in the reply language (→ Mongolian → generic contact reply)
+   */
+  static responseFor(rule, language) {
+    return rule.responses[language] || rule.responses.mn ||
+      this.defaultResponses[language] || this.defaultResponses.mn;
+  }
+
+  // ================================================================
+  // SEMANTIC INDEX (example embeddings, memory only)
+  // ================================================================
+
+  /**
+   * Example vectors for the loaded rules and embedding model; built on first
+   * use (concurrent callers share one build). A failed build is remembered
+   * as empty until the rules reload.
+   */
+  static async getSemanticIndex(rules) {
+    const { model } = getEmbeddingProvider();
+
+    if (this.semanticIndex?.rules === rules && this.semanticIndex.model === model) {
+      return this.semanticIndex;
+    }
+
+    if (!this.semanticLoading) {
+      this.semanticLoading = (async () => {
+        try {
+          this.semanticIndex = await this.buildSemanticIndex(rules);
+          console.log(`✅ Guardrail semantic index built: ${this.semanticIndex.entries.length} examples (${model})`);
+        } catch (error) {
+          this.semanticIndex = { rules, model, entries: [] };
+          console.warn('⚠️ Guardrail semantic index build failed:', error.message);
+        } finally {
+          this.semanticLoading = null;
+        }
+        return this.semanticIndex;
+      })();
+    }
+
+    return this.semanticLoading;
+  }
+
+  static async buildSemanticIndex(rules) {
+    const provider = getEmbeddingProvider();
+    const examples = rules
+      .filter(rule => rule.type === 'semantic')
+      .flatMap(rule => rule.patterns.map(example => ({ rule, example })));
+
+    const vectors = examples.length > 0
+      ? await OpenAIService.generateBatchEmbeddings(examples.map(({ example }) => example), provider)
+      : [];
+
+    return {
+      rules,
+      model: provider.model,
+      entries: examples.map(({ rule, example }, index) => ({ rule, example, vector: vectors[index] }))
+    };
+  }
+
+  // ================================================================
+  // AUDIT LOG
+  // ================================================================
+
+  /**
+   * Store one trigger in guardrail_events
+   */
+  static async recordEvent(rule, trigger, { text, stage, language, context = {} }) {
+    const { error } = await supabase
+      .from('guardrail_events')
+      .insert({
+        rule_id: rule.id || null,
+        rule_name: rule.name,
+        category: rule.category,
+        stage,
+        action: rule.action,
+        severity: rule.severity,
+        matched: String(trigger.matched).slice(0, 500),
+        similarity: trigger.similarity ?? null,
+        excerpt: (text || '').slice(0, this.EXCERPT_LENGTH),
+        language,
+        channel: context.channel || null,
+        session_id: context.sessionId || null,
+        user_id: context.userId || null
+      });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Recent triggers, newest first (?rule=, ?action=, ?stage=, ?since=)
+   */
+  static async listEvents({ rule = null, action = null, stage = null, since = null, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+      .from('guardrail_events')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (rule) query = query.eq('rule_name', rule);
+    if (action) query = query.eq('action', action);
+    if (stage) query = query.eq('stage', stage);
+    if (since) query = query.gte('created_at', since);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { events: data || [], total: count || 0 };
+  }
+
+  // ================================================================
+  // LOADING & CACHING (Redis → database → defaults)
+  // ================================================================
+
+  /**
+   * Compiled active rules (memory → defaults); triggers a background refresh when stale
+   */
+  static getRules() {
+    if (!this.rules || Date.now() - this.loadedAt > this.MEMORY_TTL) {
+      this.load().catch(error => console.warn('⚠️ Guardrail refresh failed:', error.message));
+    }
+    return this.rules || this.getDefaultRules();
+  }
+
+  /**
+   * Pin the built-in defaults and never hit Redis/DB (offline scripts, evaluation)
+   */
+  static useBuiltIn() {
+    this.rules = this.getDefaultRules();
+    this.loadedAt = Infinity;
+  }
+
+  /**
+   * Load active rules into memory (concurrent callers share one load)
+   */
+  static async load({ force = false } = {}) {
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        let rows = force ? null : await this.getFromRedis();
+
+        if (!rows) {
+          rows = await this.fetchActive();
+          if (rows.length > 0) {
+            await this.saveToRedis(rows);
+          }
+        }
+
+        if (rows.length === 0) {
+          console.warn('⚠️ Guardrail table empty - using built-in defaults');
+          rows = this.defaultRules;
+        }
+
+        this.rules = this.compileRules(rows);
+        this.loadedAt = Date.now();
+        return this.rules.length;
+
+      } catch (error) {
+        console.warn('⚠️ Guardrail rules unavailable - using built-in defaults:', error.message);
+        this.rules = this.rules || this.getDefaultRules();
+        this.loadedAt = Date.now();
+        return this.rules.length;
+
+      } finally {
+        this.loading = null;
+      }
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Drop cached copies and reload from the database (after admin edits)
+   */
+  static async invalidate() {
+    if (DataSyncService.redis && DataSyncService.redisConnected) {
+      try {
+        await DataSyncService.redis.del(this.REDIS_KEY);
+      } catch (error) {
+        console.warn('Redis guardrail invalidate failed:', error.message);
+      }
+    }
+    return this.load({ force: true });
+  }
+
+  /**
+   * Read active rules from guardrail_rules
+   */
+  static async fetchActive() {
+    const { data, error } = await supabase
+      .from('guardrail_rules')
+      .select('*')
+      .eq('is_active', true)
+      .order('priority')
+      .limit(1000);
+
+    if (error) throw error;
+    return (data || []).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Cached rules from Redis (null on miss or when Redis is down)
+   */
+  static async getFromRedis() {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return null;
+
+    try {
+      const cached = await DataSyncService.redis.get(this.REDIS_KEY);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Redis guardrail get failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store rules in Redis
+   */
+  static async saveToRedis(rows) {
+    if (!DataSyncService.redis || !DataSyncService.redisConnected) return;
+
+    try {
+      await DataSyncService.redis.setex(this.REDIS_KEY, this.REDIS_TTL, JSON.stringify(rows));
+    } catch (error) {
+      console.warn('Redis guardrail set failed:', error.message);
+    }
+  }
+
+  static getDefaultRules() {
+    if (!this.defaultRulesCompiled) {
+      this.defaultRulesCompiled = this.compileRules(this.defaultRules);
+    }
+    return this.defaultRulesCompiled;
+  }
+
+  /**
+   * Sort by priority and compile regexes; rules with an invalid pattern are skipped
+   */
+  static compileRules(rows) {
+    const rules = [];
+
+    for (const row of rows) {
+      const rule = {
+        id: row.id || null,
+        key: row.id || row.name,
+        name: row.name,
+        category: row.category,
+        type: row.type,
+        patterns: row.patterns || [],
+        exceptions: row.exceptions || [],
+        threshold: row.threshold ?? this.DEFAULT_THRESHOLD,
+        stage: row.stage || 'input',
+        action: row.action,
+        severity: row.severity || 'medium',
+        priority: row.priority ?? 100,
+        responses: row.responses || {}
+      };
+
+      if (rule.type === 'regex') {
+        try {
+          rule.regexes = rule.patterns.map(pattern => new RegExp(pattern, 'iu'));
+        } catch (error) {
+          console.warn(`⚠️ Guardrail rule "${rule.name}" skipped - invalid pattern:`, error.message);
+          continue;
+        }
+      }
+
+      rules.push(rule);
+    }
+
+    return rules.sort((a, b) => a.priority - b.priority);
+  }
+
+  // ================================================================
+  // ADMIN EDITING
+  // ================================================================
+
+  /**
+   * List rules, including inactive ones (search matches name and description)
+   */
+  static async list({ search = null, category = null, action = null, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+      .from('guardrail_rules')
+      .select('*', { count: 'exact' })
+      .order('priority')
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      const term = search.replace(/[,()%]/g, ' ').trim();
+      query = query.or(`name.ilike.%${term}%,description.ilike.%${term}%`);
+    }
+    if (category) query = query.eq('category', category);
+    if (action) query = query.eq('action', action);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { rules: data || [], total: count || 0 };
+  }
+
+  /**
+   * Get one rule by id
+   */
+  static async get(id) {
+    const { data, error } = await supabase
+      .from('guardrail_rules')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a rule (active unless isActive is false)
+   */
+  static async create(fields) {
+    const { data, error } = await supabase
+      .from('guardrail_rules')
+      .insert({ ...this.toRow(fields), source: 'manual' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.invalidate();
+    return data;
+  }
+
+  /**
+   * Update the given fields of a rule
+   */
+  static async update(id, fields) {
+    const { data, error } = await supabase
+      .from('guardrail_rules')
+      .update(this.toRow(fields))
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    await this.invalidate();
+    return data;
+  }
+
+  /**
+   * Deactivate a rule (kept so audit events still resolve)
+   */
+  static async deactivate(id) {
+    return this.update(id, { isActive: false });
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Database row → rule (same shape as defaultRules)
+   */
+  static fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      category: row.category,
+      description: row.description,
+      type: row.rule_type,
+      patterns: row.patterns || [],
+      exceptions: row.exceptions || [],
+      threshold: row.threshold,
+      stage: row.stage,
+      action: row.action,
+      severity: row.severity,
+      priority: row.priority,
+      responses: row.responses || {}
+    };
+  }
+
+  /**
+   * API fields → row (only the fields given)
+   */
+  static toRow(fields) {
+    const row = {};
+    const list = values => [...new Set(values.map(value => value.trim()).filter(Boolean))];
+
+    if (fields.name !== undefined) row.name = String(fields.name).trim();
+    if (fields.category !== undefined) row.category = String(fields.category).trim();
+    if (fields.description !== undefined) row.description = fields.description;
+    if (fields.type !== undefined) row.rule_type = fields.type;
+    if (fields.patterns !== undefined) row.patterns = list(fields.patterns);
+    if (fields.exceptions !== undefined) row.exceptions = list(fields.exceptions);
+    if (fields.threshold !== undefined) row.threshold = fields.threshold;
+    if (fields.stage !== undefined) row.stage = fields.stage;
+    if (fields.action !== undefined) row.action = fields.action;
+    if (fields.severity !== undefined) row.severity = fields.severity;
+    if (fields.priority !== undefined) row.priority = fields.priority;
+    if (fields.responses !== undefined) row.responses = fields.responses;
+    if (fields.isActive !== undefined) row.is_active = fields.isActive;
+
+    return row;
+  }
+}
@@ -0,0 +1,211 @@
+import { DrugLexiconService } from './drugLexiconService.js';
+import FAQService from './faqService.js';
+import { GuardrailService } from './guardrailService.js';
+
+/**
+ * Intent Classifier
+ * Scores a chat message against the intents both chat paths route on.
+ * Matching is token-based ("эм" no longer matches "эмч" or "эмэгтэй");
+ * a trailing "*" marks a stem that may take Mongolian suffixes.
+ */
+export class IntentClassifier {
+  static INTENTS = ['product_lookup', 'faq', 'order', 'safety_report', 'out_of_scope'];
+
+  // Below this, no intent is trusted and the message is out_of_scope
+  static MIN_CONFIDENCE = 0.35;
+
+  // product_lookup score needed to run product search first
+  static PRODUCT_THRESHOLD = 0.4;
+
+  // Weighted signals per intent (phrases match consecutive tokens)
+  static signals = {
+    product_lookup: [
+      { weight: 0.3, terms: ['эм', 'эмийн', 'эмээ', 'эмнүүд*', 'бэлдмэл*', 'medicine*', 'medication*', 'drug', 'drugs', 'pill*', 'лекарств*', 'препарат*'] },
+      { weight: 0.3, terms: ['таблет*', 'шахмал*', 'капсул*', 'сироп*', 'тарилга*', 'уусмал*', 'тос', 'түрхлэг*', 'дусаал*', 'ампул*', 'tablet*', 'capsule*', 'syrup*', 'injection*', 'ointment*', 'drops', 'таблетк*', 'мазь', 'капли'] },
+      { weight: 0.3, terms: ['байгаа', 'байгааюу', 'байна уу', 'бий', 'бэлэн', 'үлдэгдэл*', 'нөөц*', 'available', 'in stock', 'stock', 'have', 'есть', 'наличи*'] },
+      { weight: 0.2, terms: ['үнэ*', 'хэдэн төгрөг', 'price*', 'cost*', 'цена', 'цены', 'стоимост*', 'сколько стоит'] }
+    ],
+    order: [
+      { weight: 0.5, terms: ['захиал*', 'order*', 'checkout', 'сагс*', 'cart', 'заказ*', 'корзин*'] },
+      { weight: 0.4, terms: ['хүргэлт*', 'хүргэх', 'хүргүүл*', 'delivery', 'deliver', 'shipping', 'доставк*'] },
+      { weight: 0.4, terms: ['худалдаж авах', 'buy', 'purchase', 'төлбөр*', 'төлөх', 'payment', 'pay', 'купить', 'оплат*'] },
+      // "want to get" alone is not an order ("зөвлөгөө авмаар байна"), only with another signal
+      { weight: 0.3, terms: ['авмаар', 'авъя'] }
+    ],
+    safety_report: [
+      { weight: 0.6, terms: ['гаж нөлөө*', 'харшил*', 'хордсон', 'хордлого*', 'тун хэтэр*', 'side effect*', 'adverse', 'allergic', 'allergy', 'reaction', 'overdose*', 'poisoning', 'побочн*', 'аллерги*', 'отравлени*'] },
+      { weight: 0.5, terms: ['хугацаа нь дууссан', 'хугацаа дууссан', 'чанаргүй', 'гэмтэлтэй', 'хуурамч', 'expired', 'counterfeit', 'fake', 'damaged', 'defective', 'просрочен*', 'подделк*', 'брак*'] },
+      { weight: 0.3, terms: ['гомдол*', 'мэдэгдэх', 'complaint', 'report', 'жалоб*'] }
+    ]
+  };
+
+  // ================================================================
+  // CLASSIFICATION
+  // ================================================================
+
+  /**
+   * Score a message against every intent
+   * @returns {{ intent, confidence, scores, signals, faqIntent, drugName }}
+   */
+  static classify(message) {
+    const text = (message || '').toLowerCase().trim();
+    const tokens = this.tokenize(text);
+    const matched = [];
+
+    const scores = Object.fromEntries(this.INTENTS.map(intent => [intent, 0]));
+
+    // Keyword signals
+    for (const [intent, groups] of Object.entries(this.signals)) {
+      const weights = [];
+
+      for (const group of groups) {
+        const term = group.terms.find(t => this.matchesTerm(tokens, t));
+        if (term) {
+          weights.push(group.weight);
+          matched.push({ intent, term });
+        }
+      }
+
+      scores[intent] = this.combine(weights);
+    }
+
+    // Drug lexicon and dosage are strong product signals
+    const drugName = this.findDrug(tokens);
+    const productWeights = [scores.product_lookup];
+
+    if (drugName) {
+      productWeights.push(0.6);
+      matched.push({ intent: 'product_lookup', term: drugName });
+    }
+
+    if (/\d+(?:[.,]\d+)?\s*(мг|мкг|мл|mg|mcg|ml|%)/i.test(text) || /№\s*\d+/.test(text)) {
+      productWeights.push(0.3);
+      matched.push({ intent: 'product_lookup', term: 'dosage' });
+    }
+
+    scores.product_lookup = this.combine(productWeights);
+
+    // FAQService intent patterns and FAQ alt phrases
+    const faqIntent = this.findFAQIntent(text, tokens);
+    if (faqIntent) {
+      scores.faq = faqIntent.score;
+      matched.push({ intent: 'faq', term: faqIntent.intent });
+    }
+
+    // Explicit off-topic terms from the guardrail policy
+    const offTopic = GuardrailService.check(text, { category: 'general_topics' });
+    if (offTopic) {
+      scores.out_of_scope = 0.6;
+      matched.push({ intent: 'out_of_scope', term: offTopic.matched });
+    }
+
+    for (const intent of this.INTENTS) {
+      scores[intent] = Math.round(scores[intent] * 100) / 100;
+    }
+
+    const [bestIntent, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const intent = bestScore >= this.MIN_CONFIDENCE ? bestIntent : 'out_of_scope';
+
+    return {
+      intent,
+      confidence: intent === bestIntent ? bestScore : Math.round((1 - bestScore) * 100) / 100,
+      scores,
+      signals: matched,
+      faqIntent: faqIntent?.intent || null,
+      drugName
+    };
+  }
+
+  /**
+   * Should the product search run before FAQ for this message?
+   */
+  static isProductQuery(message, threshold = this.PRODUCT_THRESHOLD) {
+    return this.classify(message).scores.product_lookup >= threshold;
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Split into lowercase word tokens (Cyrillic, Latin, digits)
+   */
+  static tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Match a term or phrase at token boundaries; "stem*" allows suffixes
+   */
+  static matchesTerm(tokens, term) {
+    const parts = this.tokenize(term);
+    if (parts.length === 0) return false;
+
+    const isStem = term.trim().endsWith('*');
+    const last = parts.length - 1;
+
+    for (let i = 0; i + last < tokens.length; i++) {
+      const ok = parts.every((part, j) => {
+        const token = tokens[i + j];
+        return j === last && isStem ? token.startsWith(part) : token === part;
+      });
+      if (ok) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Find a drug from the drug lexicon (canonical name)
+   */
+  static findDrug(tokens) {
+    for (const { name, canonical } of DrugLexiconService.getEntries().matchList) {
+      // Drug names take case suffixes ("парацетамолын", "ибупрофенээс")
+      if (this.matchesTerm(tokens, `${name}*`)) {
+        return canonical;
+      }
+    }
+
+    // Misspelled or other-script names ("ибупрафен", "paracetmol")
+    return DrugLexiconService.findFuzzyInText(tokens.join(' '))?.canonical || null;
+  }
+
+  /**
+   * Best matching FAQService intent (required word + pattern scores highest)
+   */
+  static findFAQIntent(text, tokens) {
+    let best = null;
+
+    for (const [intent, config] of Object.entries(FAQService.intentPatterns)) {
+      const hasRequiredWord = (config.requiredWords || []).some(word =>
+        word === '@' ? text.includes('@') : this.matchesTerm(tokens, `${word}*`)
+      );
+      const hasPattern = config.patterns.some(pattern => pattern.test(text));
+      if (!hasRequiredWord && !hasPattern) continue;
+
+      const score = hasRequiredWord && hasPattern ? 0.9 : 0.5;
+      if (!best || score > best.score) {
+        best = { intent, score };
+      }
+    }
+
+    // FAQ alt phrases (whole phrase at token boundaries)
+    if (!best || best.score < 0.6) {
+      const faq = FAQService.getFaqs().find(entry =>
+        entry.alt_phrases.some(phrase => this.matchesTerm(tokens, phrase))
+      );
+      if (faq) {
+        best = { intent: faq.category, score: 0.6 };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Combine independent signal weights (noisy-OR), stays within 0..1
+   */
+  static combine(weights) {
+    return 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+  }
+}
@@ -1,6 +1,13 @@
 import { supabase } from '../config/database.js';
-import { openai } from '../config/openai.js';
+import { getEmbeddingProvider } from '../config/embeddingProvider.js';
 import { DataSyncService } from './dataSyncService.js';
+import { DrugLexiconService } from './drugLexiconService.js';
+import { AlternativesService } from './alternativesService.js';
+import { SearchFeedbackService } from './searchFeedbackService.js';
+import { EmbeddingCacheService } from './embeddingCacheService.js';
+import { hasCyrillic, toLatin, toCyrillic, scriptVariants } from '../utils/transliteration.js';
+import { parseDosage, formatDosage, compareStrength, toBaseAmount } from '../utils/dosageParser.js';
+import { extractDosageForm } from '../utils/dosageForm.js';
 import config from '../config/environment.js';
 
 /**
@@ -8,6 +15,14 @@ import config from '../config/environment.js';
  * Combines Vector DB + Redis Cache + Real-time API
  */
 export class ProductSearchService {
+  // Reciprocal rank fusion constant (standard value; dampens the head of each list)
+  static RRF_K = 60;
+
+  // keyword_search_products score for an exact barcode / ERP / internal code hit
+  static CODE_MATCH_SCORE = 10;
+
+  // Columns needed to rank pre-filtered candidates
+  static CANDIDATE_COLUMNS = 'id, name, generic_name, volume, category, manufacturer, strength_value, strength_unit, concentration_value, concentration_unit, pack_count, form';
   
   /**
    * Convert stock quantity to range format
@@ -45,7 +60,9 @@ export class ProductSearchService {
       threshold = 0.5,
       category = null,
       includeInactive = true,
-      realTimeStock = false
+      realTimeStock = false,
+      form = null,    // Dosage form filter (tablet, syrup, ...); a form in the query only boosts
+      context = null  // Previous turn's parsed product (multi-turn follow-ups)
     } = options;
 
     if (config.LOGGING.LEVEL === 'debug') {
@@ -53,8 +70,40 @@ export class ProductSearchService {
     }
 
     try {
-      // Parse query to extract drug name and dosage
-      const parsed = this.parseQuery(query);
+      // STEP 0: Barcode / ERP / internal code → exact lookup before any embedding work
+      const queryType = this.detectQueryType(query);
+
+      if (queryType !== 'text') {
+        const codeMatches = await this.findByCode(query);
+        const enrichedCodes = codeMatches.length > 0
+          ? await this.enrichWithInventory(codeMatches, includeInactive)
+          : [];
+
+        if (enrichedCodes.length > 0) {
+          if (realTimeStock) {
+            await this.enrichWithRealTimeData(enrichedCodes);
+          }
+
+          return {
+            products: enrichedCodes.slice(0, limit).map(p => this.formatProduct({ ...p, similarity: 1 })),
+            total: enrichedCodes.length,
+            metadata: {
+              queryType,
+              matchType: 'exact_code',
+              realTimeChecked: realTimeStock,
+              query
+            }
+          };
+        }
+
+        if (config.LOGGING.LEVEL === 'debug') {
+          console.log(`🏷️ No exact ${queryType} match for "${query}", falling back to text search`);
+        }
+      }
+
+      // Parse query to extract drug name and dosage (filling gaps from the previous turn)
+      const parsed = this.resolveWithContext(this.parseQuery(query), context);
+      const searchText = parsed.contextUsed ? this.buildContextualQuery(parsed, query) : query;
       
       if (config.LOGGING.LEVEL === 'debug') {
         console.log(`📝 Parsed query:`, parsed);
@@ -62,6 +111,18 @@ export class ProductSearchService {
 
       // STEP 1: Pre-filter candidates by drug name (if detected)
       let candidates = [];
+      let catalogMatches = [];
+
+      // Name not in the lexicon → typo-tolerant match against catalog names
+      if (!parsed.drugName) {
+        const catalogMatch = await this.fuzzyMatchCatalog(query);
+        if (catalogMatch) {
+          parsed.drugName = catalogMatch.drugName;
+          parsed.drugVariant = catalogMatch.matchedTerm;
+          parsed.drugMatchType = 'fuzzy_catalog';
+          catalogMatches = catalogMatch.products;
+        }
+      }
       
       if (parsed.drugName) {
         // Search for products with matching drug name
@@ -70,20 +131,31 @@ export class ProductSearchService {
         if (config.LOGGING.LEVEL === 'debug') {
           console.log(`✅ Pre-filter found ${candidates.length} candidates for "${parsed.drugName}"`);
         }
+
+        // Catalog name matched but the canonical didn't (e.g. brand-only product) → use the fuzzy rows
+        if (candidates.length === 0 && catalogMatches.length > 0) {
+          candidates = catalogMatches.slice(0, limit * 3);
+        }
       }
 
       // STEP 2: Vector search (on filtered candidates or all products)
-      const embedding = await this.generateEmbedding(query);
+      const embedding = await this.generateEmbedding(searchText);
       
-      const vectorResults = candidates.length > 0
+      // No drug pre-filter → hybrid retrieval (vector + keyword, fused)
+      const matches = candidates.length > 0
         ? await this.vectorSearchInCandidates(embedding, candidates, threshold)
-        : await this.vectorSearch(embedding, {
-            limit: limit * 2,
+        : await this.hybridSearch(embedding, {
+            limit: form ? limit * 4 : limit * 2,  // Extra headroom for the form filter
             threshold,
             category,
-            query
+            query: searchText
           });
 
+      // Explicit form filter (products without a known form are dropped)
+      const vectorResults = form
+        ? matches.filter(product => this.getProductForm(product) === form)
+        : matches;
+
       if (vectorResults.length === 0) {
         return { products: [], message: 'No products found matching your query' };
       }
@@ -96,8 +168,9 @@ export class ProductSearchService {
         await this.enrichWithRealTimeData(enriched);
       }
 
-      // STEP 5: Intelligent ranking (prioritize exact drug+dosage matches)
-      const ranked = this.rankResults(enriched, query, parsed);
+      // STEP 5: Intelligent ranking (prioritize exact drug+dosage matches, then learned feedback boosts)
+      const boosts = await SearchFeedbackService.getBoosts(query, enriched.map(p => p.id));
+      const ranked = this.rankResults(enriched, searchText, parsed, boosts);
       const topResults = ranked.slice(0, limit);
 
       // Format products for response
@@ -107,12 +180,18 @@ export class ProductSearchService {
         products: formattedProducts,
         total: ranked.length,
         metadata: {
+          queryType,
           parsed,
           candidatesFound: candidates.length,
+          retrieval: candidates.length > 0 ? 'prefilter' : 'hybrid',
           vectorMatches: vectorResults.length,
           enriched: enriched.length,
+          feedbackBoosted: boosts.size,
           realTimeChecked: realTimeStock,
+          form,
           query,
+          searchText,
+          scriptVariants: scriptVariants(query),
           threshold
         }
       };
@@ -132,34 +211,17 @@ export class ProductSearchService {
   // ================================================================
 
   /**
-   * Generate embedding with caching
+   * Generate embedding with caching (model + full-text hash; Redis → embedding_cache table)
    */
   static async generateEmbedding(text) {
-    const cacheKey = `embedding:${Buffer.from(text.substring(0, 100)).toString('base64')}`;
-    
-    try {
-      // Try Redis cache
-      if (DataSyncService.redisConnected) {
-        const cached = await DataSyncService.redis.get(cacheKey);
-        if (cached) {
-          return JSON.parse(cached);
-        }
-      }
-
-      // Generate new embedding
-      const result = await openai.embeddings.create({
-        model: config.AI.EMBEDDING_MODEL || 'text-embedding-3-small',
-        input: text.substring(0, 8000)
-      });
+    const input = text.substring(0, 8000);
+    const provider = getEmbeddingProvider();
 
-      const embedding = result.data[0].embedding;
-
-      // Cache for 1 hour
-      if (DataSyncService.redisConnected) {
-        await DataSyncService.redis.setex(cacheKey, 3600, JSON.stringify(embedding));
-      }
-
-      return embedding;
+    try {
+      return await EmbeddingCacheService.getOrCreate(input, async () => {
+        const [embedding] = await provider.embed([input]);
+        return embedding;
+      }, provider.model);
       
     } catch (error) {
       console.error('Embedding generation failed:', error);
@@ -206,15 +268,107 @@ export class ProductSearchService {
     }
   }
 
+  /**
+   * Hybrid retrieval: vector and keyword search in parallel, fused with reciprocal rank fusion.
+   * config.SEARCH.HYBRID_SEMANTIC_WEIGHT sets the vector share (1 = vector only, 0 = keyword only).
+   */
+  static async hybridSearch(embedding, options) {
+    const { limit, threshold, category, query } = options;
+    const semanticWeight = Math.min(Math.max(config.SEARCH.HYBRID_SEMANTIC_WEIGHT, 0), 1);
+
+    const [vectorResults, keywordResults] = await Promise.all([
+      semanticWeight > 0 ? this.vectorSearch(embedding, { limit, threshold, category, query }) : [],
+      semanticWeight < 1 ? this.keywordSearch(query, { limit, category }) : []
+    ]);
+
+    if (config.LOGGING.LEVEL === 'debug') {
+      console.log(`🔀 Hybrid: ${vectorResults.length} vector + ${keywordResults.length} keyword (semantic weight ${semanticWeight})`);
+    }
+
+    return this.fuseResults(vectorResults, keywordResults, semanticWeight).slice(0, limit);
+  }
+
+  /**
+   * Full-text / trigram / code search (keyword_search_products RPC), ilike fallback
+   */
+  static async keywordSearch(query, options = {}) {
+    const { limit = 10, category = null } = options;
+
+    try {
+      const { data, error } = await supabase.rpc('keyword_search_products', {
+        query_text: query,
+        match_count: limit,
+        filter_category: category
+      });
+
+      if (error) throw error;
+      return data || [];
+
+    } catch (error) {
+      console.error('Keyword search failed, using ilike fallback:', error.message);
+      return await this.fallbackKeywordSearch(query, limit);
+    }
+  }
+
+  /**
+   * Reciprocal rank fusion: score = w / (k + vectorRank) + (1 - w) / (k + keywordRank).
+   * similarity is replaced by the fused score scaled to 0-1 so rankResults keeps its scale.
+   */
+  static fuseResults(vectorResults, keywordResults, semanticWeight = 0.7) {
+    const k = this.RRF_K;
+    const fused = new Map();
+
+    const addList = (results, weight, source) => {
+      results.forEach((product, index) => {
+        const entry = fused.get(product.id) || { product: {}, score: 0, sources: [] };
+
+        entry.product = { ...product, ...entry.product };
+        entry.score += weight / (k + index + 1);
+        entry.sources.push(source);
+
+        if (source === 'vector') entry.vectorSimilarity = product.similarity;
+        if (source === 'keyword') entry.keywordScore = product.keyword_score ?? null;
+
+        fused.set(product.id, entry);
+      });
+    };
+
+    addList(vectorResults, semanticWeight, 'vector');
+    addList(keywordResults, 1 - semanticWeight, 'keyword');
+
+    // Best possible score: first in both lists
+    const maxScore = 1 / (k + 1);
+    // An exact code hit is the product asked for, whatever the embeddings say
+    const isCodeMatch = entry => (entry.keywordScore ?? 0) >= this.CODE_MATCH_SCORE;
+
+    return [...fused.values()]
+      .map(entry => ({ ...entry, score: isCodeMatch(entry) ? maxScore : entry.score }))
+      .sort((a, b) => b.score - a.score)
+      .map(entry => ({
+        ...entry.product,
+        similarity: entry.score / maxScore,
+        _vector_similarity: entry.vectorSimilarity ?? null,
+        _keyword_score: entry.keywordScore ?? null,
+        _retrieval_sources: entry.sources
+      }));
+  }
+
   /**
    * Fallback keyword search (if vector search fails)
    */
   static async fallbackKeywordSearch(query, limit = 5) {
     try {
+      // Match the query as typed and in the other script (catalog names are Cyrillic)
+      const orConditions = scriptVariants(query)
+        .map(variant => variant.replace(/[,()%]/g, ' ').trim())
+        .filter(Boolean)
+        .map(variant => `name.ilike.%${variant}%,generic_name.ilike.%${variant}%`)
+        .join(',');
+
       const { data, error } = await supabase
         .from('products')
         .select('*')
-        .or(`name.ilike.%${query}%,generic_name.ilike.%${query}%`)
+        .or(orConditions)
         .limit(limit);
 
       if (error) throw error;
@@ -349,8 +503,9 @@ export class ProductSearchService {
 
   /**
    * Rank results by relevance with pharmaceutical intelligence
+   * @param {Map<string, number>} [boosts] - Learned per-product boosts from search feedback
    */
-  static rankResults(products, query, parsed = null) {
+  static rankResults(products, query, parsed = null, boosts = null) {
     const lowerQuery = query.toLowerCase();
 
     return products
@@ -377,26 +532,31 @@ export class ProductSearchService {
             score += 0.40; // HUGE boost for correct drug
             reasons.push('exact drug match +0.40');
             
-            // CRITICAL: Exact dosage match
-            if (parsed.fullDosage) {
-              const volumeStr = (product.volume || '').toLowerCase();
-              if (productName.includes(parsed.dosage) || volumeStr.includes(parsed.dosage)) {
-                score += 0.30; // Exact dosage match
-                reasons.push(`exact dosage match (${parsed.fullDosage}) +0.30`);
-              } else {
-                // Close dosage (within 20%)
-                const productDosageMatch = productName.match(/(\d+(?:\.\d+)?)\s*(?:мг|мкг|г|мл)/i);
-                if (productDosageMatch) {
-                  const productDosage = parseFloat(productDosageMatch[1]);
-                  const queryDosage = parseFloat(parsed.dosage);
-                  const diff = Math.abs(productDosage - queryDosage) / queryDosage;
-                  
-                  if (diff < 0.2) {
-                    score += 0.15; // Close dosage
-                    reasons.push(`close dosage (${productDosage}${parsed.unit}) +0.15`);
-                  }
-                }
-              }
+            // CRITICAL: Strength match, unit-aware (0.5г == 500мг, 400мкг == 0.4мг)
+            const productDosage = this.getProductDosage(product);
+            const strengthMatch = compareStrength(parsed.strength, productDosage);
+
+            if (strengthMatch === 'exact') {
+              score += 0.30;
+              reasons.push(`exact dosage match (${parsed.fullDosage}) +0.30`);
+            } else if (strengthMatch === 'close') {
+              score += 0.15;
+              reasons.push(`close dosage (${formatDosage(productDosage)}) +0.15`);
+            }
+
+            // Concentration for liquids ("250мг/5мл" == "50мг/мл")
+            const requestedConcentration = parsed.strength?.concentration;
+            if (requestedConcentration && productDosage.concentration &&
+                requestedConcentration.unit === productDosage.concentration.unit &&
+                Math.abs(requestedConcentration.value - productDosage.concentration.value) < 1e-6) {
+              score += 0.10;
+              reasons.push(`concentration match (${requestedConcentration.text}) +0.10`);
+            }
+
+            // Pack size ("№20")
+            if (parsed.packCount && productDosage.packCount === parsed.packCount) {
+              score += 0.05;
+              reasons.push(`pack size match (№${parsed.packCount}) +0.05`);
             }
           } else {
             // PENALTY: Wrong drug (e.g., Pantoprazole when asked for Paracetamol)
@@ -405,6 +565,19 @@ export class ProductSearchService {
           }
         }
 
+        // DOSAGE FORM ("парацетамол сироп" → syrup over tablets)
+        if (parsed && parsed.form) {
+          const productForm = this.getProductForm(product);
+
+          if (productForm === parsed.form) {
+            score += 0.15;
+            reasons.push(`form match (${parsed.form}) +0.15`);
+          } else if (productForm) {
+            score -= 0.10;
+            reasons.push(`different form (${productForm}) -0.10`);
+          }
+        }
+
         // STOCK AVAILABILITY
         if (product.available > 0) {
           score += 0.10;
@@ -438,6 +611,13 @@ export class ProductSearchService {
           reasons.push('high stock +0.05');
         }
 
+        // LEARNED BOOST: products users keep choosing for these query terms
+        const feedbackBoost = boosts?.get(product.id);
+        if (feedbackBoost) {
+          score += feedbackBoost;
+          reasons.push(`feedback boost +${feedbackBoost.toFixed(3)}`);
+        }
+
         // Store ranking reasons for debugging
         return { 
           ...product, 
@@ -533,22 +713,20 @@ export class ProductSearchService {
         requested: quantity,
         productId: product.id,
         productName: product.name,
-        price: product.price,
+        price: product.price ?? product.base_price,
         facilityName: product.facility_name,
         isLowStock,
         isActive: product.is_active,
+        isPrescription: product.is_prescription,
         dataSource: product._data_source
       };
 
-      // Add alternatives if out of stock
+      // Add same-INN alternatives if out of stock
       if (!isAvailable && suggestAlternatives) {
-        const alternatives = await this.search(product.generic_name || product.name, {
+        result.alternatives = await AlternativesService.findForProduct(product, {
           limit: 3,
-          category: product.category
+          minAvailable: quantity
         });
-        
-        result.alternatives = alternatives.products
-          .filter(alt => alt.id !== productId && alt.available >= quantity);
       }
 
       return result;
@@ -563,6 +741,151 @@ export class ProductSearchService {
     }
   }
 
+  /**
+   * Classify a query: 'barcode' (8-14 digits), 'code' (ERP/internal code shape) or 'text'.
+   * Short numbers ("500") stay text - they are strengths, not codes.
+   */
+  static detectQueryType(query) {
+    const text = (query || '').trim();
+
+    if (/^\d{8,14}$/.test(text)) return 'barcode';
+
+    // One token with digits: "102345", "MNS-00123", "A10234" (but not "500mg")
+    if (/^[a-z0-9][a-z0-9._/-]{3,29}$/i.test(text) && /\d/.test(text)) {
+      if (/^\d{6,7}$/.test(text)) return 'code';
+      if (/[a-z]/i.test(text) && !parseDosage(text).unit) return 'code';
+    }
+
+    return 'text';
+  }
+
+  /**
+   * Exact product lookup by barcode, ERP code or internal code (codes are case-insensitive)
+   * @param {string} value
+   * @param {'barcode'|'code'|'any'} type - 'barcode' checks only the barcode column
+   */
+  static async findByCode(value, type = 'any') {
+    const code = (value || '').trim();
+    if (!code) return [];
+
+    try {
+      // Bound parameters: no PostgREST filter syntax and no ilike wildcards ("_", "%") in codes
+      const { data, error } = type === 'barcode'
+        ? await supabase.from('products').select('*').eq('barcode', code).limit(10)
+        : await supabase.rpc('find_products_by_code', { code, match_count: 10 });
+
+      if (error) throw error;
+
+      return data || [];
+
+    } catch (error) {
+      console.error(`Code lookup failed for "${code}":`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Filtered product listing with facet counts and cursor pagination
+   * @param {Object} options - { q, manufacturer, category, prescription, inStock, isNew, isExclusive, b2bOnly, limit, cursor }
+   *   Boolean filters are true/false or null (ignored)
+   * @returns {{ products, facets, total, nextCursor }}
+   */
+  static async facetedSearch(options = {}) {
+    const { q = null, limit = 20, cursor = null } = options;
+
+    const filters = {
+      search_queries: q ? scriptVariants(q) : null,
+      filter_manufacturer: options.manufacturer || null,
+      filter_category: options.category || null,
+      filter_prescription: options.prescription ?? null,
+      filter_in_stock: options.inStock ?? null,
+      filter_is_new: options.isNew ?? null,
+      filter_is_exclusive: options.isExclusive ?? null,
+      filter_b2b_only: options.b2bOnly ?? null
+    };
+
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      throw new Error('Invalid cursor');
+    }
+
+    // One extra row tells us whether another page exists
+    const [page, facetRows] = await Promise.all([
+      supabase.rpc('faceted_search_products', {
+        ...filters,
+        after_name: after?.name ?? null,
+        after_id: after?.id ?? null,
+        page_size: limit + 1
+      }),
+      supabase.rpc('product_search_facets', filters)
+    ]);
+
+    if (page.error) throw page.error;
+    if (facetRows.error) throw facetRows.error;
+
+    const rows = page.data || [];
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      products: pageRows.map(p => this.formatProduct({ ...p, _data_source: 'database' })),
+      facets: this.groupFacets(facetRows.data || []),
+      total: Number((facetRows.data || []).find(row => row.facet === 'total')?.count || 0),
+      nextCursor: hasMore && last ? this.encodeCursor({ name: last.name, id: last.id }) : null
+    };
+  }
+
+  /**
+   * product_search_facets rows → { manufacturer: [{ value, count }], inStock: { true: n, false: n }, ... }
+   */
+  static groupFacets(rows) {
+    const facets = {};
+
+    for (const { facet, value, count } of rows) {
+      if (facet === 'total') continue;
+
+      if (facet === 'manufacturer' || facet === 'category') {
+        facets[facet] = facets[facet] || [];
+        facets[facet].push({ value, count: Number(count) });
+      } else {
+        facets[facet] = facets[facet] || { true: 0, false: 0 };
+        facets[facet][value] = Number(count);
+      }
+    }
+
+    // Most common first; long manufacturer tails are trimmed
+    for (const facet of ['manufacturer', 'category']) {
+      if (facets[facet]) {
+        facets[facet].sort((a, b) => b.count - a.count);
+      }
+    }
+    if (facets.manufacturer) {
+      facets.manufacturer = facets.manufacturer.slice(0, 50);
+    }
+
+    return facets;
+  }
+
+  /**
+   * Opaque pagination cursor (base64url JSON of the last row's sort key)
+   */
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor; null if it is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      return typeof position?.name === 'string' && typeof position?.id === 'string' ? position : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get products by category
    */
@@ -754,94 +1077,116 @@ export class ProductSearchService {
    */
   static parseQuery(query) {
     const text = query.toLowerCase().trim();
-    
-    // Common drug names (Mongolian and English - including typos and variants)
-    const drugDatabase = [
-      // Pain relief - Paracetamol (many spelling variants!)
-      { names: ['парацетамол', 'парацэтамол', 'парацэтэмол', 'парацетмол', 'парацэтмөл', 'парацетамол', 'парацетмол', 'парацетамоль', 'paracetamol'], canonical: 'парацетамол' },
-      { names: ['ибупрофен', 'ибумон', 'ibuprofen', 'ibumon'], canonical: 'ибупрофен' },
-      { names: ['аспирин', 'aspirin'], canonical: 'аспирин' },
-      { names: ['анальгин', 'analgin'], canonical: 'анальгин' },
-      { names: ['диклофенак', 'diclofenac'], canonical: 'диклофенак' },
-      { names: ['кетопрофен', 'ketoprofen'], canonical: 'кетопрофен' },
-      
-      // Antibiotics
-      { names: ['амоксициллин', 'amoxicillin'], canonical: 'амоксициллин' },
-      { names: ['азитромицин', 'azithromycin'], canonical: 'азитромицин' },
-      { names: ['цефтриаксон', 'ceftriaxone'], canonical: 'цефтриаксон' },
-      
-      // Gastrointestinal
-      { names: ['омепразол', 'omeprazole'], canonical: 'омепразол' },
-      { names: ['пантопразол', 'pantoprazole'], canonical: 'пантопразол' },
-      { names: ['метоклопрамид', 'metoclopramide'], canonical: 'метоклопрамид' },
-      
-      // Vitamins
-      { names: ['фолийн хүчил', 'фолиевая кислота', 'folic acid'], canonical: 'фолийн хүчил' },
-      { names: ['витамин', 'vitamin'], canonical: 'витамин' },
-      
-      // Neurological
-      { names: ['церебролизин', 'cerebrolysin'], canonical: 'церебролизин' },
-      { names: ['глицин', 'glycine'], canonical: 'глицин' },
-      
-      // Add more as needed...
-    ];
-
-    // Find matching drug name
-    let drugName = null;
-    let drugVariant = null;
-    
-    for (const drug of drugDatabase) {
-      for (const name of drug.names) {
-        if (text.includes(name)) {
-          drugName = drug.canonical;
-          drugVariant = name;
-          break;
-        }
-      }
-      if (drugName) break;
-    }
-
-    // Extract dosage (e.g., "400мг", "500mg", "2мл", "400" without unit)
-    let dosageMatch = text.match(/(\d+(?:\.\d+)?)\s*(мг|мкг|г|мл|mg|mcg|g|ml|%)/i);
-    let dosage = dosageMatch ? dosageMatch[1] : null;
-    let unit = dosageMatch ? dosageMatch[2].toLowerCase() : null;
-    
-    // If no unit found but there's a number (common in conversational queries)
-    if (!dosage) {
-      const numberOnly = text.match(/(\d+(?:\.\d+)?)/);
-      if (numberOnly) {
-        dosage = numberOnly[1];
-        // Assume mg for typical drug dosages
-        unit = 'мг';
-      }
-    }
 
-    // Normalize units
-    const normalizedUnit = unit ? (
-      unit === 'mg' ? 'мг' :
-      unit === 'mcg' ? 'мкг' :
-      unit === 'g' ? 'г' :
-      unit === 'ml' ? 'мл' :
-      unit
-    ) : null;
+    // Find matching drug name (drug_lexicon: variants, misspellings, brands) in either
+    // script ("paratsetamol" → "парацетамол"), then tolerate typos ("ибупрафен", "paracetmol")
+    const exactMatch = scriptVariants(text)
+      .map(variant => DrugLexiconService.findInText(variant))
+      .find(Boolean) || null;
+    const drugMatch = exactMatch || DrugLexiconService.findFuzzyInText(text);
+    const drugName = drugMatch ? drugMatch.canonical : null;
+    const drugVariant = drugMatch ? drugMatch.variant : null;
+    const drugMatchType = exactMatch ? 'exact' : drugMatch ? 'fuzzy' : null;
+
+    // Strength, concentration and pack count ("0.5г", "5мг/мл", "№20", "2x500mg").
+    // A bare number ("нурофен 200") keeps unit null and is matched against either unit.
+    const strength = parseDosage(text);
+    const dosage = strength.value !== null ? String(strength.value) : null;
 
     return {
       drugName,
       drugVariant,
+      drugMatchType,
       dosage,
-      unit: normalizedUnit,
-      fullDosage: dosage && normalizedUnit ? `${dosage}${normalizedUnit}` : null,
+      unit: strength.unit,
+      fullDosage: formatDosage(strength),
+      strength,
+      packCount: strength.packCount,
+      form: extractDosageForm(text),
       originalQuery: query
     };
   }
 
+  /**
+   * Structured dosage for a product: synced columns, else parsed from name/volume
+   */
+  static getProductDosage(product) {
+    if (product.strength_value !== null && product.strength_value !== undefined) {
+      const base = toBaseAmount(Number(product.strength_value), product.strength_unit);
+
+      return {
+        value: Number(product.strength_value),
+        unit: product.strength_unit,
+        baseValue: base ? base.value : null,
+        baseUnit: base ? base.unit : null,
+        concentration: product.concentration_value !== null && product.concentration_value !== undefined
+          ? {
+              value: Number(product.concentration_value),
+              unit: product.concentration_unit,
+              text: `${Number(product.concentration_value)}${product.concentration_unit}`
+            }
+          : null,
+        packCount: product.pack_count ?? null
+      };
+    }
+
+    const fromName = parseDosage(product.name);
+    return fromName.value !== null ? fromName : { ...parseDosage(product.volume), packCount: fromName.packCount };
+  }
+
+  /**
+   * Dosage form for a product: synced column, else detected from the name
+   */
+  static getProductForm(product) {
+    return product.form || extractDosageForm(product.name);
+  }
+
+  /**
+   * Fill drug name / dosage missing from a follow-up ("500мг нь байгаа юу?") using the previous turn's parse
+   */
+  static resolveWithContext(parsed, previous = null) {
+    const resolved = { ...parsed, contextUsed: false };
+
+    // No prior product, or the user named a drug themselves → nothing to carry forward
+    if (!previous?.drugName || parsed.drugName) {
+      return resolved;
+    }
+
+    resolved.drugName = previous.drugName;
+    resolved.drugVariant = previous.drugVariant || null;
+    resolved.drugMatchType = 'context';
+    resolved.contextUsed = true;
+
+    // Keep the previous strength unless the follow-up gives a new one
+    if (!parsed.dosage && previous.dosage) {
+      resolved.dosage = previous.dosage;
+      resolved.unit = previous.unit || null;
+      resolved.fullDosage = previous.fullDosage || null;
+      resolved.strength = previous.strength || parseDosage(previous.fullDosage);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build the text used for embedding/ranking when the drug came from conversation context
+   */
+  static buildContextualQuery(parsed, query) {
+    return [parsed.drugName, parsed.fullDosage, query].filter(Boolean).join(' ');
+  }
+
   /**
    * Pre-filter products by drug name before vector search
    */
   static async preFilterByDrugName(drugName, dosage = null, limit = 50) {
     try {
-      // Get all variants for this drug (e.g., "ибупрофен" → "ибумон", "гофен")
-      const drugVariants = this.getDrugVariants(drugName);
+      // Get all variants for this drug (e.g., "ибупрофен" → "ибумон", "гофен");
+      // admin-edited names must not carry PostgREST filter syntax or wildcards
+      const drugVariants = this.getDrugVariants(drugName)
+        .map(variant => variant.replace(/[,()%]/g, ' ').trim())
+        .filter(Boolean);
+
+      if (drugVariants.length === 0) return [];
       
       // Build OR conditions for all variants
       const orConditions = drugVariants.map(variant => 
@@ -850,17 +1195,18 @@ export class ProductSearchService {
 
       let query = supabase
         .from('products')
-        .select('id, name, generic_name, volume, category, manufacturer')
+        .select(this.CANDIDATE_COLUMNS)
         .or(orConditions);
 
       // If dosage specified, prioritize exact dosage matches
       if (dosage) {
         // First try exact dosage matches
+        const dosageTerm = String(dosage).replace(/[,()%]/g, ' ').trim();
         const exactQuery = supabase
           .from('products')
-          .select('id, name, generic_name, volume, category, manufacturer')
+          .select(this.CANDIDATE_COLUMNS)
           .or(orConditions)
-          .or(`name.ilike.%${dosage}%,volume.ilike.%${dosage}%`)
+          .or(`name.ilike.%${dosageTerm}%,volume.ilike.%${dosageTerm}%`)
           .limit(limit);
 
         const { data: exactMatches } = await exactQuery;
@@ -887,22 +1233,63 @@ export class ProductSearchService {
     }
   }
 
+  /**
+   * Trigram match of query words against catalog name/generic_name/english_name
+   * (fuzzy_match_products RPC). Returns the drug the best match belongs to, or null.
+   */
+  static async fuzzyMatchCatalog(query) {
+    try {
+      const words = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length >= 5 && !/^\d+$/.test(word));
+
+      if (words.length === 0) return null;
+
+      // Each word in both scripts (name/generic_name are Cyrillic, english_name is Latin)
+      const searchTerms = [...new Set(words.flatMap(word =>
+        [word, hasCyrillic(word) ? toLatin(word) : toCyrillic(word)]
+      ))];
+
+      const { data, error } = await supabase.rpc('fuzzy_match_products', {
+        search_terms: searchTerms,
+        min_similarity: 0.5,
+        match_count: 50
+      });
+
+      if (error) {
+        console.error('Fuzzy catalog match error:', error.message);
+        return null;
+      }
+
+      if (!data || data.length === 0) return null;
+
+      const best = data[0];
+      const lexiconMatch = best.generic_name ? DrugLexiconService.findInText(best.generic_name.toLowerCase()) : null;
+      const drugName = lexiconMatch?.canonical
+        || DrugLexiconService.extractINNs(best.generic_name)[0]
+        || best.matched_term;
+
+      if (config.LOGGING.LEVEL === 'debug') {
+        console.log(`🔤 Fuzzy catalog match: "${best.matched_term}" → ${best.name} (${best.similarity.toFixed(2)})`);
+      }
+
+      return {
+        drugName,
+        matchedTerm: best.matched_term,
+        similarity: best.similarity,
+        products: data
+      };
+
+    } catch (error) {
+      console.error('Fuzzy catalog match failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Get all known variants/brand names for a drug
    */
   static getDrugVariants(canonicalName) {
-    const variantsMap = {
-      'ибупрофен': ['ибупрофен', 'ибумон', 'гофен', 'миг', 'нурофен', 'адвил'],
-      'парацетамол': ['парацетамол', 'парацэтамол', 'парацэтэмол', 'парацетмол', 'парацэтмөл', 'чамп', 'панадол', 'калпол'],
-      'пантопразол': ['пантопразол', 'нольпаза', 'контролок', 'панум'],
-      'омепразол': ['омепразол', 'омез', 'лосек'],
-      'аспирин': ['аспирин', 'ацетилсалициловая'],
-      'анальгин': ['анальгин', 'метамизол'],
-      'амоксициллин': ['амоксициллин', 'амоксил', 'флемоксин'],
-      // Add more mappings as needed
-    };
-
-    return variantsMap[canonicalName] || [canonicalName];
+    return DrugLexiconService.getVariants(canonicalName);
   }
 
   /**
@@ -953,6 +1340,7 @@ export class ProductSearchService {
       category: product.category,
       manufacturer: product.manufacturer,
       brand: product.brand,
+      form: this.getProductForm(product),
       
       // Stock (pricing information removed for privacy)
       available: product.available,
@@ -1000,7 +1388,8 @@ export class ProductSearchService {
     try {
       const stats = {
         redis: { connected: false, keys: 0 },
-        database: { entries: 0, expired: 0 }
+        database: { entries: 0, expired: 0 },
+        embeddings: EmbeddingCacheService.getStats()
       };
 
       if (DataSyncService.redisConnected) {
@@ -1030,6 +1419,12 @@ export class ProductSearchService {
         expired: expiredCache || 0
       };
 
+      const { count: cachedEmbeddings } = await supabase
+        .from('embedding_cache')
+        .select('*', { count: 'exact', head: true });
+
+      stats.embeddings.databaseEntries = cachedEmbeddings || 0;
+
       return stats;
       
     } catch (error) {
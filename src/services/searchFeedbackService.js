@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+import { matchKey } from '../utils/transliteration.js';
+
+/**
+ * Search Feedback Service
+ * Records which results users click, select or order, and serves the
+ * per-term boosts that refresh_search_term_boosts() learns from them
+ * (see migration 20261019000600_search_feedback.sql).
+ */
+export class SearchFeedbackService {
+  static ACTIONS = ['click', 'select', 'order'];
+  static CLIENT_ACTIONS = ['click', 'select'];   // 'order' only comes from real orders (recordChatOrder)
+  static SOURCES = ['search', 'chat'];
+  static MAX_TERMS = 8;
+
+  // Defaults for refresh_search_term_boosts (boost is capped below the +0.30 exact-strength bonus)
+  static REFRESH_DEFAULTS = {
+    windowDays: 90,
+    halfLifeDays: 30,
+    maxBoost: 0.15,
+    smoothing: 5,
+    minEvents: 2             // Distinct clients (client_key) that chose the product for the term
+  };
+
+  // ================================================================
+  // RECORDING
+  // ================================================================
+
+  /**
+   * Store one feedback event
+   * @param {Object} event - clientKey is server-derived (see clientKey); sessionId is
+   *   whatever the client sent and never counts towards boosts
+   * @returns {{ recorded: boolean, reason?: string }}
+   */
+  static async record({ query, productId, action, position = null, source = 'search', sessionId = null, userId = null, clientKey = null }) {
+    const terms = this.termsFor(query);
+    if (terms.length === 0) {
+      return { recorded: false, reason: 'no_terms' };
+    }
+
+    const { error } = await supabase
+      .from('search_feedback')
+      .insert({
+        query: query.trim(),
+        terms,
+        product_id: productId,
+        action,
+        position,
+        source,
+        session_id: sessionId,
+        user_id: userId,
+        client_key: clientKey
+      });
+
+    if (error) {
+      // Foreign key violation: unknown product
+      if (error.code === '23503') {
+        return { recorded: false, reason: 'product_not_found' };
+      }
+      throw error;
+    }
+
+    return { recorded: true };
+  }
+
+  /**
+   * Chat orders → 'order' feedback for items that came from the last product search
+   * (never throws; feedback must not break ordering)
+   */
+  static async recordChatOrder(lastSearch, items, context = {}) {
+    if (!lastSearch?.query || !Array.isArray(lastSearch.productIds)) return 0;
+
+    let recorded = 0;
+
+    for (const item of items || []) {
+      const position = lastSearch.productIds.indexOf(item.itemId);
+      if (position === -1) continue;
+
+      try {
+        const result = await this.record({
+          query: lastSearch.query,
+          productId: item.itemId,
+          action: 'order',
+          position: position + 1,
+          source: 'chat',
+          sessionId: context.sessionId || null,
+          userId: context.userId || null,
+          clientKey: this.clientKey({ userId: context.userId })
+        });
+        if (result.recorded) recorded++;
+      } catch (error) {
+        console.warn('Failed to record chat order feedback:', error.message);
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Who gave the feedback, as far as the server can tell: the authenticated
+   * user, else a hash of the client IP (null when neither is known)
+   */
+  static clientKey({ userId = null, ip = null } = {}) {
+    if (userId) return `user:${userId}`;
+    if (ip) return `ip:${crypto.createHash('sha256').update(ip).digest('hex').slice(0, 32)}`;
+    return null;
+  }
+
+  // ================================================================
+  // BOOSTS
+  // ================================================================
+
+  /**
+   * Learned boost per product for a query: mean over the query's terms,
+   * so a product chosen for every word gets the full boost
+   * @returns {Map<string, number>} productId → boost (products without feedback are absent)
+   */
+  static async getBoosts(query, productIds) {
+    const boosts = new Map();
+    const terms = this.termsFor(query);
+
+    if (terms.length === 0 || !productIds || productIds.length === 0) return boosts;
+
+    try {
+      const { data, error } = await supabase
+        .from('search_term_boosts')
+        .select('term, product_id, boost')
+        .in('term', terms)
+        .in('product_id', productIds);
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        boosts.set(row.product_id, (boosts.get(row.product_id) || 0) + row.boost / terms.length);
+      }
+    } catch (error) {
+      // Ranking works without boosts
+      console.warn('Failed to load search boosts:', error.message);
+    }
+
+    return boosts;
+  }
+
+  /**
+   * Recompute search_term_boosts from recent feedback (offline job)
+   * @returns {number} (term, product) pairs written
+   */
+  static async refreshBoosts(options = {}) {
+    const { windowDays, halfLifeDays, maxBoost, smoothing, minEvents } = { ...this.REFRESH_DEFAULTS, ...options };
+
+    const { data, error } = await supabase.rpc('refresh_search_term_boosts', {
+      window_days: windowDays,
+      half_life_days: halfLifeDays,
+      max_boost: maxBoost,
+      smoothing,
+      min_events: minEvents
+    });
+
+    if (error) throw error;
+    return data || 0;
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Script-independent query words ("Парацетамол 500мг" and "paracetamol 500mg" → ["paracetamol"]).
+   * Numbers and units are left out - strength is ranked by rankResults already.
+   */
+  static termsFor(query) {
+    const words = matchKey(query || '').split(' ')
+      .filter(word => word.length >= 3 && !/\d/.test(word));
+
+    return [...new Set(words)].slice(0, this.MAX_TERMS);
+  }
+}
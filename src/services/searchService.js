@@ -0,0 +1,290 @@
+import { supabase } from '../config/database.js';
+import { ProductSearchService } from './productSearchService.js';
+import config from '../config/environment.js';
+
+/**
+ * Search Service for Orders and Function Calling
+ * Thin item-oriented facade over the three-tier ProductSearchService
+ * (products + product_inventory + Redis cache)
+ */
+export class SearchService {
+  // Function-calling categories → catalog categories (see DataSyncService.mapCategory)
+  static categoryMap = {
+    'pain-relief': 'pain_relief',
+    'vitamins': 'vitamins',
+    'supplements': 'vitamins',
+    'equipment': 'medical_supplies',
+    'neurology': 'neurology',
+    'gynecology': 'gynecology'
+  };
+
+  // ================================================================
+  // SEARCH
+  // ================================================================
+
+  /**
+   * Product search with business filters (category, prescription, price, stock)
+   */
+  static async intelligentSearch(query, options = {}) {
+    const {
+      category = null,
+      prescriptionRequired,
+      maxPrice,
+      minStock = 0,
+      limit = config.SEARCH.DEFAULT_LIMIT
+    } = options;
+
+    try {
+      // Over-fetch so post-filters still leave enough results
+      const searchResult = await ProductSearchService.search(query, {
+        limit: limit * 3,
+        category: this.normalizeCategory(category),
+        threshold: 0.3,
+        includeInactive: false
+      });
+
+      let items = (searchResult.products || []).map(product => this.formatItem(product));
+
+      if (typeof prescriptionRequired === 'boolean') {
+        items = items.filter(item => item.isPrescription === prescriptionRequired);
+      }
+
+      if (minStock > 0) {
+        items = items.filter(item => item.stock >= minStock);
+      }
+
+      // Search results carry no price (formatProduct drops it); items always do
+      const prices = await this.getPrices(items.map(item => item.id));
+      items = items.map(item => ({ ...item, price: prices[item.id] ?? null }));
+
+      // Unpriced products can't be shown to fit a budget
+      if (maxPrice !== undefined && maxPrice !== null) {
+        items = items.filter(item => item.price !== null && item.price <= maxPrice);
+      }
+
+      return items.slice(0, limit);
+
+    } catch (error) {
+      console.error('Intelligent search failed:', error);
+      return [];
+    }
+  }
+
+  // ================================================================
+  // STOCK & ITEM LOOKUP
+  // ================================================================
+
+  /**
+   * Check stock for an item (shape expected by OrderService and FunctionExecutor)
+   */
+  static async checkStock(itemId, quantity = 1, options = {}) {
+    const { suggestAlternatives = true, realTime = false } = options;
+
+    const result = await ProductSearchService.checkStock(itemId, quantity, {
+      realTime,
+      suggestAlternatives
+    });
+
+    return {
+      available: result.available,
+      currentStock: result.currentStock || 0,
+      requested: quantity,
+      itemId,
+      itemName: result.productName,
+      itemPrice: result.price,
+      isLowStock: result.isLowStock || false,
+      isPrescription: result.isPrescription || false,
+      isActive: result.isActive,
+      alternatives: result.alternatives || [],
+      error: result.error
+    };
+  }
+
+  /**
+   * Get a single item with catalog + inventory data merged
+   */
+  static async getItemById(itemId) {
+    const product = await ProductSearchService.getById(itemId);
+
+    if (!product) {
+      return null;
+    }
+
+    return {
+      id: product.id,
+      sku: product.erp_code || product.internal_code || product.id,
+      name: product.name,
+      description: product.description,
+      category: product.category,
+      brand: product.brand,
+      manufacturer: product.manufacturer,
+      dosage: product.volume,
+      price: parseFloat(product.price ?? product.base_price) || 0,
+      stock: product.available || 0,
+      isPrescription: product.is_prescription || false,
+      isActive: product.is_active !== false
+    };
+  }
+
+  // ================================================================
+  // RECOMMENDATIONS
+  // ================================================================
+
+  /**
+   * Recommend in-stock products (popular, or based on the user's past orders)
+   */
+  static async getRecommendations(userId, options = {}) {
+    const {
+      basedOn = 'popular',
+      category = null,
+      limit = 5,
+      maxPrice = null,
+      minPrice = null
+    } = options;
+
+    try {
+      let targetCategory = this.normalizeCategory(category);
+      let purchasedIds = [];
+
+      if (basedOn === 'purchase_history' && userId) {
+        const history = await this.getPurchaseHistory(userId);
+        purchasedIds = history.itemIds;
+        targetCategory = targetCategory || history.topCategory;
+      }
+
+      const products = await ProductSearchService.getPopularProducts({
+        limit: limit * 3,
+        category: targetCategory
+      });
+
+      return products
+        .filter(product => !purchasedIds.includes(product.id))
+        .filter(product => {
+          const hasMax = maxPrice !== null && maxPrice !== undefined;
+          const hasMin = minPrice !== null && minPrice !== undefined;
+          if (!hasMax && !hasMin) return true;
+
+          const price = this.parsePrice(product.base_price);
+          if (price === null) return false;
+          if (hasMax && price > maxPrice) return false;
+          if (hasMin && price < minPrice) return false;
+          return true;
+        })
+        .slice(0, limit)
+        .map(product => ({
+          id: product.id,
+          name: product.name,
+          description: product.description,
+          category: product.category,
+          brand: product.brand,
+          price: parseFloat(product.base_price) || 0,
+          stock: product.available || 0,
+          stockRange: ProductSearchService.getStockRange(product.available)
+        }));
+
+    } catch (error) {
+      console.error('Error getting recommendations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Summarize a user's recent orders (purchased item IDs + most frequent category)
+   */
+  static async getPurchaseHistory(userId) {
+    try {
+      const { data: orders, error } = await supabase
+        .from('orders')
+        .select('items')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(20);
+
+      if (error) throw error;
+
+      const items = (orders || []).flatMap(order => order.items || []);
+      const categoryCounts = {};
+
+      for (const item of items) {
+        if (item.category) {
+          categoryCounts[item.category] = (categoryCounts[item.category] || 0) + 1;
+        }
+      }
+
+      const topCategory = Object.entries(categoryCounts)
+        .sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+      return {
+        itemIds: [...new Set(items.map(item => item.itemId))],
+        topCategory
+      };
+
+    } catch (error) {
+      console.warn('Failed to load purchase history:', error.message);
+      return { itemIds: [], topCategory: null };
+    }
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Map a function-calling category to a catalog category (null = no filter)
+   */
+  static normalizeCategory(category) {
+    if (!category) return null;
+    return this.categoryMap[category.toLowerCase()] || null;
+  }
+
+  /**
+   * Fetch base prices for a set of products from the inventory table
+   * (null when a product has no price)
+   */
+  static async getPrices(productIds) {
+    if (productIds.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('product_inventory')
+      .select('product_id, base_price')
+      .in('product_id', productIds);
+
+    if (error) {
+      console.warn('Price lookup failed:', error.message);
+      return {};
+    }
+
+    return Object.fromEntries(
+      (data || []).map(row => [row.product_id, this.parsePrice(row.base_price)])
+    );
+  }
+
+  /**
+   * Numeric price or null when missing/unparseable
+   */
+  static parsePrice(value) {
+    const price = parseFloat(value);
+    return Number.isFinite(price) ? price : null;
+  }
+
+  /**
+   * Convert a formatted ProductSearchService product into an item
+   */
+  static formatItem(product) {
+    return {
+      id: product.id,
+      name: product.name,
+      genericName: product.genericName,
+      description: product.description,
+      category: product.category,
+      brand: product.brand,
+      manufacturer: product.manufacturer,
+      stock: product.available || 0,
+      stockRange: product.stockRange,
+      isPrescription: product.isPrescription || false,
+      isActive: product.isActive,
+      similarity: product.similarity,
+      relevanceScore: product.relevanceScore
+    };
+  }
+}
@@ -0,0 +1,263 @@
+import { supabase } from '../config/database.js';
+import { DrugLexiconService } from './drugLexiconService.js';
+import { ProductSearchService } from './productSearchService.js';
+import { matchKey } from '../utils/transliteration.js';
+
+/**
+ * Suggest Service
+ * In-memory prefix index for search-as-you-type (GET /api/search/suggest).
+ * Keys are script-independent (matchKey), so "parats", "парац" and "paracet"
+ * all reach "Парацетамол". Every word of a name is a key start, so
+ * "плюс" finds "Нурофен плюс". No OpenAI or database calls per request.
+ * Rebuilt after each full catalog sync; stock is updated in place by
+ * the quick stock sync.
+ */
+export class SuggestService {
+  static MIN_PREFIX = 2;
+  static MAX_LIMIT = 10;
+  static MAX_SCAN = 500;          // Keys inspected per request (bounds latency on short prefixes)
+  static MAX_WORDS = 6;           // Word starts indexed per name
+  static MAX_DRUGS = 3;           // Lexicon drug suggestions per request
+
+  static index = null;
+  static builtAt = null;
+  static building = null;
+
+  // ================================================================
+  // QUERY
+  // ================================================================
+
+  /**
+   * Suggestions for a typed prefix: products (name + stock range) and lexicon drug names
+   */
+  static suggest(query, { limit = 8 } = {}) {
+    if (!this.index) return [];
+
+    const prefixes = this.prefixKeys(query);
+    if (prefixes.length === 0) return [];
+
+    const productHits = new Map();
+    const drugHits = new Map();
+
+    for (const prefix of prefixes) {
+      const { keys } = this.index;
+      let i = this.lowerBound(keys, prefix);
+
+      for (let scanned = 0; i < keys.length && scanned < this.MAX_SCAN; i++, scanned++) {
+        const entry = keys[i];
+        if (!entry.key.startsWith(prefix)) break;
+
+        if (entry.drug) {
+          if (!drugHits.has(entry.drug)) drugHits.set(entry.drug, entry.rank);
+          continue;
+        }
+
+        const current = productHits.get(entry.productId);
+        if (current === undefined || entry.rank < current) {
+          productHits.set(entry.productId, entry.rank);
+        }
+      }
+    }
+
+    const products = [...productHits.entries()]
+      .map(([id, rank]) => ({ product: this.index.products.get(id), rank }))
+      .filter(hit => hit.product)
+      .sort((a, b) =>
+        (a.rank - b.rank) ||
+        (this.isInStock(b.product) - this.isInStock(a.product)) ||
+        (a.product.name.length - b.product.name.length)
+      )
+      .slice(0, limit)
+      .map(({ product }) => ({
+        type: 'product',
+        id: product.id,
+        name: product.name,
+        genericName: product.genericName,
+        stockRange: ProductSearchService.getStockRange(product.available),
+        inStock: this.isInStock(product)
+      }));
+
+    const drugs = [...drugHits.entries()]
+      .sort((a, b) => (a[1] - b[1]) || (a[0].length - b[0].length))
+      .slice(0, this.MAX_DRUGS)
+      .map(([name]) => ({ type: 'drug', name }));
+
+    return [...drugs, ...products];
+  }
+
+  /**
+   * Index keys to look up for a typed prefix. A word cut off mid-typing can
+   * key differently from the full word (matchKey turns a final "c"/"ц" into
+   * k), so the prefix is also keyed as if a vowel followed: "парац" → "parak", "parac".
+   */
+  static prefixKeys(query) {
+    const text = (query || '').toLowerCase().trim();
+    const keys = [matchKey(text), matchKey(text + 'e').slice(0, -1)];
+
+    return [...new Set(keys)].filter(key => key.length >= this.MIN_PREFIX);
+  }
+
+  // ================================================================
+  // INDEX BUILDING
+  // ================================================================
+
+  /**
+   * Load products, inventory and lexicon and swap in a new index (concurrent callers share one build)
+   */
+  static async rebuild() {
+    if (this.building) return this.building;
+
+    this.building = (async () => {
+      try {
+        const startTime = Date.now();
+        const [products, inventory] = await Promise.all([
+          this.fetchAll('products', 'id, name, generic_name, english_name'),
+          this.fetchAll('product_inventory', 'product_id, available, is_active')
+        ]);
+
+        this.index = this.buildIndex(products, inventory, DrugLexiconService.getEntries().list);
+        this.builtAt = new Date();
+
+        console.log(`✅ Suggest index built: ${this.index.products.size} products, ${this.index.keys.length} keys (${Date.now() - startTime}ms)`);
+        return this.index.products.size;
+      } finally {
+        this.building = null;
+      }
+    })();
+
+    return this.building;
+  }
+
+  /**
+   * Build the index on first use
+   */
+  static async ensureLoaded() {
+    if (!this.index) {
+      await this.rebuild();
+    }
+  }
+
+  /**
+   * Sorted prefix keys over product names and lexicon names.
+   * Rank: 0 = start of product name, 1 = start of generic/English name,
+   * 2 = later word; drug names rank by the same rule.
+   */
+  static buildIndex(products, inventory = [], lexiconEntries = []) {
+    const stock = new Map(inventory.map(row => [row.product_id, row]));
+    const byId = new Map();
+    const keys = [];
+
+    for (const product of products) {
+      if (!product.name) continue;
+
+      const inventoryRow = stock.get(product.id);
+      byId.set(product.id, {
+        id: product.id,
+        name: product.name,
+        genericName: product.generic_name || null,
+        available: inventoryRow?.available || 0,
+        isActive: inventoryRow ? inventoryRow.is_active !== false : true
+      });
+
+      const fields = [[product.name, 0], [product.generic_name, 1], [product.english_name, 1]];
+      for (const [text, rank] of fields) {
+        this.addKeys(keys, text, rank, { productId: product.id });
+      }
+    }
+
+    for (const entry of lexiconEntries) {
+      const names = [entry.canonical, entry.latinName, ...(entry.variants || []), ...(entry.misspellings || [])];
+      for (const name of names) {
+        this.addKeys(keys, name, 0, { drug: entry.canonical });
+      }
+    }
+
+    keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return { keys, products: byId };
+  }
+
+  /**
+   * One key per word start: "нурофен плюс 200мг" → "nurofen plus 200mg", "plus 200mg", "200mg"
+   */
+  static addKeys(keys, text, rank, ref) {
+    if (!text) return;
+
+    const words = matchKey(text).split(' ').filter(Boolean);
+    const seen = new Set();
+
+    for (let i = 0; i < Math.min(words.length, this.MAX_WORDS); i++) {
+      const key = words.slice(i).join(' ');
+      if (key.length < this.MIN_PREFIX || seen.has(key)) continue;
+
+      seen.add(key);
+      keys.push({ key, rank: i === 0 ? rank : 2, ...ref });
+    }
+  }
+
+  /**
+   * Keep stock ranges current between catalog syncs (called by the quick stock sync)
+   */
+  static updateStock(productId, available, isActive = true) {
+    const product = this.index?.products.get(productId);
+    if (product) {
+      product.available = available || 0;
+      product.isActive = isActive !== false;
+    }
+  }
+
+  static getStats() {
+    return {
+      ready: Boolean(this.index),
+      products: this.index ? this.index.products.size : 0,
+      keys: this.index ? this.index.keys.length : 0,
+      builtAt: this.builtAt ? this.builtAt.toISOString() : null
+    };
+  }
+
+  // ================================================================
+  // HELPER METHODS
+  // ================================================================
+
+  /**
+   * Page through a table (PostgREST caps selects at 1000 rows)
+   */
+  static async fetchAll(table, columns, pageSize = 1000) {
+    const rows = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+
+      rows.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * First index whose key is >= prefix (keys are sorted)
+   */
+  static lowerBound(keys, prefix) {
+    let low = 0;
+    let high = keys.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (keys[mid].key < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  }
+
+  static isInStock(product) {
+    return product.available > 0 && product.isActive;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Dosage-form detection ("парацетамол сироп", "диклофенак тос", "Омепразол 20мг капсул")
+ * Used on product names/descriptions at sync time and on queries at search time.
+ */
+
+// Canonical form → terms (Mongolian, Russian, English, Latin-typed). "*" marks a stem.
+// Order matters: more specific forms first ("тарилгын уусмал" is an injection, not a solution).
+export const DOSAGE_FORMS = {
+  injection: ['тарилга*', 'тарилгын', 'ампул*', 'инъекц*', 'укол*', 'injection*', 'inj', 'ampoule*', 'tarilga*'],
+  suppository: ['лаа', 'суппозитор*', 'свеч*', 'suppositor*'],
+  drops: ['дусаалга*', 'дусал', 'капл*', 'drops', 'dusaalga*'],
+  syrup: ['сироп*', 'syrup*', 'sirop*'],
+  suspension: ['суспенз*', 'suspension*'],
+  ointment: ['тос', 'тосон', 'мазь', 'мази', 'ointment*', 'tos'],
+  cream: ['крем*', 'cream*', 'krem*'],
+  gel: ['гель', 'гел', 'gel'],
+  spray: ['спрей*', 'шүршигч*', 'аэрозол*', 'spray*', 'sprei*'],
+  powder: ['нунтаг*', 'порошок*', 'саше', 'powder*', 'sachet*', 'nuntag*'],
+  capsule: ['капсул*', 'capsule*', 'caps', 'kapsul*'],
+  tablet: ['таблет*', 'табл', 'таб', 'шахмал*', 'драже', 'tablet*', 'tab', 'tabs', 'tabl'],
+  solution: ['уусмал*', 'раствор*', 'solution*', 'uusmal*']
+};
+
+// Mongolian display names
+export const FORM_LABELS = {
+  injection: 'Тарилга',
+  suppository: 'Лаа',
+  drops: 'Дусаалга',
+  syrup: 'Сироп',
+  suspension: 'Суспенз',
+  ointment: 'Тос',
+  cream: 'Крем',
+  gel: 'Гель',
+  spray: 'Спрей',
+  powder: 'Нунтаг',
+  capsule: 'Капсул',
+  tablet: 'Шахмал',
+  solution: 'Уусмал'
+};
+
+/**
+ * Is this one of the canonical form keys?
+ */
+export function isDosageForm(form) {
+  return Object.prototype.hasOwnProperty.call(DOSAGE_FORMS, form);
+}
+
+/**
+ * Canonical dosage form mentioned in the text, or null
+ */
+export function extractDosageForm(text) {
+  if (!text) return null;
+
+  const tokens = String(text).toLowerCase().match(/[\p{L}]+/gu) || [];
+  if (tokens.length === 0) return null;
+
+  for (const [form, terms] of Object.entries(DOSAGE_FORMS)) {
+    const found = terms.some(term => term.endsWith('*')
+      ? tokens.some(token => token.startsWith(term.slice(0, -1)))
+      : tokens.includes(term));
+
+    if (found) return form;
+  }
+
+  return null;
+}
@@ -0,0 +1,180 @@
+/**
+ * Dosage / pack-size parsing for product names and customer queries
+ * ("Парацетамол 0.5г №20", "Амоксициллин 250мг/5мл", "2x500mg", "Д3 витамин 1000 IU")
+ */
+
+// Written unit → canonical unit
+const UNIT_ALIASES = {
+  'мг': 'мг', 'mg': 'мг',
+  'мкг': 'мкг', 'mcg': 'мкг', 'µg': 'мкг', 'μg': 'мкг',
+  'г': 'г', 'гр': 'г', 'g': 'г',
+  'мл': 'мл', 'ml': 'мл',
+  'л': 'л', 'l': 'л',
+  'iu': 'IU', 'ме': 'IU', 'ед': 'IU', 'нэгж': 'IU',
+  '%': '%'
+};
+
+// Canonical unit → [base unit, factor] so 0.5г and 500мг compare equal
+const BASE_UNITS = {
+  'мкг': ['мг', 0.001],
+  'мг': ['мг', 1],
+  'г': ['мг', 1000],
+  'мл': ['мл', 1],
+  'л': ['мл', 1000],
+  'IU': ['IU', 1],
+  '%': ['%', 1]
+};
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const UNIT = '(мкг|мг|гр|г|мл|л|mcg|mg|µg|μg|g|ml|l|iu|ме|ед|нэгж|%)(?![\\p{L}])';
+
+const CONCENTRATION_PATTERN = new RegExp(`${NUMBER}\\s*${UNIT}\\s*/\\s*(\\d+(?:[.,]\\d+)?)?\\s*(мл|ml|л|l|г|g)(?![\\p{L}])`, 'iu');
+const MULTIPLIER_PATTERN = new RegExp(`(\\d+)\\s*[xх×*]\\s*${NUMBER}\\s*${UNIT}`, 'iu');
+const STRENGTH_PATTERN = new RegExp(`${NUMBER}\\s*${UNIT}`, 'giu');
+const PACK_PATTERN = /(?:№|#|\bN|\bno\.?)\s*(\d+)|(\d+)\s*(?:ш|ширхэг|шт|pcs|таб(?:лет)?|капс(?:ул)?)(?![\p{L}])/iu;
+
+/**
+ * Canonical unit for a written unit ("mg" → "мг", "ME" → "IU")
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return null;
+  return UNIT_ALIASES[unit.toLowerCase()] || null;
+}
+
+/**
+ * Convert an amount to its base unit (мг for mass, мл for volume)
+ * @returns {{ value: number, unit: string } | null}
+ */
+export function toBaseAmount(value, unit) {
+  const canonical = normalizeUnit(unit) || unit;
+  const base = BASE_UNITS[canonical];
+  if (value === null || value === undefined || !base) return null;
+
+  return { value: round(parseNumber(value) * base[1]), unit: base[0] };
+}
+
+/**
+ * Parse strength, concentration and pack count from free text
+ * @returns {{ value, unit, baseValue, baseUnit, concentration, multiplier, packCount, text } }
+ *   value/unit as written (unit is null for a bare number such as "нурофен 200")
+ */
+export function parseDosage(text) {
+  const result = {
+    value: null,
+    unit: null,
+    baseValue: null,
+    baseUnit: null,
+    concentration: null,
+    multiplier: null,
+    packCount: null,
+    text: null
+  };
+
+  if (!text) return result;
+
+  let rest = String(text);
+
+  // Pack count first so "№20" / "20 ширхэг" are never read as strengths
+  const pack = rest.match(PACK_PATTERN);
+  if (pack) {
+    result.packCount = parseInt(pack[1] || pack[2]);
+    rest = rest.replace(pack[0], ' ');
+  }
+
+  // Concentration: "5мг/мл", "250мг/5мл", "10мг/г"
+  const concentration = rest.match(CONCENTRATION_PATTERN);
+  if (concentration) {
+    const amount = toBaseAmount(concentration[1], concentration[2]);
+    const per = toBaseAmount(concentration[3] || 1, concentration[4]);
+
+    if (amount && per && per.value > 0) {
+      result.concentration = {
+        value: round(amount.value / per.value),
+        unit: `${amount.unit}/${per.unit}`,
+        text: concentration[0].replace(/\s+/g, '')
+      };
+      setStrength(result, concentration[1], concentration[2], concentration[0]);
+      return result;
+    }
+  }
+
+  // "2x500mg" → two units of 500мг
+  const multiplied = rest.match(MULTIPLIER_PATTERN);
+  if (multiplied) {
+    result.multiplier = parseInt(multiplied[1]);
+    setStrength(result, multiplied[2], multiplied[3], `${multiplied[2]}${multiplied[3]}`);
+    return result;
+  }
+
+  // Plain strength; combination products list several ("500мг/50мг") - the first is the lead INN
+  const strengths = [...rest.matchAll(STRENGTH_PATTERN)];
+  if (strengths.length > 0) {
+    setStrength(result, strengths[0][1], strengths[0][2], strengths[0][0]);
+    return result;
+  }
+
+  // Bare number ("нурофен 200") - strength in an unknown unit
+  const bare = rest.match(/(?<![\p{L}\d.,])(\d+(?:[.,]\d+)?)(?![\p{L}\d])/u);
+  if (bare) {
+    result.value = parseNumber(bare[1]);
+    result.text = bare[1];
+  }
+
+  return result;
+}
+
+/**
+ * Compare a requested strength with a product's strength (unit-aware)
+ * @returns {'exact' | 'close' | 'different' | null} null when either side has no strength
+ */
+export function compareStrength(requested, product) {
+  if (!requested || requested.value === null || !product || product.value === null) return null;
+
+  // Bare number: compare with the product's written value and its base value
+  if (!requested.unit) {
+    const candidates = [product.value, product.baseValue].filter(v => v !== null && v !== undefined);
+    if (candidates.some(v => nearlyEqual(v, requested.value))) return 'exact';
+    return candidates.some(v => relativeDiff(v, requested.value) < 0.2) ? 'close' : 'different';
+  }
+
+  if (!product.baseUnit || requested.baseUnit !== product.baseUnit) return 'different';
+  if (nearlyEqual(requested.baseValue, product.baseValue)) return 'exact';
+
+  return relativeDiff(requested.baseValue, product.baseValue) < 0.2 ? 'close' : 'different';
+}
+
+/**
+ * Short display form ("500мг", "250мг/5мл", "200")
+ */
+export function formatDosage(dosage) {
+  if (!dosage || dosage.value === null) return null;
+  if (dosage.concentration) return dosage.concentration.text;
+  return dosage.unit ? `${dosage.value}${dosage.unit}` : String(dosage.value);
+}
+
+function setStrength(result, value, unit, text) {
+  const canonical = normalizeUnit(unit);
+  const base = toBaseAmount(value, canonical);
+
+  result.value = parseNumber(value);
+  result.unit = canonical;
+  result.baseValue = base ? base.value : null;
+  result.baseUnit = base ? base.unit : null;
+  result.text = text.replace(/\s+/g, '');
+}
+
+function parseNumber(value) {
+  return typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function nearlyEqual(a, b) {
+  return Math.abs(a - b) < 1e-6;
+}
+
+function relativeDiff(a, b) {
+  return Math.abs(a - b) / Math.max(Math.abs(b), 1e-9);
+}
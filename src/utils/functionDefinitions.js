@@ -86,6 +86,29 @@ export const functionDefinitions = [
       }
     }
   },
+  {
+    type: "function",
+    function: {
+      name: "findAlternatives",
+      description: "Find in-stock products with the same active ingredient (INN) as a given item, closest strength and same dosage form first. Use when an item is out of stock or the requested strength is unavailable, instead of guessing from search results.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemId: {
+            type: "string",
+            description: "The ID of the item to find alternatives for"
+          },
+          limit: {
+            type: "integer",
+            description: "Maximum number of alternatives to return (default: 5, max: 10)",
+            minimum: 1,
+            maximum: 10
+          }
+        },
+        required: ["itemId"]
+      }
+    }
+  },
   {
     type: "function", 
     function: {
@@ -499,7 +522,7 @@ export const functionDefinitions = [
  */
 export const functionCategories = {
   search: ['searchItems', 'getRecommendations', 'getPriceComparison'],
-  inventory: ['checkStock'],
+  inventory: ['checkStock', 'findAlternatives'],
   orders: ['createOrder', 'getOrderStatus', 'getUserOrders'],
   medical: ['checkDrugInteractions', 'getDosageInformation', 'reportSideEffect'],
   services: ['findNearbyPharmacies', 'scheduleConsultation', 'setMedicationReminder'],
@@ -534,6 +557,7 @@ export const privilegedFunctions = {
 export const functionCosts = {
   searchItems: 0.01,
   checkStock: 0.005,
+  findAlternatives: 0.01,
   createOrder: 0.05,
   getOrderStatus: 0.01,
   getUserOrders: 0.02,
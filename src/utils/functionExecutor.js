@@ -1,5 +1,7 @@
 import { SearchService } from '../services/searchService.js';
 import { OrderService } from '../services/orderService.js';
+import { AlternativesService } from '../services/alternativesService.js';
+import { SearchFeedbackService } from '../services/searchFeedbackService.js';
 import { validateFunctionParameters, functionCosts } from './functionDefinitions.js';
 import config from '../config/environment.js';
 
@@ -150,6 +152,9 @@ export class FunctionExecutor {
       case 'checkStock':
         return await this.checkStock(args);
 
+      case 'findAlternatives':
+        return await this.findAlternatives(args);
+
       case 'createOrder':
         return await this.createOrder(args, context);
 
@@ -248,6 +253,34 @@ export class FunctionExecutor {
     };
   }
 
+  static async findAlternatives(args) {
+    const { itemId, limit = 5 } = args;
+
+    const result = await AlternativesService.findAlternatives(itemId, { limit: Math.min(limit, 10) });
+
+    if (!result) {
+      throw new Error(`Item not found: ${itemId}`);
+    }
+
+    return {
+      itemName: result.product.name,
+      activeIngredients: result.inns,
+      message: result.alternatives.length > 0
+        ? `Found ${result.alternatives.length} in-stock alternatives with the same active ingredient as ${result.product.name}`
+        : `No in-stock alternatives with the same active ingredient as ${result.product.name}`,
+      alternatives: result.alternatives.map(item => ({
+        id: item.id,
+        name: item.name,
+        genericName: item.genericName,
+        form: item.form,
+        stockRange: item.stockRange,
+        isPrescription: item.isPrescription,
+        strengthMatch: item.strengthMatch,
+        sameForm: item.sameForm
+      }))
+    };
+  }
+
   /**
    * ORDER FUNCTIONS
    */
@@ -269,6 +302,9 @@ export class FunctionExecutor {
         channel: 'ai_chat'
       });
 
+      // Credit the search the items came from (learned ranking boosts)
+      await SearchFeedbackService.recordChatOrder(context.lastSearch, items, context);
+
       return {
         message: `Order ${order.order_number} created successfully!`,
         order: {
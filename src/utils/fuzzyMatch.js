@@ -0,0 +1,53 @@
+/**
+ * Edit-distance helpers for typo-tolerant drug name matching
+ */
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions).
+ * Stops early and returns maxDistance + 1 once the distance exceeds maxDistance.
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        prev[j] + 1,           // deletion
+        current[j - 1] + 1,    // insertion
+        prev[j - 1] + cost     // substitution
+      );
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1); // transposition
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Typos allowed for a word of this length (short names must match closely)
+ */
+export function maxTyposFor(length) {
+  if (length < 5) return 0;
+  if (length <= 6) return 1;
+  if (length <= 10) return 2;
+  return 3;
+}
@@ -0,0 +1,135 @@
+/**
+ * Response-language detection for chat messages
+ * Customers write Mongolian in Cyrillic ("танай утасны дугаар"), Mongolian in
+ * Latin letters ("tanai utasnii dugaar"), English or Russian. Detection is
+ * rule-based (script, script-specific letters, marker words, suffixes), so it
+ * is instant and offline. Drug names and numbers carry no signal.
+ */
+
+export const LANGUAGES = ['mn', 'en', 'ru'];
+
+// Variant codes reported in response metadata
+const VARIANTS = {
+  mnCyrillic: 'mn-Cyrl',
+  mnLatin: 'mn-Latn',
+  en: 'en',
+  ru: 'ru'
+};
+
+// Letters only one of the Cyrillic languages uses
+const MONGOLIAN_LETTERS = /[өү]/g;
+const RUSSIAN_LETTERS = /[щъ]/g;
+
+const MONGOLIAN_WORDS = new Set([
+  'байна', 'байгаа', 'байдаг', 'байх', 'байхгүй', 'юу', 'вэ', 'бэ', 'уу', 'үү', 'хэд', 'хэдэн',
+  'хаана', 'хэзээ', 'яаж', 'ямар', 'танай', 'манай', 'та', 'би', 'бид', 'энэ', 'тэр', 'сайн',
+  'гэж', 'нь', 'ба', 'болон', 'биш', 'үгүй', 'тийм', 'баярлалаа', 'хэрэгтэй', 'авах', 'авмаар',
+  'болох', 'үнэ', 'хаяг', 'утас', 'дугаар', 'эм', 'хүргэлт', 'мэдээлэл', 'уучлаарай'
+]);
+
+const RUSSIAN_WORDS = new Set([
+  'что', 'как', 'где', 'есть', 'ли', 'у', 'вас', 'вы', 'ваш', 'ваша', 'мне', 'я', 'и', 'в', 'на',
+  'с', 'по', 'о', 'от', 'для', 'не', 'нет', 'да', 'это', 'или', 'из', 'к', 'пожалуйста', 'сколько',
+  'нужно', 'можно', 'здравствуйте', 'привет', 'спасибо', 'какой', 'какая', 'какие', 'когда',
+  'почему', 'стоит', 'цена', 'купить', 'адрес', 'телефон', 'лекарство', 'таблетки', 'аптека'
+]);
+
+const ENGLISH_WORDS = new Set([
+  'the', 'is', 'are', 'do', 'does', 'you', 'your', 'what', 'where', 'how', 'when', 'which', 'who',
+  'can', 'could', 'i', 'my', 'me', 'have', 'has', 'a', 'an', 'to', 'of', 'in', 'for', 'with', 'and',
+  'or', 'please', 'price', 'phone', 'number', 'address', 'need', 'want', 'buy', 'there', 'any',
+  'hello', 'hi', 'thanks', 'thank', 'available', 'stock', 'about', 'company', 'office', 'email'
+]);
+
+// Mongolian typed in Latin, incl. chat shorthand ("bn", "bga")
+const MONGOLIAN_LATIN_WORDS = new Set([
+  'bn', 'bna', 'baina', 'bainuu', 'bnu', 'bga', 'bgaa', 'baigaa', 'bdag', 'baidag', 'baihgui',
+  'baikhgui', 'yu', 'yuu', 've', 'uu', 'vv', 'hed', 'kheden', 'heden', 'haana', 'khaana', 'hezee',
+  'yaj', 'yamar', 'ymar', 'tanai', 'manai', 'ta', 'bi', 'bid', 'ene', 'ter', 'sain', 'sn', 'gej',
+  'ni', 'bolon', 'ugui', 'tiim', 'bayarlalaa', 'heregtei', 'kheregtei', 'avah', 'awah', 'avmaar',
+  'awmaar', 'une', 'hayag', 'khayag', 'utas', 'utasnii', 'utasny', 'dugaar', 'em', 'hurgelt'
+]);
+
+const MONGOLIAN_SUFFIX = /(ийн|ын|ийг|ыг|аас|ээс|оос|өөс|тай|тэй|той|руу|рүү|гүй|лаа|лээ|даа|дээ)$/;
+const RUSSIAN_SUFFIX = /(ого|его|ый|ться|тся|ешь|ишь|ает|ают|ует|уют)$/;
+const MONGOLIAN_LATIN_SUFFIX = /(iin|iig|aas|ees|oos|tai|tei|gui|laa|lee|daa|dee|uud)$/;
+const ENGLISH_SUFFIX = /(ing|tion|ly|ed)$/;
+
+/**
+ * Detect the message language
+ * @param {string} text
+ * @param {Object} options - fallback: language when nothing is conclusive (default 'mn')
+ * @returns {{ language: 'mn'|'en'|'ru', variant: string, script: 'cyrillic'|'latin', confidence: number }}
+ */
+export function detectLanguage(text, { fallback = 'mn' } = {}) {
+  const lower = (text || '').toLowerCase();
+  const cyrillicLetters = (lower.match(/[Ѐ-ӿ]/g) || []).length;
+  const latinLetters = (lower.match(/[a-zöü]/g) || []).length;
+  const words = lower.match(/[\p{L}]+/gu) || [];
+
+  if (cyrillicLetters === 0 && latinLetters === 0) {
+    return result(fallback, fallback === 'en' ? 'latin' : 'cyrillic', 0);
+  }
+
+  if (cyrillicLetters >= latinLetters) {
+    const mn = 2 * (lower.match(MONGOLIAN_LETTERS) || []).length + score(words, MONGOLIAN_WORDS, MONGOLIAN_SUFFIX);
+    const ru = 2 * (lower.match(RUSSIAN_LETTERS) || []).length + score(words, RUSSIAN_WORDS, RUSSIAN_SUFFIX);
+
+    if (mn === 0 && ru === 0) {
+      return result(fallback === 'ru' ? 'ru' : 'mn', 'cyrillic', 0);
+    }
+    return result(ru > mn ? 'ru' : 'mn', 'cyrillic', Math.max(mn, ru) / (mn + ru));
+  }
+
+  const en = score(words, ENGLISH_WORDS, ENGLISH_SUFFIX);
+  const mn = score(words, MONGOLIAN_LATIN_WORDS, MONGOLIAN_LATIN_SUFFIX) + (/[öü]/.test(lower) ? 2 : 0);
+
+  if (en === 0 && mn === 0) {
+    return result(fallback === 'en' ? 'en' : 'mn', 'latin', 0);
+  }
+  return result(en > mn ? 'en' : 'mn', 'latin', Math.max(en, mn) / (en + mn));
+}
+
+/**
+ * LLM instruction for the reply language (appended to system prompts)
+ */
+export function responseLanguageInstruction(detected) {
+  switch (detected.variant) {
+    case VARIANTS.en:
+      return 'The customer writes in English. Respond in English.';
+    case VARIANTS.ru:
+      return 'The customer writes in Russian. Respond in Russian.';
+    case VARIANTS.mnLatin:
+      return 'The customer writes Mongolian in Latin letters. Respond in Mongolian using Cyrillic script.';
+    default:
+      return 'The customer writes in Mongolian. Respond in Mongolian (Cyrillic script).';
+  }
+}
+
+/**
+ * Marker-word hits (1 each) plus suffix hits (0.5 each)
+ */
+function score(words, markers, suffix) {
+  let total = 0;
+
+  for (const word of words) {
+    if (markers.has(word)) total += 1;
+    else if (word.length > 4 && suffix.test(word)) total += 0.5;
+  }
+
+  return total;
+}
+
+function result(language, script, confidence) {
+  let variant = language;
+  if (language === 'mn') {
+    variant = script === 'latin' ? VARIANTS.mnLatin : VARIANTS.mnCyrillic;
+  }
+
+  return {
+    language,
+    variant,
+    script,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
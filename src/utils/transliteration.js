@@ -0,0 +1,157 @@
+/**
+ * Cyrillic ↔ Latin helpers for matching drug names typed in either script
+ * (customers write "парацэтмөл", "paracetamol" or "paracetmol" for the same drug)
+ */
+
+// Mongolian/Russian Cyrillic → Latin (practical romanization)
+const CYRILLIC_TO_LATIN = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'j',
+  'з': 'z', 'и': 'i', 'й': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'ө': 'u', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ү': 'u', 'ф': 'f',
+  'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'sh', 'ъ': '', 'ы': 'i', 'ь': '',
+  'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+// Phonetic key: letters that sound alike in drug names collapse to one symbol
+const CYRILLIC_TO_KEY = {
+  ...CYRILLIC_TO_LATIN,
+  'ө': 'o', 'х': 'h', 'ц': 'c', 'ё': 'io', 'ю': 'iu', 'я': 'ia',
+  'ö': 'o', 'ü': 'u'
+};
+
+// Latin → Mongolian Cyrillic, longest sequences first ("kh" before "k")
+const LATIN_TO_CYRILLIC = [
+  ['shch', 'щ'], ['kh', 'х'], ['ts', 'ц'], ['ch', 'ч'], ['sh', 'ш'], ['zh', 'ж'],
+  ['ya', 'я'], ['yo', 'ё'], ['yu', 'ю'], ['ye', 'е'], ['oe', 'ө'], ['ue', 'ү'],
+  ['ö', 'ө'], ['ü', 'ү'], ['x', 'кс'], ['q', 'к'], ['w', 'в'],
+  ['a', 'а'], ['b', 'б'], ['d', 'д'], ['e', 'э'], ['f', 'ф'], ['g', 'г'], ['h', 'х'],
+  ['j', 'ж'], ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'], ['o', 'о'], ['p', 'п'],
+  ['r', 'р'], ['s', 'с'], ['t', 'т'], ['u', 'у'], ['v', 'в'], ['z', 'з']
+];
+
+// Chat shorthand that letter mapping gets wrong
+const LATIN_WORDS = {
+  yu: 'юу', bn: 'байна', bna: 'байна', bga: 'байгаа', bgaa: 'байгаа'
+};
+
+const CYRILLIC_VOWELS = /[аэиоуөүыяеёю]$/;
+const BACK_VOWELS = /[аыя]/;        // unambiguous back vowels (Latin o/u may be ө/ү)
+const LOAN_LETTERS = /[пфцщ]/;
+
+/**
+ * Does the text contain Cyrillic letters?
+ */
+export function hasCyrillic(text) {
+  return /[Ѐ-ӿ]/.test(text || '');
+}
+
+/**
+ * Romanize Cyrillic text (Latin characters are left as-is)
+ */
+export function toLatin(text) {
+  return Array.from((text || '').toLowerCase())
+    .map(char => CYRILLIC_TO_LATIN[char] ?? char)
+    .join('');
+}
+
+/**
+ * Mongolian typed in Latin → Cyrillic ("paratsetamol" → "парацетамол", "ügüi" → "үгүй").
+ * Ambiguous letters follow Mongolian chat habits: "y" is ы in back-vowel words
+ * ("utasny" → "утасны") and ү otherwise ("ygui" → "үгүй"); "i" after a vowel is й.
+ * Best effort - drug names are matched on matchKey, which ignores these differences.
+ */
+export function toCyrillic(text) {
+  return (text || '').toLowerCase().replace(/[a-zöü]+/g, word => {
+    if (LATIN_WORDS[word]) return LATIN_WORDS[word];
+
+    let result = '';
+    let i = 0;
+
+    while (i < word.length) {
+      const char = word[i];
+
+      if (char === 'i') {
+        result += CYRILLIC_VOWELS.test(result) ? 'й' : 'и';
+        i++;
+        continue;
+      }
+
+      if (char === 'c' && word[i + 1] !== 'h') {
+        // Loan words: soft c (ciprofloxacin) = ц, hard c = к
+        result += /[eiy]/.test(word[i + 1] || '') ? 'ц' : 'к';
+        i++;
+        continue;
+      }
+
+      if (char === 'y' && !/[aoue]/.test(word[i + 1] || '')) {
+        result += BACK_VOWELS.test(result) ? 'ы' : 'ү';
+        i++;
+        continue;
+      }
+
+      const pair = LATIN_TO_CYRILLIC.find(([latin]) => word.startsWith(latin, i));
+      if (pair) {
+        result += pair[1];
+        i += pair[0].length;
+      } else {
+        result += char;
+        i++;
+      }
+    }
+
+    return applyVowelHarmony(result);
+  });
+}
+
+/**
+ * Resolve e/o/u: loan words (п/ф/ц are not native) keep Russian е (парацетамол, кофеин);
+ * native words follow vowel harmony, so a front-vowel word takes ө/ү (үгүй, хүргэлт)
+ */
+function applyVowelHarmony(word) {
+  if (LOAN_LETTERS.test(word)) {
+    return word
+      .replace(/(?<=.)э/g, 'е')
+      .replace(/ей(?=[бвгджзклмнпрстфхцчшщ])/g, 'еи');
+  }
+
+  if (!BACK_VOWELS.test(word) && /[эөү]/.test(word)) {
+    return word.replace(/о/g, 'ө').replace(/у/g, 'ү');
+  }
+
+  return word;
+}
+
+/**
+ * The query in both scripts (lowercased, original first, deduplicated)
+ */
+export function scriptVariants(text) {
+  const original = (text || '').toLowerCase().trim();
+  const converted = hasCyrillic(original) ? toLatin(original) : toCyrillic(original);
+
+  return converted && converted !== original ? [original, converted] : [original];
+}
+
+/**
+ * Script-independent matching key ("парацэтмөл" → "paracetmol", "Ibuprofen" → "ibuprofen")
+ */
+export function matchKey(text) {
+  const latin = Array.from((text || '').toLowerCase())
+    .map(char => CYRILLIC_TO_KEY[char] ?? char)
+    .join('');
+
+  return latin
+    .replace(/ph/g, 'f')
+    .replace(/th/g, 't')
+    .replace(/kh/g, 'h')
+    .replace(/ch/g, 'h')                 // chlor- = хлор-
+    .replace(/ts/g, 'c')
+    .replace(/x/g, 'ks')
+    .replace(/qu/g, 'kv')
+    .replace(/w/g, 'v')
+    .replace(/y/g, 'i')
+    .replace(/c(?![eiy])/g, 'k')        // hard c (diclofenac) = к (диклофенак)
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/(.)\1+/g, '$1')            // амоксициллин / amoxicilin
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,57 @@
+-- ===================================================================
+-- DRUG LEXICON
+-- Canonical drug names (INN) with spelling variants, misspellings and
+-- brand names. Used by ProductSearchService.parseQuery / getDrugVariants
+-- and IntentClassifier. Seeded from the catalog on every full sync and
+-- editable through /api/admin/lexicon.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS drug_lexicon (
+  canonical VARCHAR(255) PRIMARY KEY,            -- INN, lowercase (Cyrillic preferred)
+  latin_name VARCHAR(255),                       -- INN in Latin script
+  variants TEXT[] DEFAULT '{}',                  -- Other valid spellings (Cyrillic/Latin/Russian)
+  misspellings TEXT[] DEFAULT '{}',              -- Common typos seen in chat
+  brands TEXT[] DEFAULT '{}',                    -- Trade names for this INN
+
+  -- Bookkeeping
+  source VARCHAR(20) DEFAULT 'manual',           -- 'seed', 'catalog' or 'manual'
+  is_active BOOLEAN DEFAULT TRUE,
+  product_count INT DEFAULT 0,                   -- Catalog products with this INN (last sync)
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (canonical = LOWER(canonical) AND canonical != '')
+);
+
+CREATE INDEX IF NOT EXISTS idx_drug_lexicon_active ON drug_lexicon(is_active) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_drug_lexicon_variants ON drug_lexicon USING gin(variants);
+CREATE INDEX IF NOT EXISTS idx_drug_lexicon_brands ON drug_lexicon USING gin(brands);
+
+-- ===================================================================
+-- SEED: entries previously hardcoded in ProductSearchService
+-- ===================================================================
+
+INSERT INTO drug_lexicon (canonical, latin_name, variants, misspellings, brands, source) VALUES
+  ('парацетамол', 'paracetamol', '{}', '{парацэтамол,парацэтэмол,парацетмол,парацэтмөл,парацетамоль}', '{чамп,панадол,калпол}', 'seed'),
+  ('ибупрофен', 'ibuprofen', '{ибумон,ibumon}', '{}', '{гофен,миг,нурофен,адвил}', 'seed'),
+  ('аспирин', 'aspirin', '{ацетилсалициловая}', '{}', '{}', 'seed'),
+  ('анальгин', 'analgin', '{метамизол}', '{}', '{}', 'seed'),
+  ('диклофенак', 'diclofenac', '{}', '{}', '{}', 'seed'),
+  ('кетопрофен', 'ketoprofen', '{}', '{}', '{}', 'seed'),
+  ('амоксициллин', 'amoxicillin', '{}', '{}', '{амоксил,флемоксин}', 'seed'),
+  ('азитромицин', 'azithromycin', '{}', '{}', '{}', 'seed'),
+  ('цефтриаксон', 'ceftriaxone', '{}', '{}', '{}', 'seed'),
+  ('омепразол', 'omeprazole', '{}', '{}', '{омез,лосек}', 'seed'),
+  ('пантопразол', 'pantoprazole', '{}', '{}', '{нольпаза,контролок,панум}', 'seed'),
+  ('метоклопрамид', 'metoclopramide', '{}', '{}', '{}', 'seed'),
+  ('фолийн хүчил', 'folic acid', '{фолиевая кислота}', '{}', '{}', 'seed'),
+  ('витамин', 'vitamin', '{}', '{}', '{}', 'seed'),
+  ('церебролизин', 'cerebrolysin', '{}', '{}', '{}', 'seed'),
+  ('глицин', 'glycine', '{}', '{}', '{}', 'seed')
+ON CONFLICT (canonical) DO NOTHING;
+
+-- updated_at trigger (function from three_tier_architecture migration)
+DROP TRIGGER IF EXISTS update_drug_lexicon_updated_at ON drug_lexicon;
+CREATE TRIGGER update_drug_lexicon_updated_at
+  BEFORE UPDATE ON drug_lexicon
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
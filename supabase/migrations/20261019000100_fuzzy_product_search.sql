@@ -0,0 +1,74 @@
+-- ===================================================================
+-- FUZZY PRODUCT NAME MATCHING (pg_trgm)
+-- Purpose: Typo-tolerant lookup of drug names in the catalog, used by
+-- ProductSearchService when parseQuery finds no known drug name
+-- ===================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING gin (LOWER(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_generic_trgm ON products USING gin (LOWER(generic_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_english_trgm ON products USING gin (LOWER(english_name) gin_trgm_ops);
+
+-- ===================================================================
+-- FUZZY MATCH FUNCTION
+-- search_terms: query words (plus their Latin transliteration, which
+-- is matched against english_name)
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION fuzzy_match_products(
+  search_terms TEXT[],
+  min_similarity REAL DEFAULT 0.5,
+  match_count INT DEFAULT 50
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  volume VARCHAR,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  matched_term TEXT,
+  similarity REAL
+)
+LANGUAGE plpgsql  -- VOLATILE: sets pg_trgm threshold for this transaction
+AS $$
+BEGIN
+  -- Threshold for the index-backed <% operator
+  PERFORM set_config('pg_trgm.word_similarity_threshold', min_similarity::TEXT, true);
+
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      p.id AS product_id,
+      p.name AS product_name,
+      p.generic_name AS product_generic_name,
+      p.volume AS product_volume,
+      p.category AS product_category,
+      p.manufacturer AS product_manufacturer,
+      t.term AS term,
+      GREATEST(
+        word_similarity(t.term, LOWER(p.name)),
+        word_similarity(t.term, LOWER(COALESCE(p.generic_name, ''))),
+        word_similarity(t.term, LOWER(COALESCE(p.english_name, '')))
+      ) AS score
+    FROM products p
+    CROSS JOIN UNNEST(search_terms) AS t(term)
+    WHERE
+      t.term <% LOWER(p.name)
+      OR t.term <% LOWER(p.generic_name)
+      OR t.term <% LOWER(p.english_name)
+  ),
+  best_per_product AS (
+    SELECT DISTINCT ON (m.product_id) m.*
+    FROM matches m
+    ORDER BY m.product_id, m.score DESC
+  )
+  SELECT
+    b.product_id, b.product_name, b.product_generic_name, b.product_volume,
+    b.product_category, b.product_manufacturer, b.term, b.score
+  FROM best_per_product b
+  ORDER BY b.score DESC
+  LIMIT match_count;
+END;
+$$;
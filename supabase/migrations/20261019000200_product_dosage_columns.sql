@@ -0,0 +1,68 @@
+-- ===================================================================
+-- STRUCTURED DOSAGE COLUMNS
+-- Purpose: Strength / concentration / pack count parsed from product
+-- names at sync time (DataSyncService.parseStrength), used for
+-- unit-aware ranking (0.5г == 500мг) instead of string comparison
+-- ===================================================================
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS strength_value NUMERIC,          -- 500, 0.5, 1000 (as written)
+  ADD COLUMN IF NOT EXISTS strength_unit VARCHAR(10),       -- мг, мкг, г, мл, л, IU, %
+  ADD COLUMN IF NOT EXISTS concentration_value NUMERIC,     -- per base unit: 250мг/5мл → 50
+  ADD COLUMN IF NOT EXISTS concentration_unit VARCHAR(20),  -- мг/мл, мг/мг
+  ADD COLUMN IF NOT EXISTS pack_count INT;                  -- №20 → 20
+
+CREATE INDEX IF NOT EXISTS idx_products_strength ON products(strength_unit, strength_value);
+
+-- ===================================================================
+-- VECTOR SEARCH FUNCTION (return dosage columns for ranking)
+-- Return type changes, so the old definition must be dropped first
+-- ===================================================================
+
+DROP FUNCTION IF EXISTS match_products(VECTOR, FLOAT, INT, VARCHAR);
+
+CREATE OR REPLACE FUNCTION match_products(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT DEFAULT 0.7,
+  match_count INT DEFAULT 10,
+  filter_category VARCHAR DEFAULT NULL
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  is_prescription BOOLEAN,
+  volume VARCHAR,
+  strength_value NUMERIC,
+  strength_unit VARCHAR,
+  concentration_value NUMERIC,
+  concentration_unit VARCHAR,
+  pack_count INT,
+  similarity FLOAT
+)
+LANGUAGE SQL STABLE
+AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.generic_name,
+    p.category,
+    p.manufacturer,
+    p.is_prescription,
+    p.volume,
+    p.strength_value,
+    p.strength_unit,
+    p.concentration_value,
+    p.concentration_unit,
+    p.pack_count,
+    1 - (p.embedding <=> query_embedding) AS similarity
+  FROM products p
+  WHERE
+    p.embedding IS NOT NULL
+    AND (1 - (p.embedding <=> query_embedding)) > match_threshold
+    AND (filter_category IS NULL OR p.category = filter_category)
+  ORDER BY p.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,63 @@
+-- ===================================================================
+-- DOSAGE FORM
+-- Purpose: products.form (existing column) is now filled at sync time
+-- with a canonical form key (tablet, capsule, syrup, injection,
+-- ointment, ...; see src/utils/dosageForm.js) for the /api/search
+-- form filter and form-aware ranking
+-- ===================================================================
+
+CREATE INDEX IF NOT EXISTS idx_products_form ON products(form);
+
+-- ===================================================================
+-- VECTOR SEARCH FUNCTION (also return form)
+-- ===================================================================
+
+DROP FUNCTION IF EXISTS match_products(VECTOR, FLOAT, INT, VARCHAR);
+
+CREATE OR REPLACE FUNCTION match_products(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT DEFAULT 0.7,
+  match_count INT DEFAULT 10,
+  filter_category VARCHAR DEFAULT NULL
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  is_prescription BOOLEAN,
+  volume VARCHAR,
+  form VARCHAR,
+  strength_value NUMERIC,
+  strength_unit VARCHAR,
+  concentration_value NUMERIC,
+  concentration_unit VARCHAR,
+  pack_count INT,
+  similarity FLOAT
+)
+LANGUAGE SQL STABLE
+AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.generic_name,
+    p.category,
+    p.manufacturer,
+    p.is_prescription,
+    p.volume,
+    p.form,
+    p.strength_value,
+    p.strength_unit,
+    p.concentration_value,
+    p.concentration_unit,
+    p.pack_count,
+    1 - (p.embedding <=> query_embedding) AS similarity
+  FROM products p
+  WHERE
+    p.embedding IS NOT NULL
+    AND (1 - (p.embedding <=> query_embedding)) > match_threshold
+    AND (filter_category IS NULL OR p.category = filter_category)
+  ORDER BY p.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,108 @@
+-- ===================================================================
+-- HYBRID SEARCH: KEYWORD LEG
+-- Purpose: Full-text + trigram + code matching that runs alongside
+-- match_products (vector) and is fused with reciprocal rank fusion in
+-- ProductSearchService.hybridSearch. Catches barcodes, ERP/internal
+-- codes and brand names that embeddings handle poorly.
+-- ===================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 'simple' config: no stemming/stop words (catalog is Mongolian/Russian/Latin)
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS search_tsv TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('simple',
+      COALESCE(name, '') || ' ' ||
+      COALESCE(generic_name, '') || ' ' ||
+      COALESCE(english_name, '') || ' ' ||
+      COALESCE(brand, '') || ' ' ||
+      COALESCE(manufacturer, '')
+    )
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_tsv ON products USING gin(search_tsv);
+CREATE INDEX IF NOT EXISTS idx_products_erp_code_lower ON products(LOWER(erp_code));
+CREATE INDEX IF NOT EXISTS idx_products_internal_code_lower ON products(LOWER(internal_code));
+
+-- ===================================================================
+-- KEYWORD SEARCH FUNCTION
+-- Score: exact code match (10) + prefix full-text rank + name trigram
+-- word similarity. Returns the same columns as match_products.
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION keyword_search_products(
+  query_text TEXT,
+  match_count INT DEFAULT 20,
+  filter_category VARCHAR DEFAULT NULL
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  is_prescription BOOLEAN,
+  volume VARCHAR,
+  form VARCHAR,
+  strength_value NUMERIC,
+  strength_unit VARCHAR,
+  concentration_value NUMERIC,
+  concentration_unit VARCHAR,
+  pack_count INT,
+  keyword_score REAL
+)
+LANGUAGE plpgsql STABLE
+AS $$
+DECLARE
+  normalized TEXT := LOWER(TRIM(query_text));
+  words TEXT[];
+  ts_query TSQUERY;
+BEGIN
+  SELECT ARRAY_AGG(DISTINCT w)
+  INTO words
+  FROM REGEXP_SPLIT_TO_TABLE(normalized, '[^[:alnum:]]+') AS w
+  WHERE LENGTH(w) >= 2;
+
+  IF words IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Prefix match on every word, any word may match: 'нурофен':* | '200':*
+  SELECT TO_TSQUERY('simple', STRING_AGG(QUOTE_LITERAL(w) || ':*', ' | '))
+  INTO ts_query
+  FROM UNNEST(words) AS w;
+
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.name,
+    p.generic_name,
+    p.category,
+    p.manufacturer,
+    p.is_prescription,
+    p.volume,
+    p.form,
+    p.strength_value,
+    p.strength_unit,
+    p.concentration_value,
+    p.concentration_unit,
+    p.pack_count,
+    (
+      CASE WHEN p.barcode = ANY(words) OR LOWER(p.erp_code) = ANY(words) OR LOWER(p.internal_code) = ANY(words)
+        THEN 10 ELSE 0 END
+      + TS_RANK_CD(p.search_tsv, ts_query)
+      + WORD_SIMILARITY(normalized, LOWER(p.name))
+    )::REAL AS keyword_score
+  FROM products p
+  WHERE
+    (filter_category IS NULL OR p.category = filter_category)
+    AND (
+      p.barcode = ANY(words)
+      OR LOWER(p.erp_code) = ANY(words)
+      OR LOWER(p.internal_code) = ANY(words)
+      OR p.search_tsv @@ ts_query
+    )
+  ORDER BY keyword_score DESC
+  LIMIT match_count;
+END;
+$$;
@@ -0,0 +1,166 @@
+-- ===================================================================
+-- FACETED PRODUCT SEARCH
+-- Purpose: Filtered product listing with keyset (cursor) pagination and
+-- facet counts for GET /api/products/search. Filters use catalog and
+-- inventory columns filled by DataSyncService.
+-- ===================================================================
+
+CREATE INDEX IF NOT EXISTS idx_products_name_id ON products(name, id);
+CREATE INDEX IF NOT EXISTS idx_products_flags ON products(is_prescription, is_new, is_exclusive, is_b2b_only);
+
+-- Every word must match as a prefix: 'нурофен':* & '200':*
+CREATE OR REPLACE FUNCTION prefix_tsquery(query_text TEXT)
+RETURNS TSQUERY
+LANGUAGE SQL IMMUTABLE
+AS $$
+  SELECT TO_TSQUERY('simple', STRING_AGG(QUOTE_LITERAL(w) || ':*', ' & '))
+  FROM REGEXP_SPLIT_TO_TABLE(LOWER(TRIM(query_text)), '[^[:alnum:]]+') AS w
+  WHERE LENGTH(w) >= 1;
+$$;
+
+-- ===================================================================
+-- RESULTS PAGE
+-- search_queries: the query in each script (any may match); NULL = no text filter
+-- NULL filters are ignored; in_stock TRUE = available > 0 and active
+-- Cursor: (after_name, after_id) of the last row on the previous page
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION faceted_search_products(
+  search_queries TEXT[] DEFAULT NULL,
+  filter_manufacturer VARCHAR DEFAULT NULL,
+  filter_category VARCHAR DEFAULT NULL,
+  filter_prescription BOOLEAN DEFAULT NULL,
+  filter_in_stock BOOLEAN DEFAULT NULL,
+  filter_is_new BOOLEAN DEFAULT NULL,
+  filter_is_exclusive BOOLEAN DEFAULT NULL,
+  filter_b2b_only BOOLEAN DEFAULT NULL,
+  after_name TEXT DEFAULT NULL,
+  after_id VARCHAR DEFAULT NULL,
+  page_size INT DEFAULT 20
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  brand VARCHAR,
+  volume VARCHAR,
+  form VARCHAR,
+  barcode VARCHAR,
+  is_prescription BOOLEAN,
+  is_new BOOLEAN,
+  is_exclusive BOOLEAN,
+  is_b2b_only BOOLEAN,
+  available INT,
+  onhand INT,
+  is_active BOOLEAN,
+  facility_name VARCHAR
+)
+LANGUAGE SQL STABLE
+AS $$
+  SELECT
+    p.id, p.name, p.generic_name, p.category, p.manufacturer, p.brand, p.volume, p.form, p.barcode,
+    p.is_prescription, p.is_new, p.is_exclusive, p.is_b2b_only,
+    COALESCE(i.available, 0), COALESCE(i.onhand, 0), COALESCE(i.is_active, FALSE), i.facility_name
+  FROM products p
+  LEFT JOIN product_inventory i ON i.product_id = p.id
+  WHERE
+    (search_queries IS NULL OR EXISTS (
+      SELECT 1 FROM UNNEST(search_queries) AS q WHERE p.search_tsv @@ prefix_tsquery(q)
+    ))
+    AND (filter_manufacturer IS NULL OR p.manufacturer = filter_manufacturer)
+    AND (filter_category IS NULL OR p.category = filter_category)
+    AND (filter_prescription IS NULL OR p.is_prescription = filter_prescription)
+    AND (filter_in_stock IS NULL OR (COALESCE(i.available, 0) > 0 AND COALESCE(i.is_active, FALSE)) = filter_in_stock)
+    AND (filter_is_new IS NULL OR p.is_new = filter_is_new)
+    AND (filter_is_exclusive IS NULL OR p.is_exclusive = filter_is_exclusive)
+    AND (filter_b2b_only IS NULL OR p.is_b2b_only = filter_b2b_only)
+    AND (after_id IS NULL OR (p.name, p.id) > (after_name, after_id))
+  ORDER BY p.name, p.id
+  LIMIT page_size;
+$$;
+
+-- ===================================================================
+-- FACET COUNTS
+-- Each facet is counted with every filter except its own, so the
+-- client can show the alternatives for the current selection.
+-- facet 'total' = rows matching all filters.
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION product_search_facets(
+  search_queries TEXT[] DEFAULT NULL,
+  filter_manufacturer VARCHAR DEFAULT NULL,
+  filter_category VARCHAR DEFAULT NULL,
+  filter_prescription BOOLEAN DEFAULT NULL,
+  filter_in_stock BOOLEAN DEFAULT NULL,
+  filter_is_new BOOLEAN DEFAULT NULL,
+  filter_is_exclusive BOOLEAN DEFAULT NULL,
+  filter_b2b_only BOOLEAN DEFAULT NULL
+)
+RETURNS TABLE (
+  facet TEXT,
+  value TEXT,
+  count BIGINT
+)
+LANGUAGE SQL STABLE
+AS $$
+  WITH base AS (
+    SELECT
+      p.manufacturer,
+      p.category,
+      p.is_prescription,
+      p.is_new,
+      p.is_exclusive,
+      p.is_b2b_only,
+      (COALESCE(i.available, 0) > 0 AND COALESCE(i.is_active, FALSE)) AS in_stock
+    FROM products p
+    LEFT JOIN product_inventory i ON i.product_id = p.id
+    WHERE
+      search_queries IS NULL OR EXISTS (
+        SELECT 1 FROM UNNEST(search_queries) AS q WHERE p.search_tsv @@ prefix_tsquery(q)
+      )
+  ),
+  flagged AS (
+    SELECT
+      b.*,
+      (filter_manufacturer IS NULL OR b.manufacturer = filter_manufacturer) AS manufacturer_ok,
+      (filter_category IS NULL OR b.category = filter_category) AS category_ok,
+      (filter_prescription IS NULL OR b.is_prescription = filter_prescription) AS prescription_ok,
+      (filter_in_stock IS NULL OR b.in_stock = filter_in_stock) AS in_stock_ok,
+      (filter_is_new IS NULL OR b.is_new = filter_is_new) AS is_new_ok,
+      (filter_is_exclusive IS NULL OR b.is_exclusive = filter_is_exclusive) AS is_exclusive_ok,
+      (filter_b2b_only IS NULL OR b.is_b2b_only = filter_b2b_only) AS b2b_only_ok
+    FROM base b
+  )
+  SELECT 'total', NULL, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND prescription_ok AND in_stock_ok AND is_new_ok AND is_exclusive_ok AND b2b_only_ok
+  UNION ALL
+  SELECT 'manufacturer', manufacturer, COUNT(*) FROM flagged
+    WHERE manufacturer IS NOT NULL AND category_ok AND prescription_ok AND in_stock_ok AND is_new_ok AND is_exclusive_ok AND b2b_only_ok
+    GROUP BY manufacturer
+  UNION ALL
+  SELECT 'category', category, COUNT(*) FROM flagged
+    WHERE category IS NOT NULL AND manufacturer_ok AND prescription_ok AND in_stock_ok AND is_new_ok AND is_exclusive_ok AND b2b_only_ok
+    GROUP BY category
+  UNION ALL
+  SELECT 'prescription', COALESCE(is_prescription, FALSE)::TEXT, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND in_stock_ok AND is_new_ok AND is_exclusive_ok AND b2b_only_ok
+    GROUP BY COALESCE(is_prescription, FALSE)
+  UNION ALL
+  SELECT 'inStock', in_stock::TEXT, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND prescription_ok AND is_new_ok AND is_exclusive_ok AND b2b_only_ok
+    GROUP BY in_stock
+  UNION ALL
+  SELECT 'isNew', COALESCE(is_new, FALSE)::TEXT, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND prescription_ok AND in_stock_ok AND is_exclusive_ok AND b2b_only_ok
+    GROUP BY COALESCE(is_new, FALSE)
+  UNION ALL
+  SELECT 'isExclusive', COALESCE(is_exclusive, FALSE)::TEXT, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND prescription_ok AND in_stock_ok AND is_new_ok AND b2b_only_ok
+    GROUP BY COALESCE(is_exclusive, FALSE)
+  UNION ALL
+  SELECT 'b2bOnly', COALESCE(is_b2b_only, FALSE)::TEXT, COUNT(*) FROM flagged
+    WHERE manufacturer_ok AND category_ok AND prescription_ok AND in_stock_ok AND is_new_ok AND is_exclusive_ok
+    GROUP BY COALESCE(is_b2b_only, FALSE);
+$$;
@@ -0,0 +1,83 @@
+-- ===================================================================
+-- SEARCH FEEDBACK & LEARNED BOOSTS
+-- Purpose: Record which search result users clicked, selected or
+-- ordered (POST /api/search/feedback, chat orders) and turn that into
+-- per-query-term product boosts consumed by
+-- ProductSearchService.rankResults.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS search_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  query TEXT NOT NULL,
+  terms TEXT[] NOT NULL,                         -- Script-independent query words (matchKey)
+  product_id VARCHAR(50) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('click', 'select', 'order')),
+  position INT,                                  -- 1-based rank the product was shown at
+  source VARCHAR(20) NOT NULL DEFAULT 'search' CHECK (source IN ('search', 'chat')),
+  session_id VARCHAR(100),
+  user_id VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_feedback_created ON search_feedback(created_at);
+CREATE INDEX IF NOT EXISTS idx_search_feedback_product ON search_feedback(product_id);
+
+-- Rebuilt by refresh_search_term_boosts(); never edited by hand
+CREATE TABLE IF NOT EXISTS search_term_boosts (
+  term TEXT NOT NULL,
+  product_id VARCHAR(50) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  boost REAL NOT NULL,
+  weight REAL NOT NULL,                          -- Decayed, action-weighted event count
+  events INT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (term, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_term_boosts_product ON search_term_boosts(product_id);
+
+-- ===================================================================
+-- BOOST COMPUTATION
+-- Event weight: click 1, select 2, order 5, halved every half_life_days.
+-- Per (term, product): boost = max_boost * weight / (weight + smoothing),
+-- so a handful of clicks moves a product a little and steady choices
+-- approach max_boost. Pairs below min_events are dropped.
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION refresh_search_term_boosts(
+  window_days INT DEFAULT 90,
+  half_life_days FLOAT DEFAULT 30,
+  max_boost FLOAT DEFAULT 0.15,
+  smoothing FLOAT DEFAULT 5,
+  min_events INT DEFAULT 2
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  refreshed INT;
+BEGIN
+  DELETE FROM search_term_boosts;
+
+  INSERT INTO search_term_boosts (term, product_id, boost, weight, events, updated_at)
+  SELECT
+    t.term,
+    f.product_id,
+    (max_boost * SUM(w.weight) / (SUM(w.weight) + smoothing))::REAL,
+    SUM(w.weight)::REAL,
+    COUNT(*)::INT,
+    NOW()
+  FROM search_feedback f
+  CROSS JOIN LATERAL UNNEST(f.terms) AS t(term)
+  CROSS JOIN LATERAL (
+    SELECT
+      (CASE f.action WHEN 'order' THEN 5 WHEN 'select' THEN 2 ELSE 1 END)
+      * POWER(0.5, EXTRACT(EPOCH FROM (NOW() - f.created_at)) / 86400 / half_life_days) AS weight
+  ) w
+  WHERE f.created_at > NOW() - MAKE_INTERVAL(days => window_days)
+  GROUP BY t.term, f.product_id
+  HAVING COUNT(*) >= min_events;
+
+  GET DIAGNOSTICS refreshed = ROW_COUNT;
+  RETURN refreshed;
+END;
+$$;
@@ -0,0 +1,37 @@
+-- ===================================================================
+-- EMBEDDING CACHE
+-- Purpose: Durable second tier for query embeddings (Redis is the
+-- first). Keyed by embedding model + SHA-256 of the exact input text,
+-- so long queries sharing a prefix never collide and switching
+-- EMBEDDING_MODEL never returns vectors from another model.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  model VARCHAR(100) NOT NULL,
+  content_hash CHAR(64) NOT NULL,                -- SHA-256 hex of the embedded text
+  embedding VECTOR NOT NULL,                     -- No fixed dimension: models differ
+  dimensions INT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (model, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_created ON embedding_cache(created_at);
+
+-- ===================================================================
+-- CLEANUP (run by the hourly cache cleanup job)
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION cleanup_embedding_cache(max_age_days INT DEFAULT 30)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted_count INT;
+BEGIN
+  DELETE FROM embedding_cache
+  WHERE created_at < NOW() - MAKE_INTERVAL(days => max_age_days);
+
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$;
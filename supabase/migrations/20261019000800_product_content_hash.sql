@@ -0,0 +1,52 @@
+-- ===================================================================
+-- INCREMENTAL EMBEDDINGS
+-- Purpose: Remember what each product embedding was generated from so
+-- full syncs only re-embed products whose searchable text (or the
+-- embedding model) changed.
+-- content_hash = SHA-256 hex of the searchable_text the current
+-- embedding was built from (set together with embedding).
+-- ===================================================================
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS content_hash CHAR(64),
+  ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+
+-- ===================================================================
+-- BACKFILL QUERY (scripts/generate-embeddings.js --stale)
+-- Missing embedding, other model, or searchable_text changed since embedding
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION products_needing_embeddings(
+  current_model VARCHAR,
+  max_count INT DEFAULT 200
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  searchable_text TEXT,
+  reason TEXT
+)
+LANGUAGE SQL STABLE
+AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.generic_name,
+    p.searchable_text,
+    CASE
+      WHEN p.embedding IS NULL THEN 'missing'
+      WHEN p.embedding_model IS DISTINCT FROM current_model THEN 'model_changed'
+      ELSE 'text_changed'
+    END AS reason
+  FROM products p
+  WHERE
+    COALESCE(p.searchable_text, '') <> ''
+    AND (
+      p.embedding IS NULL
+      OR p.embedding_model IS DISTINCT FROM current_model
+      OR p.content_hash IS DISTINCT FROM ENCODE(SHA256(CONVERT_TO(p.searchable_text, 'UTF8')), 'hex')
+    )
+  ORDER BY p.id
+  LIMIT max_count;
+$$;
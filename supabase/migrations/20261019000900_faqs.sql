@@ -0,0 +1,81 @@
+-- ===================================================================
+-- FAQ KNOWLEDGE BASE
+-- Company FAQ answers served by FAQService.searchFAQ (before the LLM).
+-- Previously a hardcoded array in src/services/faqService.js; now
+-- editable through /api/admin/faqs without a deploy. Only 'published'
+-- rows are served.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS faqs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  category VARCHAR(100) NOT NULL,
+  question TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  alt_phrases TEXT[] DEFAULT '{}',               -- Other ways users ask the same question
+  lang VARCHAR(5) NOT NULL DEFAULT 'mn',          -- 'mn' or 'en'
+  status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'archived')),
+  version INT NOT NULL DEFAULT 1,                -- Bumped on every content edit
+
+  -- Bookkeeping
+  source VARCHAR(20) DEFAULT 'manual',           -- 'seed' or 'manual'
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE (lang, question)
+);
+
+CREATE INDEX IF NOT EXISTS idx_faqs_published ON faqs(lang) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_faqs_category ON faqs(category);
+
+-- Version bump when the served content changes (status-only changes keep the version)
+CREATE OR REPLACE FUNCTION bump_faq_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.category, NEW.question, NEW.answer, NEW.alt_phrases, NEW.lang)
+     IS DISTINCT FROM (OLD.category, OLD.question, OLD.answer, OLD.alt_phrases, OLD.lang) THEN
+    NEW.version := OLD.version + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bump_faqs_version ON faqs;
+CREATE TRIGGER bump_faqs_version
+  BEFORE UPDATE ON faqs
+  FOR EACH ROW EXECUTE FUNCTION bump_faq_version();
+
+-- updated_at trigger (function from three_tier_architecture migration)
+DROP TRIGGER IF EXISTS update_faqs_updated_at ON faqs;
+CREATE TRIGGER update_faqs_updated_at
+  BEFORE UPDATE ON faqs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ===================================================================
+-- IMPORT: entries previously hardcoded in FAQService.faqData
+-- ===================================================================
+
+INSERT INTO faqs (category, question, answer, alt_phrases, lang, source) VALUES
+  ('Contact', 'What is your main contact email?', 'You can contact us at info@monostrade.mn', ARRAY['main email', 'contact email', 'how can I email you?']::TEXT[], 'en', 'seed'),
+  ('Холбоо барих', 'Танай имэйл хаяг юу вэ?', 'Та info@monostrade.mn хаягаар холбогдож болно.', ARRAY['имэйл', 'холбогдох имэйл', 'хаана хандъя']::TEXT[], 'mn', 'seed'),
+  ('Contact', 'What is your main phone number?', 'Our main phone number is +976 7766 6688', ARRAY['main phone', 'call number', 'how can I call you?']::TEXT[], 'en', 'seed'),
+  ('Холбоо барих', 'Танай утасны дугаар хэд вэ?', 'Манай холбогдох утасны дугаар +976 7766 6688.', ARRAY['холбогдох утас', 'дугаар', 'утас']::TEXT[], 'mn', 'seed'),
+  ('Contact', 'What is your office address?', 'Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 3-р хороо, Дунд гол гудамж, Монгол 99 төв, 7 давхар, 706 тоот', ARRAY['office location', 'where is your office', 'company address']::TEXT[], 'en', 'seed'),
+  ('Хаяг', 'Танай төв оффис хаана байдаг вэ?', 'Манай төв оффис: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 3-р хороо, Дунд гол гудамж, Монгол 99 төв, 7 давхар, 706 тоот.', ARRAY['байршил', 'компанийн хаяг', 'төв байр']::TEXT[], 'mn', 'seed'),
+  ('Warehouse', 'Where is your warehouse and logistics center?', 'Our warehouse and logistics center: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 20-р хороо, үйлдвэрийн баруун бүс, 44/17. Contact: +976 7777 7080, monostrade@monostrade.mn', ARRAY['warehouse address', 'logistics center', 'distribution hub']::TEXT[], 'en', 'seed'),
+  ('Агуулах', 'Агуулах, логистикийн төвийн хаяг хаана вэ?', 'Манай агуулах, логистикийн төв: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 20-р хороо, үйлдвэрийн баруун бүс, 44/17. Утас: +976 7777 7080, Имэйл: monostrade@monostrade.mn', ARRAY['агуулах хаана вэ', 'логистикийн төвийн хаяг', 'хүргэлтийн төв']::TEXT[], 'mn', 'seed'),
+  ('Partnership', 'Who do I contact for business collaboration?', 'For partnership inquiries, please contact saranchimeg@monostrade.mn or bdm1@monostrade.mn, phone: +976 9924 2297, +976 8800 7742', ARRAY['collaborate', 'partnership contact', 'business cooperation']::TEXT[], 'en', 'seed'),
+  ('Хамтын ажиллагаа', 'Хамтарч ажиллах талаар хэнтэй холбогдох вэ?', 'Хамтын ажиллагааны асуудлаар: saranchimeg@monostrade.mn, bdm1@monostrade.mn, утас: +976 9924 2297, +976 8800 7742', ARRAY['хамтрах', 'бизнесийн холбоо', 'бизнес хамтын ажиллагаа']::TEXT[], 'mn', 'seed'),
+  ('Safety', 'How do I report adverse drug reactions or product safety concerns?', 'Please contact registration@monostrade.mn for adverse drug reactions and product safety issues.', ARRAY['drug side effects', 'report safety issue', 'adverse reaction']::TEXT[], 'en', 'seed'),
+  ('Аюулгүй байдал', 'Эмийн гаж нөлөө эсвэл чанарын асуудлыг хаана мэдээлэх вэ?', 'Та registration@monostrade.mn хаягаар эмийн гаж нөлөө болон чанарын асуудлыг мэдээлж болно.', ARRAY['гэж нөлөө', 'чанар асуудал', 'аюулгүй байдал']::TEXT[], 'mn', 'seed'),
+  ('About', 'What is Monos Trade LLC?', 'Monos Trade LLC, founded in 2017, is a subsidiary of Monos Pharmtrade Group. We import and distribute high-quality medicines, medical devices, laboratory equipment, diagnostics, vaccines, and bioproducts to both public and private healthcare institutions.', ARRAY['tell me about Monos Trade', 'company info', 'what do you do']::TEXT[], 'en', 'seed'),
+  ('Бидний тухай', 'Монос Трейд ХХК гэж ямар компани вэ?', 'Монос Трейд ХХК нь Монос Фармтрейд группын охин компани бөгөөд 2017 онд байгуулагдсан. Бид эм, эмнэлгийн хэрэгсэл, тоног төхөөрөмж, оношлуур, вакцин, биобэлдмэл зэрэг өндөр чанартай бүтээгдэхүүнийг төрийн болон хувийн хэвшлийн эрүүл мэндийн байгууллагуудад импортлон түгээдэг.', ARRAY['компанийн тухай', 'Монос трейд гэж юу вэ', 'танай үйл ажиллагаа юу вэ']::TEXT[], 'mn', 'seed'),
+  ('Vision', 'What is your company vision?', 'Our vision is to reduce leading diseases and mortality in Mongolia, provide access to world-class treatment and diagnostics, introduce global healthcare standards locally, and be a leader in implementing international best practices.', ARRAY['mission', 'future goals', 'long term vision']::TEXT[], 'en', 'seed'),
+  ('Алсын хараа', 'Танай компанийн алсын хараа юу вэ?', 'Монгол хүний эрүүл мэндийг хамгаалж, дэлхийн шилдэг технологи, эмчилгээний стандартыг Монголдоо нэвтрүүлэн, өвчлөл болон нас баралтыг бууруулахад манлайлагч байна.', ARRAY['зорилго', 'байгууллагын алсын хараа', 'эрхэм зорилго']::TEXT[], 'mn', 'seed'),
+  ('Logistics', 'How big is your warehouse capacity?', 'Our warehouse size is 1248m², following standard MNS 5530:2014, with 14 employees and 4 distribution vehicles (3 normal, 1 refrigerated). We have 24 warehouses across Mongolia, covering all 21 provinces.', ARRAY['warehouse size', 'capacity', 'distribution vehicles']::TEXT[], 'en', 'seed'),
+  ('Агуулах', 'Танай агуулахын хэмжээ, хүчин чадал хэд вэ?', 'Манай агуулахын хэмжээ 1248м², MNS 5530:2014 стандартад нийцсэн. 14 ажилтантай, 4 түгээлтийн машинтай (3 энгийн, 1 хөргүүртэй). Улсын хэмжээнд нийт 24 агуулахтай, 21 аймгийг хамардаг.', ARRAY['агуулах хүчин чадал', 'логистик', 'түгээлтийн машин']::TEXT[], 'mn', 'seed'),
+  ('Partners', 'Which international companies do you work with?', 'We cooperate with 300+ global organizations from 40+ countries. Key partners include Roche, AstraZeneca, Novartis, Novo Nordisk, Bayer, Boehringer Ingelheim, Pfizer, and more.', ARRAY['partners', 'suppliers', 'international companies']::TEXT[], 'en', 'seed'),
+  ('Хамтрагч байгууллага', 'Танай хамтрагч байгууллагууд хэн бэ?', 'Манай компани дэлхийн 40 гаруй орны 300 гаруй байгууллага, Roche, AstraZeneca, Novartis, Novo Nordisk, Bayer, Boehringer Ingelheim, Pfizer зэрэг тэргүүлэгч эмийн үйлдвэрлэгчидтэй хамтран ажилладаг.', ARRAY['хамтрагчид', 'нийлүүлэгчид', 'олон улсын компани']::TEXT[], 'mn', 'seed')
+ON CONFLICT (lang, question) DO NOTHING;
@@ -0,0 +1,18 @@
+-- ===================================================================
+-- FAQ PHRASE EMBEDDINGS
+-- Purpose: One vector per FAQ question and alt phrase, so
+-- FAQService.searchFAQ can match paraphrases ("хаана байрладаг вэ")
+-- by cosine similarity. Filled by FAQService when FAQs load; rows for
+-- an FAQ are dropped whenever it is edited and re-embedded on reload.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS faq_embeddings (
+  faq_id UUID NOT NULL REFERENCES faqs(id) ON DELETE CASCADE,
+  phrase TEXT NOT NULL,                          -- Question or alt phrase, as stored on the FAQ
+  embedding_model VARCHAR(100) NOT NULL,         -- Provider model (vectors never mix across models)
+  embedding VECTOR(1536) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (faq_id, embedding_model, phrase)
+);
+
+CREATE INDEX IF NOT EXISTS idx_faq_embeddings_model ON faq_embeddings(embedding_model);
@@ -0,0 +1,38 @@
+-- ===================================================================
+-- RUSSIAN CONTENT
+-- Russian FAQ answers (picked when the message is detected as Russian)
+-- and Russian case forms / trade names in the drug lexicon, so
+-- "есть ли фолиевой кислоты" or "сумамед 500" find the right INN.
+-- ===================================================================
+
+-- Russian FAQ entries (same content as the mn/en seed rows)
+INSERT INTO faqs (category, question, answer, alt_phrases, lang, source) VALUES
+  ('Контакты', 'Какой у вас адрес электронной почты?', 'Вы можете написать нам на info@monostrade.mn.', ARRAY['электронная почта', 'ваш email', 'куда написать']::TEXT[], 'ru', 'seed'),
+  ('Контакты', 'Какой у вас номер телефона?', 'Наш основной номер телефона: +976 7766 6688.', ARRAY['номер телефона', 'телефон для связи', 'куда позвонить']::TEXT[], 'ru', 'seed'),
+  ('Адрес', 'Где находится ваш офис?', 'Наш главный офис: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 3-р хороо, Дунд гол гудамж, Монгол 99 төв, 7 давхар, 706 тоот (Монголия, Улан-Батор, район Баянгол, центр «Монгол 99», 7 этаж, офис 706).', ARRAY['адрес офиса', 'где вы находитесь', 'адрес компании']::TEXT[], 'ru', 'seed'),
+  ('Склад', 'Где находится ваш склад и логистический центр?', 'Наш склад и логистический центр: Монгол Улс, Улаанбаатар хот, Баянгол дүүрэг, 20-р хороо, үйлдвэрийн баруун бүс, 44/17. Телефон: +976 7777 7080, почта: monostrade@monostrade.mn', ARRAY['адрес склада', 'логистический центр', 'распределительный центр']::TEXT[], 'ru', 'seed'),
+  ('Сотрудничество', 'К кому обратиться по вопросам сотрудничества?', 'По вопросам сотрудничества: saranchimeg@monostrade.mn, bdm1@monostrade.mn, телефон: +976 9924 2297, +976 8800 7742', ARRAY['сотрудничество', 'стать партнером', 'деловое предложение']::TEXT[], 'ru', 'seed'),
+  ('Безопасность', 'Как сообщить о нежелательной реакции на препарат или о проблеме с качеством?', 'О нежелательных реакциях на препараты и проблемах с качеством сообщайте на registration@monostrade.mn.', ARRAY['нежелательная реакция', 'качество препарата', 'фармаконадзор']::TEXT[], 'ru', 'seed'),
+  ('О компании', 'Что такое Монос Трейд?', 'ООО «Монос Трейд» основано в 2017 году и входит в группу Monos Pharmtrade. Мы импортируем и поставляем лекарства, медицинские изделия, лабораторное оборудование, диагностику, вакцины и биопрепараты для государственных и частных медицинских учреждений.', ARRAY['о компании', 'чем вы занимаетесь', 'расскажите о компании']::TEXT[], 'ru', 'seed'),
+  ('Видение', 'Какое видение у вашей компании?', 'Наша цель - снизить заболеваемость и смертность в Монголии, обеспечить доступ к лечению и диагностике мирового уровня, внедрять мировые стандарты здравоохранения и быть лидером в применении лучших международных практик.', ARRAY['миссия компании', 'цели компании', 'видение компании']::TEXT[], 'ru', 'seed'),
+  ('Склад', 'Какова вместимость вашего склада?', 'Площадь нашего склада 1248 м², он соответствует стандарту MNS 5530:2014. 14 сотрудников и 4 машины для доставки (3 обычные, 1 рефрижератор). По всей Монголии у нас 24 склада, охватывающих все 21 аймак.', ARRAY['площадь склада', 'вместимость склада', 'машины доставки']::TEXT[], 'ru', 'seed'),
+  ('Партнеры', 'С какими международными компаниями вы работаете?', 'Мы сотрудничаем с более чем 300 организациями из 40+ стран, среди них Roche, AstraZeneca, Novartis, Novo Nordisk, Bayer, Boehringer Ingelheim, Pfizer и другие.', ARRAY['партнеры', 'поставщики', 'международные компании']::TEXT[], 'ru', 'seed')
+ON CONFLICT (lang, question) DO NOTHING;
+
+-- Russian spellings merged into existing lexicon rows (manual edits kept)
+UPDATE drug_lexicon AS d
+SET
+  variants = ARRAY(SELECT DISTINCT unnest(d.variants || r.variants)),
+  misspellings = ARRAY(SELECT DISTINCT unnest(d.misspellings || r.misspellings)),
+  brands = ARRAY(SELECT DISTINCT unnest(d.brands || r.brands))
+FROM (VALUES
+  ('парацетамол', ARRAY[]::TEXT[], ARRAY['парацитамол']::TEXT[], ARRAY['эффералган']::TEXT[]),
+  ('аспирин', ARRAY['ацетилсалициловой', 'ацетилсалициловую']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[]),
+  ('амоксициллин', ARRAY[]::TEXT[], ARRAY['амоксицилин']::TEXT[], ARRAY[]::TEXT[]),
+  ('азитромицин', ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['сумамед']::TEXT[]),
+  ('диклофенак', ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['вольтарен']::TEXT[]),
+  ('кетопрофен', ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['кетонал']::TEXT[]),
+  ('метоклопрамид', ARRAY[]::TEXT[], ARRAY[]::TEXT[], ARRAY['церукал']::TEXT[]),
+  ('фолийн хүчил', ARRAY['фолиевой кислоты', 'фолиевую кислоту']::TEXT[], ARRAY[]::TEXT[], ARRAY[]::TEXT[])
+) AS r(canonical, variants, misspellings, brands)
+WHERE d.canonical = r.canonical;
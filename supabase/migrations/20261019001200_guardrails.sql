@@ -0,0 +1,105 @@
+-- ===================================================================
+-- GUARDRAIL POLICY
+-- Declarative safety rules evaluated by GuardrailService on every chat
+-- message (stage 'input') and every LLM reply (stage 'output'), plus an
+-- audit log of every trigger. Replaces the hardcoded forbiddenTopics
+-- lists in FAQService; editable through /api/admin/guardrails.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS guardrail_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL UNIQUE,             -- Stable identifier (lowercase_snake)
+  category VARCHAR(50) NOT NULL,                 -- Reported as topicType: medical_advice, general_topics, ...
+  description TEXT,
+  rule_type VARCHAR(20) NOT NULL
+    CHECK (rule_type IN ('token', 'regex', 'semantic')),
+  patterns TEXT[] NOT NULL,                      -- Token terms ("stem*"), regex sources or semantic examples
+  exceptions TEXT[] DEFAULT '{}',                -- Token terms that suppress the rule
+  threshold REAL CHECK (threshold IS NULL OR (threshold > 0 AND threshold <= 1)),  -- Semantic cosine cut-off
+  stage VARCHAR(10) NOT NULL DEFAULT 'input'
+    CHECK (stage IN ('input', 'output', 'both')),
+  action VARCHAR(20) NOT NULL
+    CHECK (action IN ('block', 'redirect', 'escalate', 'warn')),
+  severity VARCHAR(10) NOT NULL DEFAULT 'medium'
+    CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  priority INT NOT NULL DEFAULT 100,             -- Lower runs first; first non-warn trigger decides
+  responses JSONB DEFAULT '{}',                  -- Reply per language: {"mn": ..., "en": ..., "ru": ...}
+  is_active BOOLEAN DEFAULT TRUE,
+
+  -- Bookkeeping
+  source VARCHAR(20) DEFAULT 'manual',           -- 'seed' or 'manual'
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (cardinality(patterns) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guardrail_rules_active ON guardrail_rules(priority) WHERE is_active = TRUE;
+
+-- updated_at trigger (function from three_tier_architecture migration)
+DROP TRIGGER IF EXISTS update_guardrail_rules_updated_at ON guardrail_rules;
+CREATE TRIGGER update_guardrail_rules_updated_at
+  BEFORE UPDATE ON guardrail_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per trigger (warn included); escalations are the staff review queue
+CREATE TABLE IF NOT EXISTS guardrail_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rule_id UUID REFERENCES guardrail_rules(id) ON DELETE SET NULL,  -- NULL for built-in defaults
+  rule_name VARCHAR(100) NOT NULL,
+  category VARCHAR(50),
+  stage VARCHAR(10) NOT NULL CHECK (stage IN ('input', 'output')),
+  action VARCHAR(20) NOT NULL,
+  severity VARCHAR(10),
+  matched TEXT,                                  -- Term, regex match or closest example
+  similarity REAL,                               -- Semantic rules only
+  excerpt TEXT,                                  -- Start of the checked message or reply
+  language VARCHAR(5),
+  channel VARCHAR(20),                           -- chat, chat_stream, v2, v2_stream
+  session_id VARCHAR(100),
+  user_id VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guardrail_events_created ON guardrail_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_guardrail_events_rule ON guardrail_events(rule_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_guardrail_events_escalations ON guardrail_events(created_at) WHERE action = 'escalate';
+
+-- ===================================================================
+-- SEED: former FAQService.forbiddenTopics lists plus output checks
+-- (same as GuardrailService.defaultRules)
+-- ===================================================================
+
+INSERT INTO guardrail_rules (name, category, description, rule_type,
+  patterns,
+  exceptions, threshold, stage, action, severity, priority,
+  responses, source) VALUES
+  ('self_harm', 'self_harm', 'Self-harm or suicide intent - answer with emergency contacts and flag for staff', 'token',
+   ARRAY['амиа хорло*', 'амиа егүүтгэ*', 'suicid*', 'kill myself', 'end my life', 'покончить с собой', 'суицид*']::TEXT[],
+   ARRAY[]::TEXT[], NULL, 'input', 'escalate', 'critical', 10,
+   '{"mn": "Таны аюулгүй байдал хамгийн чухал. Яаралтай тусламж хэрэгтэй бол 103 дугаарт залгана уу. Манай ажилтан тантай удахгүй холбогдоно.", "en": "Your safety matters most. If you need urgent help, please call the emergency line 103. A member of our staff will follow up with you.", "ru": "Ваша безопасность важнее всего. Если вам нужна срочная помощь, позвоните по номеру 103. Наш сотрудник свяжется с вами."}'::JSONB, 'seed'),
+  ('medical_advice', 'medical_advice', 'Requests for diagnosis, dosing or treatment advice', 'token',
+   ARRAY['what medicine', 'recommend prescription', 'can you recommend', 'side effect*', 'drug interaction*', 'medical advice', 'diagnos*', 'treatment*', 'symptom*', 'what should i take', 'medicine for', 'drug for', 'cure for', 'treat my', 'help with pain', 'prescribe*', 'medication*', 'pills for', 'therap*', 'remed*', 'recommend a prescription', 'эм санал болго*', 'эмчилгээ*', 'гаж нөлөө*', 'тун хэмжээ*', 'оношлуур*', 'шинж тэмдэг*', 'өвдөж байна', 'эм авах', 'эмчид хандах', 'эмийн зааварчилгаа*', 'какое лекарство', 'что принять', 'что выпить', 'посоветуйте', 'побочные эффекты', 'побочное действие', 'взаимодейств*', 'дозировк*', 'как принимать', 'диагноз*', 'лечени*', 'симптом*', 'болит', 'назначьте']::TEXT[],
+   ARRAY['мэдээлэх', 'мэдэгдэх', 'report*', 'сообщить']::TEXT[], NULL, 'input', 'redirect', 'high', 20,
+   '{"mn": "Уучлаарай, би эмчилгээний зөвлөгөө өгөх боломжгүй. Та эмчид хандана уу.", "en": "I cannot provide medical advice, prescriptions, or health consultations. Please consult with a qualified healthcare professional or doctor.", "ru": "К сожалению, я не могу давать медицинские консультации и назначать лечение. Пожалуйста, обратитесь к врачу."}'::JSONB, 'seed'),
+  ('medical_advice_paraphrase', 'medical_advice', 'Advice requests worded without any listed term', 'semantic',
+   ARRAY['which pill should I take for my headache', 'толгой өвдөөд байна юу уух вэ', 'что мне пить от температуры']::TEXT[],
+   ARRAY['мэдээлэх', 'мэдэгдэх', 'report*', 'сообщить']::TEXT[], 0.85, 'input', 'redirect', 'high', 25,
+   '{"mn": "Уучлаарай, би эмчилгээний зөвлөгөө өгөх боломжгүй. Та эмчид хандана уу.", "en": "I cannot provide medical advice, prescriptions, or health consultations. Please consult with a qualified healthcare professional or doctor.", "ru": "К сожалению, я не могу давать медицинские консультации и назначать лечение. Пожалуйста, обратитесь к врачу."}'::JSONB, 'seed'),
+  ('competitors', 'competitors', 'Questions about other pharmacies and suppliers', 'token',
+   ARRAY['other pharmac*', 'бусад эмийн сан*', 'competitor*', 'өрсөлдөгч*', 'alternative supplier*', 'өөр нийлүүлэгч*', 'different company', 'өөр компани*', 'другая аптека', 'другой аптек*', 'других аптек', 'конкурент*', 'другой поставщик*', 'другая компания', 'другой компании']::TEXT[],
+   ARRAY[]::TEXT[], NULL, 'input', 'redirect', 'medium', 30,
+   '{"mn": "Би зөвхөн Монос Трейд ХХК-ийн үйлчилгээний талаар мэдээлэл өгч чадна. Бусад асуудлаар +976 7766 6688 руу холбогдоно уу.", "en": "I can only provide information about Monos Trade LLC services. For general inquiries, please contact +976 7766 6688.", "ru": "Я могу рассказать только об услугах компании «Монос Трейд». По остальным вопросам звоните: +976 7766 6688."}'::JSONB, 'seed'),
+  ('general_topics', 'general_topics', 'Topics unrelated to the company (weather, politics, news, ...)', 'token',
+   ARRAY['weather', 'цаг агаар*', 'politic*', 'улс төр*', 'sport*', 'спорт*', 'news', 'мэдээ', 'entertainment', 'зугаа цэнгэл*', 'cooking', 'хоол', 'хоолны', 'travel*', 'аялал*', 'personal problems', 'хувийн асуудал*', 'what''s happening', 'юу болж байна', 'current events', 'сонин мэдээ', 'погод*', 'политик*', 'новост*', 'развлечени*', 'кулинар*', 'путешестви*', 'личные проблемы', 'что происходит']::TEXT[],
+   ARRAY[]::TEXT[], NULL, 'input', 'redirect', 'medium', 40,
+   '{"mn": "Би зөвхөн Монос Трейд ХХК-ийн үйл ажиллагаа болон бүтээгдэхүүний талаар мэдээлэл өгнө. Харилцагчийн үйлчилгээтэй холбогдоно уу: +976 7766 6688", "en": "I can only provide information about Monos Trade LLC. For other topics, please contact our customer service at +976 7766 6688.", "ru": "Я могу отвечать только на вопросы о компании «Монос Трейд» и её продукции. По другим вопросам обратитесь в службу поддержки: +976 7766 6688"}'::JSONB, 'seed'),
+  ('output_dosing_instructions', 'medical_advice', 'AI reply tells the customer how much or how often to take a drug', 'regex',
+   ARRAY['\d+(?:[.,]\d+)?\s*(?:мг|mg|мл|ml)[^.\n]{0,30}(?:өдөрт|хоногт|per day|a day|daily|в день|в сутки)', '(?:өдөрт|хоногт|per day|a day|в день|в сутки)\s*\d+\s*(?:удаа|times|раз)']::TEXT[],
+   ARRAY[]::TEXT[], NULL, 'output', 'block', 'high', 50,
+   '{"mn": "Уучлаарай, эм хэрэглэх тун, давтамжийн талаар зөвхөн эмч зөвлөнө. Та эмчид хандана уу.", "en": "Sorry, only a doctor can advise on how much or how often to take a medicine. Please consult your doctor.", "ru": "К сожалению, дозировку и режим приёма может назначить только врач. Пожалуйста, обратитесь к врачу."}'::JSONB, 'seed'),
+  ('output_exact_stock', 'data_exposure', 'AI reply shows an exact stock count instead of a range', 'regex',
+   ARRAY['(?:нөөц|үлдэгдэл|stock|в наличии)\s*:?\s*\d+\s*(?:ширхэг|ш\b|pcs|units|шт)']::TEXT[],
+   ARRAY[]::TEXT[], NULL, 'output', 'warn', 'low', 60,
+   '{}'::JSONB, 'seed')
+ON CONFLICT (name) DO NOTHING;
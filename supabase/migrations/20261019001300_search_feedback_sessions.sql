@@ -0,0 +1,58 @@
+-- ===================================================================
+-- SEARCH BOOSTS PER SESSION
+-- Purpose: Stop one client from buying a ranking boost by repeating
+-- feedback. refresh_search_term_boosts() now counts each session once
+-- per (term, product), at its strongest event, and keeps only pairs
+-- chosen in at least min_events distinct sessions. Feedback without a
+-- session_id is kept for analysis but never boosts.
+-- ===================================================================
+
+CREATE INDEX IF NOT EXISTS idx_search_feedback_session ON search_feedback(session_id);
+
+CREATE OR REPLACE FUNCTION refresh_search_term_boosts(
+  window_days INT DEFAULT 90,
+  half_life_days FLOAT DEFAULT 30,
+  max_boost FLOAT DEFAULT 0.15,
+  smoothing FLOAT DEFAULT 5,
+  min_events INT DEFAULT 2
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  refreshed INT;
+BEGIN
+  DELETE FROM search_term_boosts;
+
+  INSERT INTO search_term_boosts (term, product_id, boost, weight, events, updated_at)
+  SELECT
+    s.term,
+    s.product_id,
+    (max_boost * SUM(s.weight) / (SUM(s.weight) + smoothing))::REAL,
+    SUM(s.weight)::REAL,
+    SUM(s.events)::INT,
+    NOW()
+  FROM (
+    -- One row per (term, product, session): its strongest decayed event
+    SELECT
+      t.term,
+      f.product_id,
+      f.session_id,
+      MAX(
+        (CASE f.action WHEN 'order' THEN 5 WHEN 'select' THEN 2 ELSE 1 END)
+        * POWER(0.5, EXTRACT(EPOCH FROM (NOW() - f.created_at)) / 86400 / half_life_days)
+      ) AS weight,
+      COUNT(*) AS events
+    FROM search_feedback f
+    CROSS JOIN LATERAL UNNEST(f.terms) AS t(term)
+    WHERE f.created_at > NOW() - MAKE_INTERVAL(days => window_days)
+      AND f.session_id IS NOT NULL
+    GROUP BY t.term, f.product_id, f.session_id
+  ) s
+  GROUP BY s.term, s.product_id
+  HAVING COUNT(DISTINCT s.session_id) >= min_events;
+
+  GET DIAGNOSTICS refreshed = ROW_COUNT;
+  RETURN refreshed;
+END;
+$$;
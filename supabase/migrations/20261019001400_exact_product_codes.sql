@@ -0,0 +1,114 @@
+-- ===================================================================
+-- EXACT PRODUCT CODES
+-- Purpose: keyword_search_products split the query on every non-alnum
+-- character, so hyphenated ERP codes ("MNS-00123") never matched
+-- exactly. Codes are now compared as whole whitespace-separated tokens.
+-- find_products_by_code backs /api/products/lookup: a bound parameter
+-- compared with LOWER(code) (no ilike wildcards, uses the indexes).
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION keyword_search_products(
+  query_text TEXT,
+  match_count INT DEFAULT 20,
+  filter_category VARCHAR DEFAULT NULL
+)
+RETURNS TABLE (
+  id VARCHAR,
+  name TEXT,
+  generic_name TEXT,
+  category VARCHAR,
+  manufacturer VARCHAR,
+  is_prescription BOOLEAN,
+  volume VARCHAR,
+  form VARCHAR,
+  strength_value NUMERIC,
+  strength_unit VARCHAR,
+  concentration_value NUMERIC,
+  concentration_unit VARCHAR,
+  pack_count INT,
+  keyword_score REAL
+)
+LANGUAGE plpgsql STABLE
+AS $$
+DECLARE
+  normalized TEXT := LOWER(TRIM(query_text));
+  words TEXT[];
+  codes TEXT[];
+  ts_query TSQUERY;
+BEGIN
+  SELECT ARRAY_AGG(DISTINCT w)
+  INTO words
+  FROM REGEXP_SPLIT_TO_TABLE(normalized, '[^[:alnum:]]+') AS w
+  WHERE LENGTH(w) >= 2;
+
+  IF words IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Codes keep inner punctuation ("mns-00123", "a10/234"); only outer punctuation is trimmed
+  SELECT ARRAY_AGG(DISTINCT c)
+  INTO codes
+  FROM (
+    SELECT REGEXP_REPLACE(t, '^[^[:alnum:]]+|[^[:alnum:]]+$', '', 'g') AS c
+    FROM REGEXP_SPLIT_TO_TABLE(normalized, '\s+') AS t
+  ) AS tokens
+  WHERE LENGTH(c) >= 2;
+
+  -- Prefix match on every word, any word may match: 'нурофен':* | '200':*
+  SELECT TO_TSQUERY('simple', STRING_AGG(QUOTE_LITERAL(w) || ':*', ' | '))
+  INTO ts_query
+  FROM UNNEST(words) AS w;
+
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.name,
+    p.generic_name,
+    p.category,
+    p.manufacturer,
+    p.is_prescription,
+    p.volume,
+    p.form,
+    p.strength_value,
+    p.strength_unit,
+    p.concentration_value,
+    p.concentration_unit,
+    p.pack_count,
+    (
+      CASE WHEN p.barcode = ANY(codes) OR LOWER(p.erp_code) = ANY(codes) OR LOWER(p.internal_code) = ANY(codes)
+        THEN 10 ELSE 0 END
+      + TS_RANK_CD(p.search_tsv, ts_query)
+      + WORD_SIMILARITY(normalized, LOWER(p.name))
+    )::REAL AS keyword_score
+  FROM products p
+  WHERE
+    (filter_category IS NULL OR p.category = filter_category)
+    AND (
+      p.barcode = ANY(codes)
+      OR LOWER(p.erp_code) = ANY(codes)
+      OR LOWER(p.internal_code) = ANY(codes)
+      OR p.search_tsv @@ ts_query
+    )
+  ORDER BY keyword_score DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- ===================================================================
+-- CODE LOOKUP
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION find_products_by_code(
+  code TEXT,
+  match_count INT DEFAULT 10
+)
+RETURNS SETOF products
+LANGUAGE sql STABLE
+AS $$
+  SELECT p.*
+  FROM products p
+  WHERE p.barcode = TRIM(code)
+    OR LOWER(p.erp_code) = LOWER(TRIM(code))
+    OR LOWER(p.internal_code) = LOWER(TRIM(code))
+  LIMIT match_count;
+$$;
@@ -0,0 +1,61 @@
+-- ===================================================================
+-- SEARCH BOOSTS PER CLIENT
+-- Purpose: session_id comes from the request body, so one client could
+-- send a new one with every event and count as many "sessions".
+-- Distinct choosers are now counted by client_key, which the server
+-- derives (the authenticated user, else a hash of the client IP).
+-- session_id is still stored for analysis. Feedback without a
+-- client_key is kept but never boosts.
+-- ===================================================================
+
+ALTER TABLE search_feedback ADD COLUMN IF NOT EXISTS client_key VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_search_feedback_client_key ON search_feedback(client_key);
+
+CREATE OR REPLACE FUNCTION refresh_search_term_boosts(
+  window_days INT DEFAULT 90,
+  half_life_days FLOAT DEFAULT 30,
+  max_boost FLOAT DEFAULT 0.15,
+  smoothing FLOAT DEFAULT 5,
+  min_events INT DEFAULT 2
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  refreshed INT;
+BEGIN
+  DELETE FROM search_term_boosts;
+
+  INSERT INTO search_term_boosts (term, product_id, boost, weight, events, updated_at)
+  SELECT
+    s.term,
+    s.product_id,
+    (max_boost * SUM(s.weight) / (SUM(s.weight) + smoothing))::REAL,
+    SUM(s.weight)::REAL,
+    SUM(s.events)::INT,
+    NOW()
+  FROM (
+    -- One row per (term, product, client): its strongest decayed event
+    SELECT
+      t.term,
+      f.product_id,
+      f.client_key,
+      MAX(
+        (CASE f.action WHEN 'order' THEN 5 WHEN 'select' THEN 2 ELSE 1 END)
+        * POWER(0.5, EXTRACT(EPOCH FROM (NOW() - f.created_at)) / 86400 / half_life_days)
+      ) AS weight,
+      COUNT(*) AS events
+    FROM search_feedback f
+    CROSS JOIN LATERAL UNNEST(f.terms) AS t(term)
+    WHERE f.created_at > NOW() - MAKE_INTERVAL(days => window_days)
+      AND f.client_key IS NOT NULL
+    GROUP BY t.term, f.product_id, f.client_key
+  ) s
+  GROUP BY s.term, s.product_id
+  HAVING COUNT(DISTINCT s.client_key) >= min_events;
+
+  GET DIAGNOSTICS refreshed = ROW_COUNT;
+  RETURN refreshed;
+END;
+$$;
@@ -0,0 +1,30 @@
+-- ===================================================================
+-- EMBEDDING CACHE LAST USE
+-- Purpose: cleanup_embedding_cache deleted rows by created_at, so the
+-- most frequent queries were dropped after 30 days like any other.
+-- Rows now record when they were last read, and cleanup removes only
+-- entries unused for max_age_days.
+-- ===================================================================
+
+-- Existing rows start from their creation time
+ALTER TABLE embedding_cache ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+UPDATE embedding_cache SET last_used_at = COALESCE(created_at, NOW()) WHERE last_used_at IS NULL;
+ALTER TABLE embedding_cache ALTER COLUMN last_used_at SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
+DROP INDEX IF EXISTS idx_embedding_cache_created;
+
+CREATE OR REPLACE FUNCTION cleanup_embedding_cache(max_age_days INT DEFAULT 30)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted_count INT;
+BEGIN
+  DELETE FROM embedding_cache
+  WHERE last_used_at < NOW() - MAKE_INTERVAL(days => max_age_days);
+
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$;
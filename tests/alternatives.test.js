@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+import { AlternativesService } from '../src/services/alternativesService.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+import { ProductSearchService } from '../src/services/productSearchService.js';
+
+const product = (id, name, genericName) => ({ id, name, generic_name: genericName, available: 20, is_active: true });
+
+describe('AlternativesService', () => {
+  beforeAll(() => {
+    DrugLexiconService.useBuiltIn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['Витамин D3 1000МЕ', ['витамин d3']],
+    ['Витамин C 500мг', ['витамин c']],
+    ['Витамин B12 (цианокобаламин)', ['витамин b12']],
+    ['Парацетамол + Кофеин 500мг', ['кофеин', 'парацетамол']],
+    ['Paracetamol 500mg', ['парацетамол']]
+  ])('getINNs(%j)', (genericName, expected) => {
+    expect(AlternativesService.getINNs({ generic_name: genericName })).toEqual(expected);
+  });
+
+  test('does not offer a different vitamin as the same active ingredient', async () => {
+    const d3 = product('d3', 'Вигантол 1000МЕ', 'Витамин D3 1000МЕ');
+
+    jest.spyOn(AlternativesService, 'fetchCandidates').mockResolvedValue([
+      product('d3-drops', 'Аквадетрим дусал', 'Витамин D3 500МЕ'),
+      product('c', 'Аскорбин 500мг', 'Витамин C 500мг')
+    ]);
+    jest.spyOn(ProductSearchService, 'enrichWithInventory').mockImplementation(async rows => rows);
+
+    const alternatives = await AlternativesService.findForProduct(d3);
+
+    expect(alternatives.map(alternative => alternative.id)).toEqual(['d3-drops']);
+  });
+});
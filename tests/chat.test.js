@@ -0,0 +1,257 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { MockChatProvider, setChatProvider } from '../src/config/chatProvider.js';
+import { ConversationService } from '../src/services/conversationService.js';
+import { ProductSearchService } from '../src/services/productSearchService.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+import { GuardrailService } from '../src/services/guardrailService.js';
+import FAQService from '../src/services/faqService.js';
+import { loadSeedFaqs } from '../scripts/faq-seed.js';
+
+const PARACETAMOL = {
+  id: 'prod-1',
+  name: 'Парацетамол 500мг №10',
+  genericName: 'парацетамол',
+  category: 'Өвдөлт намдаагч',
+  price: 1500,
+  stock: 120,
+  available: 120,
+  isPrescription: false,
+  relevanceScore: 0.92
+};
+
+/**
+ * Parse a Server-Sent Events body into its JSON payloads
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('data: '))
+    .map(block => JSON.parse(block.slice('data: '.length)));
+}
+
+describe('chat endpoints (MockChatProvider)', () => {
+  let app;
+  let provider;
+
+  beforeAll(async () => {
+    DrugLexiconService.useBuiltIn();
+    FAQService.useBuiltIn(await loadSeedFaqs());
+    GuardrailService.useBuiltIn();
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    provider = MockChatProvider.fromFile();
+    setChatProvider(provider);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(ProductSearchService, 'search').mockResolvedValue({ products: [] });
+    jest.spyOn(ConversationService, 'getOrCreate').mockResolvedValue({ id: 'conv-1', context: {} });
+    jest.spyOn(ConversationService, 'getHistory').mockResolvedValue([]);
+    jest.spyOn(ConversationService, 'addMessage').mockResolvedValue([]);
+    jest.spyOn(ConversationService, 'updateContext').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/chat', () => {
+    test('answers questions outside the FAQ with the restricted AI', async () => {
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Та ямар цагаар ажилладаг бэ, амралтын өдөр ажиллах уу' })
+        .expect(200);
+
+      expect(res.body.metadata.source).toBe('ai_restricted');
+      expect(res.body.reply).toMatch(/Эмийн сангийн ажилтантай/);
+      expect(res.body.metadata.language).toBe('mn');
+
+      // Restricted AI gets no tools and the language instruction
+      expect(provider.calls).toHaveLength(1);
+      expect(provider.calls[0].tools).toBeUndefined();
+      expect(provider.calls[0].messages[0].content).toMatch(/Response Language/);
+    });
+
+    test('answers product queries from search without calling the model', async () => {
+      ProductSearchService.search.mockResolvedValue({ products: [PARACETAMOL] });
+
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'парацетамол байгаа юу?' })
+        .expect(200);
+
+      expect(res.body.metadata.source).toBe('product_search');
+      expect(res.body.reply).toMatch(/Парацетамол 500мг №10/);
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    test.each([
+      'парацетамол эм авах боломжтой юу',
+      'Do you have paracetamol medication in stock?'
+    ])('searches stock queries that contain medical-advice terms: %s', async (message) => {
+      ProductSearchService.search.mockResolvedValue({ products: [PARACETAMOL] });
+
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message })
+        .expect(200);
+
+      expect(res.body.metadata.source).toBe('product_search');
+    });
+
+    test('redirects such a query when the search finds nothing', async () => {
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'парацетамол эм авах боломжтой юу' })
+        .expect(200);
+
+      expect(res.body.metadata.source).toBe('forbidden_topic_blocked');
+      expect(res.body.metadata.topicType).toBe('medical_advice');
+    });
+
+    test('rejects a missing message', async () => {
+      await request(app).post('/api/chat').send({}).expect(400);
+    });
+  });
+
+  describe('POST /api/chat/stream', () => {
+    test('streams restricted AI tokens and ends with complete', async () => {
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'Та ямар цагаар ажилладаг бэ, амралтын өдөр ажиллах уу' })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      const content = events.filter(event => event.type === 'content').map(event => event.content).join('');
+      const complete = events[events.length - 1];
+
+      expect(content).toMatch(/Эмийн сангийн ажилтантай/);
+      expect(complete.type).toBe('complete');
+      expect(complete.metadata.source).toBe('ai_restricted');
+    });
+
+    test('sends product results as one result event', async () => {
+      ProductSearchService.search.mockResolvedValue({ products: [PARACETAMOL] });
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'парацетамол байгаа юу?' })
+        .expect(200);
+
+      const [result, complete] = parseEvents(res.text);
+
+      expect(result.type).toBe('result');
+      expect(result.source).toBe('product_search');
+      expect(result.products).toHaveLength(1);
+      expect(complete.type).toBe('complete');
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    test('searches a stock query that contains "эм авах"', async () => {
+      ProductSearchService.search.mockResolvedValue({ products: [PARACETAMOL] });
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'ибупрофен 400мг эм авах' })
+        .expect(200);
+
+      const [result] = parseEvents(res.text);
+
+      expect(result.source).toBe('product_search');
+    });
+  });
+
+  describe('output guardrails on streams', () => {
+    const DOSING_REPLY = 'Сайн байна уу. Take 500 mg twice a day. Эмчид хандаарай.';
+
+    test('/api/chat/stream never sends a blocked sentence', async () => {
+      provider.enqueue({ content: DOSING_REPLY });
+
+      const res = await request(app)
+        .post('/api/chat/stream')
+        .send({ message: 'Та ямар цагаар ажилладаг бэ, амралтын өдөр ажиллах уу' })
+        .expect(200);
+
+      const events = parseEvents(res.text);
+      const streamed = events.filter(event => event.type === 'content').map(event => event.content).join('');
+      const replace = events.find(event => event.type === 'replace');
+
+      expect(streamed).toBe('Сайн байна уу.');
+      expect(replace.guardrail.rule).toBe('output_dosing_instructions');
+      expect(replace.content).not.toMatch(/twice/);
+      expect(events[events.length - 1].metadata.guardrail.action).toBe('block');
+    });
+
+    test('/api/v2/chat/stream screens first-round text and skips tools once blocked', async () => {
+      provider.enqueue({
+        content: 'Take 500 mg twice a day. ',
+        tool_calls: [{ name: 'searchItems', arguments: { query: 'парацетамол' } }]
+      });
+
+      const res = await request(app)
+        .post('/api/v2/chat/stream')
+        .send({ message: 'Сайн байна уу, туслаач' })
+        .expect(200);
+
+      const events = parseEvents(res.text);
+      const streamed = events.filter(event => event.type === 'content').map(event => event.content).join('');
+
+      expect(streamed).not.toMatch(/twice/);
+      expect(events.find(event => event.type === 'replace')).toBeDefined();
+      expect(events.find(event => event.type === 'functions_executed')).toBeUndefined();
+      expect(provider.calls).toHaveLength(1);
+
+      const saved = ConversationService.addMessage.mock.calls.find(call => call[1] === 'assistant');
+      expect(saved[2]).not.toMatch(/twice/);
+    });
+
+    test('/api/v2/chat/stream keeps both rounds of a safe tool-call reply', async () => {
+      provider.enqueue(
+        { content: 'Шалгаж байна. ', tool_calls: [{ name: 'searchItems', arguments: { query: 'парацетамол' } }] },
+        { content: 'Парацетамол байна.' }
+      );
+
+      const res = await request(app)
+        .post('/api/v2/chat/stream')
+        .send({ message: 'Сайн байна уу, туслаач' })
+        .expect(200);
+
+      const events = parseEvents(res.text);
+      const streamed = events.filter(event => event.type === 'content').map(event => event.content).join('');
+
+      expect(streamed).toBe('Шалгаж байна. Парацетамол байна.');
+      expect(events.find(event => event.type === 'replace')).toBeUndefined();
+
+      const saved = ConversationService.addMessage.mock.calls.find(call => call[1] === 'assistant');
+      expect(saved[2]).toBe('Шалгаж байна. Парацетамол байна.');
+    });
+  });
+
+  describe('POST /api/v2/chat', () => {
+    test('runs a tool call round trip through FunctionExecutor', async () => {
+      ProductSearchService.search.mockResolvedValue({ products: [PARACETAMOL] });
+
+      const res = await request(app)
+        .post('/api/v2/chat')
+        .send({ message: 'парацетамол байгаа юу?', sessionId: 'sess_1760000000000_abc123def456' })
+        .expect(200);
+
+      expect(res.body.reply).toBe('Парацетамол манай салбарт байна. Хэдэн ширхэг авах вэ?');
+      expect(res.body.metadata.functionsExecuted).toEqual([{ name: 'searchItems', success: true }]);
+
+      // First call offers tools and gets a searchItems call back; the second carries its result
+      expect(provider.calls).toHaveLength(2);
+      expect(provider.calls[0].tools.length).toBeGreaterThan(0);
+
+      const toolMessage = provider.calls[1].messages.find(message => message.role === 'tool');
+      const toolResult = JSON.parse(toolMessage.content);
+      expect(toolResult.success).toBe(true);
+      expect(toolResult.result.items[0].name).toBe('Парацетамол 500мг №10');
+    });
+  });
+});
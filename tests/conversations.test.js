@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { supabase } from '../src/config/database.js';
+import { MockChatProvider, setChatProvider } from '../src/config/chatProvider.js';
+import { ProductSearchService } from '../src/services/productSearchService.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+import { GuardrailService } from '../src/services/guardrailService.js';
+import FAQService from '../src/services/faqService.js';
+
+const SESSION_ID = 'sess_1760000000000_abc123def456';
+
+/**
+ * In-memory `conversations` table covering the PostgREST calls ConversationService makes
+ */
+function fakeConversations() {
+  const rows = [];
+
+  const query = (action, payload = null) => {
+    const filters = [];
+    const matching = () => rows.filter(row => filters.every(([column, value]) => row[column] === value));
+
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        filters.push([column, value]);
+        return builder;
+      },
+      order: () => builder,
+      limit: () => builder,
+      single: async () => {
+        if (action === 'insert') return { data: rows[rows.length - 1], error: null };
+        const [row] = matching();
+        return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116', message: 'No rows' } };
+      },
+      then: (resolve, reject) => {
+        if (action === 'update') matching().forEach(row => Object.assign(row, payload));
+        return Promise.resolve({ data: action === 'select' ? matching() : null, error: null }).then(resolve, reject);
+      }
+    };
+
+    if (action === 'insert') {
+      rows.push({ id: `conv-${rows.length + 1}`, last_activity: new Date().toISOString(), ...payload });
+    }
+
+    return builder;
+  };
+
+  return {
+    rows,
+    from: () => ({
+      select: () => query('select'),
+      update: payload => query('update', payload),
+      insert: payload => query('insert', payload)
+    })
+  };
+}
+
+describe('anonymous /api/v2 conversations', () => {
+  let app;
+  let provider;
+  let table;
+
+  beforeAll(() => {
+    DrugLexiconService.useBuiltIn();
+    FAQService.useBuiltIn();
+    GuardrailService.useBuiltIn();
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    provider = new MockChatProvider();
+    setChatProvider(provider);
+    table = fakeConversations();
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(ProductSearchService, 'search').mockResolvedValue({ products: [] });
+    jest.spyOn(supabase, 'from').mockImplementation(name => table.from(name));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps one conversation per client session across turns', async () => {
+    provider.enqueue({ content: 'Сайн байна уу! Юугаар туслах вэ?' }, { content: 'Бид 09:00-21:00 цагт ажилладаг.' });
+
+    await request(app)
+      .post('/api/v2/chat')
+      .send({ message: 'Сайн байна уу', sessionId: SESSION_ID })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v2/chat')
+      .send({ message: 'Та ямар цагаар ажилладаг вэ', sessionId: SESSION_ID })
+      .expect(200);
+
+    expect(table.rows).toHaveLength(1);
+    expect(table.rows[0].user_id).toBe(`anonymous_${SESSION_ID}`);
+
+    // The second turn carries the first one as history
+    const secondCall = provider.calls[provider.calls.length - 1];
+    expect(secondCall.messages.map(message => message.content)).toEqual(expect.arrayContaining([
+      'Сайн байна уу',
+      'Сайн байна уу! Юугаар туслах вэ?'
+    ]));
+
+    const history = await request(app)
+      .get(`/api/v2/conversations/${SESSION_ID}`)
+      .expect(200);
+
+    expect(history.body.conversationId).toBe(table.rows[0].id);
+    expect(history.body.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+  });
+});
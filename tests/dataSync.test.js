@@ -0,0 +1,38 @@
+import { jest } from '@jest/globals';
+import { supabase } from '../src/config/database.js';
+import { DataSyncService } from '../src/services/dataSyncService.js';
+
+describe('DataSyncService.processCatalogBatch', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fails only the malformed product, not the batch', async () => {
+    const inserted = [];
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(DataSyncService, 'transformProductCatalog').mockImplementation(product => {
+      if (product.PRODUCT_ID === 'bad') throw new TypeError('Cannot read properties of undefined');
+      return { id: product.PRODUCT_ID, name: product.PRODUCT_NAME };
+    });
+    jest.spyOn(DataSyncService, 'transformInventory').mockReturnValue({});
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({ in: async () => ({ data: [], error: null }) }),
+      insert: async row => {
+        inserted.push(row.id);
+        return { error: null };
+      },
+      upsert: async () => ({ error: null })
+    }));
+
+    const stats = { processed: 0, created: 0, updated: 0, failed: 0 };
+    await DataSyncService.processCatalogBatch([
+      { PRODUCT_ID: 'p1', PRODUCT_NAME: 'Парацетамол 500мг' },
+      { PRODUCT_ID: 'bad' },
+      { PRODUCT_ID: 'p2', PRODUCT_NAME: 'Ибупрофен 200мг' }
+    ], stats, false);
+
+    expect(inserted).toEqual(['p1', 'p2']);
+    expect(stats).toMatchObject({ processed: 2, created: 2, failed: 1 });
+  });
+});
@@ -0,0 +1,39 @@
+import { extractDosageForm } from '../src/utils/dosageForm.js';
+
+/**
+ * Dosage-form detection table tests
+ * Checks src/utils/dosageForm.js, including the form order: names that
+ * mention two forms get the more specific one
+ */
+
+// [text, expected form]
+const cases = [
+  // Two forms in one name: the more specific wins
+  ['Цефтриаксон тарилгын уусмал 1г', 'injection'],
+  ['Цефтриаксон тарилгын нунтаг 1г', 'injection'],
+  ['Амоксициллин суспенз бэлтгэх нунтаг', 'suspension'],
+  ['Тосон түрхлэг', 'ointment'],
+
+  // One form
+  ['Натрийн хлорид уусмал 0.9%', 'solution'],
+  ['Омепразол 20мг капсул', 'capsule'],
+  ['Парацетамол шахмал 500мг', 'tablet'],
+  ['Ибупрофен 200mg tablets', 'tablet'],
+  ['Нурофен сироп хүүхдийн', 'syrup'],
+  ['Диклофенак тос', 'ointment'],
+  ['Парацетамол лаа 250мг', 'suppository'],
+  ['Глазные капли', 'drops'],
+  ['Цефазолин ампул', 'injection'],
+  ['Смекта саше', 'powder'],
+  ['Лидокаин спрей', 'spray'],
+
+  // No form
+  ['Парацетамол 500мг', null],
+  ['', null]
+];
+
+describe('extractDosageForm', () => {
+  test.each(cases)('extractDosageForm(%j)', (text, expected) => {
+    expect(extractDosageForm(text)).toBe(expected);
+  });
+});
@@ -0,0 +1,63 @@
+import { parseDosage, compareStrength, formatDosage } from '../src/utils/dosageParser.js';
+
+/**
+ * Dosage parser table tests
+ * Checks src/utils/dosageParser.js on written strengths, concentrations and
+ * pack counts, and unit-aware strength comparison
+ */
+
+// [text, expected fields of parseDosage(text)]
+const parseCases = [
+  // Units normalise to a base unit so grams and milligrams compare
+  ['Парацетамол 0.5г №20', { value: 0.5, unit: 'г', baseValue: 500, baseUnit: 'мг', packCount: 20 }],
+  ['Парацетамол 0,5 г', { value: 0.5, unit: 'г', baseValue: 500, baseUnit: 'мг' }],
+  ['Парацетамол 500мг', { value: 500, unit: 'мг', baseValue: 500, baseUnit: 'мг', packCount: null }],
+  ['Омепразол 20 mg 30 шт', { value: 20, unit: 'мг', baseValue: 20, packCount: 30 }],
+  ['Витамин D3 1000 МЕ', { value: 1000, unit: 'IU', baseUnit: 'IU' }],
+  ['Диклофенак 1%', { value: 1, unit: '%' }],
+
+  // Concentrations
+  ['Амоксициллин 250мг/5мл', { value: 250, unit: 'мг', concentration: { value: 50, unit: 'мг/мл', text: '250мг/5мл' } }],
+  ['Инсулин 100 IU/ml', { value: 100, unit: 'IU', concentration: { value: 100, unit: 'IU/мл', text: '100IU/ml' } }],
+
+  // Multiplied units and pack counts are never read as the strength
+  ['Ибупрофен 2x500mg', { value: 500, unit: 'мг', multiplier: 2 }],
+  ['Азитромицин №3', { value: null, packCount: 3 }],
+
+  // Bare number: strength in an unknown unit
+  ['нурофен 200', { value: 200, unit: null, baseValue: null }],
+  ['', { value: null, unit: null }]
+];
+
+// [requested, product, expected compareStrength]
+const compareCases = [
+  ['0.5г', '500мг', 'exact'],
+  ['1г', '1000mg', 'exact'],
+  ['500мг', '450мг', 'close'],
+  ['500мг', '400мг', 'different'],
+  ['5мл', '500мг', 'different'],        // volume never matches mass
+  ['200', '200мг', 'exact'],            // bare number against the written value
+  ['0.5', '500мг', 'different'],
+  ['парацетамол', '500мг', null]
+];
+
+describe('parseDosage', () => {
+  test.each(parseCases)('parseDosage(%j)', (text, expected) => {
+    expect(parseDosage(text)).toMatchObject(expected);
+  });
+
+  test.each([
+    ['Парацетамол 0.5г №20', '0.5г'],
+    ['Амоксициллин 250мг/5мл', '250мг/5мл'],
+    ['нурофен 200', '200'],
+    ['парацетамол', null]
+  ])('formatDosage(parseDosage(%j))', (text, expected) => {
+    expect(formatDosage(parseDosage(text))).toBe(expected);
+  });
+});
+
+describe('compareStrength', () => {
+  test.each(compareCases)('%j vs %j', (requested, product, expected) => {
+    expect(compareStrength(parseDosage(requested), parseDosage(product))).toBe(expected);
+  });
+});
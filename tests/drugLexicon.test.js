@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { supabase } from '../src/config/database.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+
+describe('DrugLexiconService', () => {
+  beforeAll(() => {
+    DrugLexiconService.useBuiltIn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findInText', () => {
+    test('matches names on token boundaries, with case endings', () => {
+      expect(DrugLexiconService.findInText('нурофенийг авмаар байна')).toEqual({ canonical: 'ибупрофен', variant: 'нурофен' });
+      expect(DrugLexiconService.findInText('панадолд')).toEqual({ canonical: 'парацетамол', variant: 'панадол' });
+    });
+
+    test('ignores names inside other words', () => {
+      expect(DrugLexiconService.findInText('ибупрофенпарацетамол')).toBeNull();
+    });
+  });
+
+  describe('extractBrand', () => {
+    test('takes the leading trade name', () => {
+      expect(DrugLexiconService.extractBrand('Нурофен 200мг №10', 'ибупрофен')).toBe('нурофен');
+    });
+
+    test('skips the INN, dosage forms and generic words', () => {
+      expect(DrugLexiconService.extractBrand('Ибупрофен 400мг', 'ибупрофен')).toBeNull();
+      expect(DrugLexiconService.extractBrand('Сироп от кашля 100мл', 'амброксол')).toBeNull();
+      expect(DrugLexiconService.extractBrand('Таблетка шахмал 500мг', 'парацетамол')).toBeNull();
+      expect(DrugLexiconService.extractBrand('Teva Omeprazole 20mg', 'omeprazole')).toBeNull();
+    });
+  });
+
+  describe('seedFromCatalog', () => {
+    test('keeps only brands that lead products of a single INN', async () => {
+      const products = [
+        { name: 'Лазолван 30мг', generic_name: 'Амброксол', ingredients: null },
+        { name: 'Гексал Амброксол', generic_name: 'Амброксол', ingredients: null },
+        { name: 'Гексал Омепразол', generic_name: 'Омепразол', ingredients: null }
+      ];
+      const upserts = [];
+
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(DrugLexiconService, 'fetchRows').mockResolvedValue([]);
+      jest.spyOn(DrugLexiconService, 'invalidate').mockResolvedValue(0);
+      jest.spyOn(supabase, 'from').mockImplementation(() => ({
+        select: () => ({ range: async () => ({ data: products, error: null }) }),
+        upsert: async rows => {
+          upserts.push(...rows);
+          return { error: null };
+        }
+      }));
+
+      await DrugLexiconService.seedFromCatalog();
+
+      const brands = Object.fromEntries(upserts.map(row => [row.canonical, row.brands]));
+      expect(brands['амброксол']).toEqual(['лазолван']);
+      expect(brands['омепразол']).toEqual([]);
+    });
+  });
+});
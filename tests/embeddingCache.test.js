@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { supabase } from '../src/config/database.js';
+import { EmbeddingCacheService } from '../src/services/embeddingCacheService.js';
+
+const DAY = 24 * 3600 * 1000;
+
+/**
+ * embedding_cache table fake: one stored row, records updates and upserts
+ */
+function fakeCache(row) {
+  const writes = [];
+
+  const builder = {
+    select: () => builder,
+    eq: () => builder,
+    maybeSingle: async () => ({ data: row, error: null }),
+    update: values => {
+      writes.push(['update', values]);
+      return builder;
+    },
+    upsert: async values => {
+      writes.push(['upsert', values]);
+      return { error: null };
+    },
+    then: resolve => resolve({ error: null })
+  };
+
+  return { writes, builder };
+}
+
+describe('EmbeddingCacheService last use', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('marks a database hit as used', async () => {
+    const cache = fakeCache({ embedding: '[0.1,0.2]', last_used_at: new Date(Date.now() - 3 * DAY).toISOString() });
+    jest.spyOn(supabase, 'from').mockReturnValue(cache.builder);
+
+    const embedding = await EmbeddingCacheService.get('парацетамол', 'test-model');
+
+    expect(embedding).toEqual([0.1, 0.2]);
+    expect(cache.writes).toEqual([['update', { last_used_at: expect.any(String) }]]);
+  });
+
+  test('skips the write when the row was used within a day', async () => {
+    const cache = fakeCache({ embedding: '[0.1,0.2]', last_used_at: new Date(Date.now() - 3600 * 1000).toISOString() });
+    jest.spyOn(supabase, 'from').mockReturnValue(cache.builder);
+
+    await EmbeddingCacheService.get('парацетамол', 'test-model');
+
+    expect(cache.writes).toEqual([]);
+  });
+
+  test('stores new entries as used now', async () => {
+    const cache = fakeCache(null);
+    jest.spyOn(supabase, 'from').mockReturnValue(cache.builder);
+
+    await EmbeddingCacheService.set('парацетамол', [0.1, 0.2], 'test-model');
+
+    expect(cache.writes).toEqual([['upsert', expect.objectContaining({ model: 'test-model', last_used_at: expect.any(String) })]]);
+  });
+});
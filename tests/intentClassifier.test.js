@@ -0,0 +1,41 @@
+import { readFile } from 'fs/promises';
+import { IntentClassifier } from '../src/services/intentClassifier.js';
+import { DrugLexiconService } from '../src/services/drugLexiconService.js';
+import { GuardrailService } from '../src/services/guardrailService.js';
+import FAQService from '../src/services/faqService.js';
+import { loadSeedFaqs } from '../scripts/faq-seed.js';
+
+// Minimum accuracy on scripts/intent-eval-set.json (npm run eval:intents prints the misses)
+const MIN_ACCURACY = 0.95;
+
+describe('IntentClassifier', () => {
+  let examples;
+
+  beforeAll(async () => {
+    DrugLexiconService.useBuiltIn();
+    FAQService.useBuiltIn(await loadSeedFaqs());
+    GuardrailService.useBuiltIn();
+
+    examples = JSON.parse(await readFile(new URL('../scripts/intent-eval-set.json', import.meta.url), 'utf8'));
+  });
+
+  test(`labels at least ${MIN_ACCURACY * 100}% of the eval set correctly`, () => {
+    const correct = examples.filter(example => IntentClassifier.classify(example.text).intent === example.intent);
+
+    expect(correct.length / examples.length).toBeGreaterThanOrEqual(MIN_ACCURACY);
+  });
+
+  test.each([
+    // Stock questions containing guardrail terms
+    ['парацетамол эм авах боломжтой юу', 'product_lookup'],
+    ['Do you have paracetamol medication in stock?', 'product_lookup'],
+    ['жирэмсэн үед уух фолийн хүчил байна уу', 'product_lookup'],
+    // "эм" inside other words
+    ['эмч маань амралтаа авсан', 'out_of_scope'],
+    ['эмнэлэг хэдэн цагт нээх вэ', 'out_of_scope'],
+    ['гэмтэл авбал яах вэ', 'out_of_scope'],
+    ['эмчилгээний зөвлөгөө авмаар байна', 'out_of_scope']
+  ])('classify(%j) → %s', (text, intent) => {
+    expect(IntentClassifier.classify(text).intent).toBe(intent);
+  });
+});
@@ -0,0 +1,20 @@
+import { jest } from '@jest/globals';
+import { openai, OpenAIService } from '../src/config/openai.js';
+import { getEmbeddingProvider } from '../src/config/embeddingProvider.js';
+
+describe('OpenAIService.generateEmbedding', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses the configured embedding provider (EMBEDDING_PROVIDER=local)', async () => {
+    jest.spyOn(openai.embeddings, 'create');
+
+    const result = await OpenAIService.generateEmbedding('парацетамол 500мг');
+    const [expected] = await getEmbeddingProvider().embed(['парацетамол 500мг']);
+
+    expect(openai.embeddings.create).not.toHaveBeenCalled();
+    expect(result.model).toBe(getEmbeddingProvider().model);
+    expect(result.embedding).toEqual(expected);
+  });
+});
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { supabase } from '../src/config/database.js';
+import { ProductSearchService } from '../src/services/productSearchService.js';
+
+describe('GET /api/products/search', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ProductSearchService, 'facetedSearch').mockResolvedValue({ products: [], total: 0, facets: {}, nextCursor: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes the query trimmed but not HTML-escaped', async () => {
+    const res = await request(app)
+      .get('/api/products/search')
+      .query({ q: '  A&B <1> ' })
+      .expect(200);
+
+    expect(ProductSearchService.facetedSearch).toHaveBeenCalledWith(expect.objectContaining({ q: 'A&B <1>' }));
+    expect(res.body.query).toBe('A&B <1>');
+  });
+
+  test('rejects a one-character query', async () => {
+    await request(app)
+      .get('/api/products/search')
+      .query({ q: ' a ' })
+      .expect(400);
+  });
+});
+
+describe('GET /api/search', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the formatted products unchanged', async () => {
+    const product = ProductSearchService.formatProduct({
+      id: '12345',
+      name: 'Парацетамол 500мг',
+      generic_name: 'Парацетамол',
+      is_prescription: false,
+      available: 20,
+      _data_source: 'database',
+      similarity: 0.9
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ProductSearchService, 'search').mockResolvedValue({ products: [product], metadata: {} });
+
+    const res = await request(app)
+      .get('/api/search')
+      .query({ q: 'парацетамол' })
+      .expect(200);
+
+    expect(res.body.results[0]).toMatchObject({ genericName: 'Парацетамол', isPrescription: false, inStock: true, dataSource: 'database' });
+  });
+});
+
+describe('ProductSearchService.findByCode', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes codes as a parameter, wildcards included', async () => {
+    jest.spyOn(supabase, 'rpc').mockResolvedValue({ data: [{ id: '1', erp_code: 'MNS_00%1' }], error: null });
+
+    const matches = await ProductSearchService.findByCode(' MNS_00%1 ');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('find_products_by_code', { code: 'MNS_00%1', match_count: 10 });
+    expect(matches).toHaveLength(1);
+  });
+});
+
+describe('ProductSearchService.preFilterByDrugName', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps filter syntax in lexicon names out of the or() filter', async () => {
+    const filters = [];
+    const builder = {
+      select: () => builder,
+      or: filter => {
+        filters.push(filter);
+        return builder;
+      },
+      limit: () => builder,
+      then: resolve => resolve({ data: [], error: null })
+    };
+
+    jest.spyOn(ProductSearchService, 'getDrugVariants').mockReturnValue(['ибупрофен', 'нурофен (форте)', '50%,id.eq.1']);
+    jest.spyOn(supabase, 'from').mockReturnValue(builder);
+
+    await ProductSearchService.preFilterByDrugName('ибупрофен');
+
+    expect(filters).toEqual([
+      'name.ilike.%ибупрофен%,generic_name.ilike.%ибупрофен%,' +
+      'name.ilike.%нурофен  форте%,generic_name.ilike.%нурофен  форте%,' +
+      'name.ilike.%50  id.eq.1%,generic_name.ilike.%50  id.eq.1%'
+    ]);
+  });
+});
+
+describe('ProductSearchService.fuseResults', () => {
+  const vector = [
+    { id: 'a', name: 'A', similarity: 0.9 },
+    { id: 'b', name: 'B', similarity: 0.8 },
+    { id: 'c', name: 'C', similarity: 0.7 }
+  ];
+  const keyword = [
+    { id: 'c', name: 'C', keyword_score: 0.9 },
+    { id: 'd', name: 'D', keyword_score: 0.6 },
+    { id: 'a', name: 'A', keyword_score: 0.4 }
+  ];
+
+  // [semantic weight, expected order]
+  test.each([
+    [0.7, ['a', 'c', 'b', 'd']],   // found by both lists first, vector rank breaks the tie
+    [0.4, ['c', 'a', 'd', 'b']],   // keyword-leaning: keyword rank breaks the tie
+    [1, ['a', 'b', 'c', 'd']],     // vector only: keyword hits score 0
+    [0, ['c', 'd', 'a', 'b']]      // keyword only
+  ])('semantic weight %p ranks %j', (weight, expected) => {
+    const fused = ProductSearchService.fuseResults(vector, keyword, weight);
+
+    expect(fused.map(product => product.id)).toEqual(expected);
+  });
+
+  test('scales the fused score so first in both lists is 1', () => {
+    const [top] = ProductSearchService.fuseResults([vector[0]], [{ ...vector[0], keyword_score: 0.5 }], 0.7);
+
+    expect(top.similarity).toBeCloseTo(1);
+    expect(top).toMatchObject({ _vector_similarity: 0.9, _keyword_score: 0.5, _retrieval_sources: ['vector', 'keyword'] });
+  });
+
+  test('puts an exact code match first whatever the weights', () => {
+    const fused = ProductSearchService.fuseResults(vector, [{ id: 'e', name: 'E', keyword_score: ProductSearchService.CODE_MATCH_SCORE }], 0.9);
+
+    expect(fused[0]).toMatchObject({ id: 'e', similarity: 1, _vector_similarity: null, _retrieval_sources: ['keyword'] });
+  });
+});
@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { SearchFeedbackService } from '../src/services/searchFeedbackService.js';
+
+describe('POST /api/search/feedback', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SearchFeedbackService, 'record').mockResolvedValue({ recorded: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records a client click', async () => {
+    await request(app)
+      .post('/api/search/feedback')
+      .send({ query: 'парацетамол 500', productId: '12345', action: 'click', position: 1, sessionId: 'abc' })
+      .expect(201);
+
+    expect(SearchFeedbackService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'click', sessionId: 'abc' }));
+  });
+
+  test('keys feedback on the caller, not the sessionId it sends', async () => {
+    for (const sessionId of ['first', 'second']) {
+      await request(app)
+        .post('/api/search/feedback')
+        .send({ query: 'парацетамол 500', productId: '12345', action: 'click', sessionId })
+        .expect(201);
+    }
+
+    const [first, second] = SearchFeedbackService.record.mock.calls.map(([event]) => event);
+    expect(first.clientKey).toMatch(/^ip:[0-9a-f]{32}$/);
+    expect(second.clientKey).toBe(first.clientKey);
+  });
+
+  test('refuses client-reported orders', async () => {
+    const res = await request(app)
+      .post('/api/search/feedback')
+      .send({ query: 'парацетамол 500', productId: '12345', action: 'order' })
+      .expect(400);
+
+    expect(res.body.validActions).toEqual(['click', 'select']);
+    expect(SearchFeedbackService.record).not.toHaveBeenCalled();
+  });
+
+  test('is rate limited', async () => {
+    const send = () => request(app)
+      .post('/api/search/feedback')
+      .send({ query: 'парацетамол', productId: '12345', action: 'select', sessionId: 'abc' });
+
+    for (let i = 0; i < 30; i++) await send();
+    await send().expect(429);
+  });
+});
@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import { supabase } from '../src/config/database.js';
+import { ProductSearchService } from '../src/services/productSearchService.js';
+import { SearchService } from '../src/services/searchService.js';
+
+describe('SearchService.intelligentSearch', () => {
+  beforeEach(() => {
+    jest.spyOn(ProductSearchService, 'search').mockResolvedValue({
+      products: [
+        { id: 'cheap', name: 'Парацетамол 500мг', available: 10 },
+        { id: 'expensive', name: 'Панадол 500мг', available: 10 },
+        { id: 'unpriced', name: 'Калпол 120мг', available: 10 }
+      ]
+    });
+
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({
+        in: async () => ({
+          data: [
+            { product_id: 'cheap', base_price: '1500' },
+            { product_id: 'expensive', base_price: '9000' },
+            { product_id: 'unpriced', base_price: null }
+          ],
+          error: null
+        })
+      })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps only priced products within maxPrice', async () => {
+    const items = await SearchService.intelligentSearch('парацетамол', { maxPrice: 5000 });
+
+    expect(items).toEqual([expect.objectContaining({ id: 'cheap', price: 1500 })]);
+  });
+
+  test('attaches prices, keeping unpriced products without a price filter', async () => {
+    const items = await SearchService.intelligentSearch('парацетамол');
+
+    expect(items.map(item => [item.id, item.price])).toEqual([['cheap', 1500], ['expensive', 9000], ['unpriced', null]]);
+  });
+
+  test('getPrices returns null for a missing price', async () => {
+    const prices = await SearchService.getPrices(['cheap', 'unpriced']);
+
+    expect(prices).toEqual({ cheap: 1500, expensive: 9000, unpriced: null });
+  });
+});
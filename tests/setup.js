@@ -0,0 +1,8 @@
+// Offline test environment: scripted chat, local embeddings, unreachable database
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.CHAT_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.ENABLE_REDIS = 'false';
+delete process.env.REDIS_URL;
@@ -0,0 +1,72 @@
+import { SuggestService } from '../src/services/suggestService.js';
+
+/**
+ * Suggest prefix lookup table tests
+ * Builds the index from fixed rows (no database) and checks which products
+ * and lexicon drugs each typed prefix reaches, in order
+ */
+
+const products = [
+  { id: 'p1', name: 'Парацетамол 500мг №10', generic_name: 'Парацетамол' },
+  { id: 'p2', name: 'Парацетамол сироп 120мг/5мл', generic_name: 'Парацетамол' },
+  { id: 'p3', name: 'Нурофен плюс 200мг', generic_name: 'Ибупрофен', english_name: 'Nurofen Plus' },
+  { id: 'p4', name: 'Панадол 500мг', generic_name: 'Парацетамол' },
+  { id: 'p5', name: 'Омепразол 20мг капсул', generic_name: 'Омепразол' }
+];
+
+const inventory = [
+  { product_id: 'p1', available: 0, is_active: true },
+  { product_id: 'p2', available: 30, is_active: true },
+  { product_id: 'p3', available: 5, is_active: true },
+  { product_id: 'p4', available: 12, is_active: true }
+];
+
+const lexicon = [
+  { canonical: 'парацетамол', latinName: 'paracetamol', variants: ['панадол'], misspellings: ['парацэтмөл'] },
+  { canonical: 'ибупрофен', latinName: 'ibuprofen', variants: ['нурофен'] }
+];
+
+// [typed prefix, expected suggestions ("drug:<name>" or product id)]
+const cases = [
+  // Either script, cut off mid-word
+  ['парац', ['drug:парацетамол', 'p2', 'p1', 'p4']],
+  ['parats', ['drug:парацетамол', 'p2', 'p1', 'p4']],
+  ['paracet', ['drug:парацетамол', 'p2', 'p1', 'p4']],
+
+  // Later words and brand variants
+  ['плюс', ['p3']],
+  ['nurofen', ['drug:ибупрофен', 'p3']],
+  ['панад', ['drug:парацетамол', 'p4']],
+
+  // Same rank: in stock first
+  ['500', ['p4', 'p1']],
+
+  // Too short or unknown
+  ['п', []],
+  ['zzz', []]
+];
+
+describe('SuggestService.suggest', () => {
+  beforeAll(() => {
+    SuggestService.index = SuggestService.buildIndex(products, inventory, lexicon);
+  });
+
+  afterAll(() => {
+    SuggestService.index = null;
+  });
+
+  test.each(cases)('suggest(%j)', (query, expected) => {
+    const suggestions = SuggestService.suggest(query).map(hit => (hit.type === 'drug' ? `drug:${hit.name}` : hit.id));
+
+    expect(suggestions).toEqual(expected);
+  });
+
+  test('limits products and reports stock', () => {
+    const suggestions = SuggestService.suggest('парац', { limit: 1 });
+
+    expect(suggestions).toEqual([
+      { type: 'drug', name: 'парацетамол' },
+      expect.objectContaining({ type: 'product', id: 'p2', stockRange: '1-50', inStock: true })
+    ]);
+  });
+});
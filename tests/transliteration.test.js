@@ -0,0 +1,64 @@
+import { toLatin, toCyrillic, matchKey, scriptVariants } from '../src/utils/transliteration.js';
+
+/**
+ * Transliteration table tests
+ * Checks src/utils/transliteration.js against known Mongolian spellings,
+ * with emphasis on ө/ү (the letters Latin keyboards lose)
+ */
+
+// [function, input, expected]
+const cases = [
+  // Latin → Cyrillic: ө/ү
+  [toCyrillic, 'öndör', 'өндөр'],
+  [toCyrillic, 'ügüi', 'үгүй'],
+  [toCyrillic, 'oedoer', 'өдөр'],
+  [toCyrillic, 'uene', 'үнэ'],
+  [toCyrillic, 'ygui', 'үгүй'],                 // "y" for ү in front-vowel words
+  [toCyrillic, 'hurgelt', 'хүргэлт'],           // u → ү by vowel harmony with э
+  [toCyrillic, 'une', 'үнэ'],
+  [toCyrillic, 'tuluh', 'тулух'],               // no front vowel → stays у (ambiguous)
+  [toCyrillic, 'utasny dugaar', 'утасны дугаар'], // "y" for ы in back-vowel words
+
+  // Latin → Cyrillic: digraphs and chat shorthand
+  [toCyrillic, 'khaana', 'хаана'],
+  [toCyrillic, 'tsag', 'цаг'],
+  [toCyrillic, 'chanar', 'чанар'],
+  [toCyrillic, 'shuurhai', 'шуурхай'],
+  [toCyrillic, 'emiin san', 'эмийн сан'],
+  [toCyrillic, 'vitamin d baigaa yu', 'витамин д байгаа юу'],
+  [toCyrillic, 'bn uu', 'байна уу'],
+  [toCyrillic, 'bayarlalaa', 'баярлалаа'],
+
+  // Latin → Cyrillic: drug names (loan words keep е)
+  [toCyrillic, 'paratsetamol', 'парацетамол'],
+  [toCyrillic, 'ibuprofen 400mg', 'ибупрофен 400мг'],
+  [toCyrillic, 'kofein', 'кофеин'],
+  [toCyrillic, 'ciprofloxacin', 'ципрофлоксацин'],
+  [toCyrillic, 'omeprazol', 'омепразол'],
+
+  // Cyrillic → Latin
+  [toLatin, 'өндөр', 'undur'],
+  [toLatin, 'үнэ', 'une'],
+  [toLatin, 'хүргэлт', 'khurgelt'],
+  [toLatin, 'парацетамол', 'paratsetamol'],
+  [toLatin, 'Нурофен 200мг', 'nurofen 200mg'],
+
+  // Script-independent keys
+  [matchKey, 'парацэтмөл', 'paracetmol'],
+  [matchKey, 'paracetmol', 'paracetmol'],
+  [matchKey, 'Амоксициллин', 'amoksicilin'],
+  [matchKey, 'amoxicillin', 'amoksicilin'],
+  [matchKey, 'өндөр', 'ondor'],
+  [matchKey, 'öndör', 'ondor'],
+
+  // Both scripts
+  [scriptVariants, 'Paratsetamol', ['paratsetamol', 'парацетамол']],
+  [scriptVariants, 'Өндөр', ['өндөр', 'undur']],
+  [scriptVariants, '500', ['500']]
+];
+
+describe('transliteration', () => {
+  test.each(cases)('%p(%j)', (fn, input, expected) => {
+    expect(fn(input)).toEqual(expected);
+  });
+});